@@ -1,191 +1,65 @@
 const express = require('express');
 const multer = require('multer');
-const fs = require('fs'); // Standard fs for streams
 const fsPromises = require('fs').promises; // Promises API for async file operations
 const os = require('os');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const pdf = require('pdf-parse');
-const admin = require('firebase-admin');
-const {
-  ServicePrincipalCredentials,
-  PDFServices,
-  MimeType,
-  ExtractPDFParams,
-  ExtractElementType,
-  ExtractPDFJob,
-  ExtractPDFResult,
-  SDKError,
-  ServiceUsageError,
-  ServiceApiError
-} = require('@adobe/pdfservices-node-sdk');
-const unzipper = require('unzipper');
 require('dotenv').config();
+const { installConsoleRedaction, redactText, redactResponse } = require('./lib/redact');
+// Provider keys and tokens are masked in every log line from here on
+installConsoleRedaction();
+const { createJobStore, createJobManager, toPublicJob } = require('./lib/jobs');
+const { createProgressBus, writeSseEvent } = require('./lib/progress');
+const { providers, getProvider, requestedProvider, resolveLlmOptions, validateKey: validateProviderKey } = require('./lib/llmProviders');
+const { SUPPORTED_EXTENSIONS, PDF_EXTRACTORS, isSupportedUpload, detectFileType, getContentType, extractText } = require('./lib/extractors');
+const { isArchiveUpload, expandZipArchive, removeExtractDir } = require('./lib/archives');
+const {
+  computeExperienceYears,
+  normalizePositions,
+  normalizeEducationHistory,
+  normalizeCertifications,
+  normalizeLanguages,
+  normalizeLinks,
+} = require('./lib/resumeStructure');
+const { EVALUATION_SCHEMA, validateEvaluation, formatValidationErrors } = require('./lib/evaluationSchema');
+const { createRateLimiter, limiterKey, isRetryableError, callWithRetry } = require('./lib/rateLimiter');
+const { createReprocessQueue } = require('./lib/reprocessQueue');
+const { FAILURE_CATEGORIES, categorizeEvaluationFailure, createFailureStore, toPublicFailure } = require('./lib/failures');
+const { hashFile, criteriaKey, applicationsOf, buildApplication, mergeCandidates, indexKeysOf, createCandidateIndex } = require('./lib/dedup');
+const { REQUISITION_STATUSES, buildRequisitionScore, createRequisitionStore } = require('./lib/requisitions');
+const { createResumeTextStore } = require('./lib/resumeText');
+const { parseCandidateQuery, createCandidateSearch } = require('./lib/candidateSearch');
+const { PIPELINE_STAGES, stageOf, canTransition, createPipeline } = require('./lib/pipeline');
+const { tenantPaths, scopeDatabase, isTenantStoragePath } = require('./lib/tenants');
+const { createAuthenticator } = require('./lib/auth');
+const { parseEncryptionKey, createKeyVault } = require('./lib/keyVault');
+const { estimateTokens, createUsageMeter } = require('./lib/usage');
+const { initializeFirebase, createStorageBackend } = require('./lib/storageBackend');
+const { contentDisposition } = require('./lib/blobStore');
+const { resumeEndpoint, createCandidateRepository } = require('./lib/candidates');
+const { createUrlSigner } = require('./lib/signedUrls');
+const { createDataSubjectService } = require('./lib/dataSubject');
+const { parseRetentionPolicy, createRetentionPolicyStore, runRetention } = require('./lib/retention');
+const { redactPii, summarizeSpans } = require('./lib/piiRedaction');
+const { PHONE_COUNTRIES, extractContacts, primaryEmail, resolveContacts } = require('./lib/contactExtraction');
+const { isBlind, maskedProfile, revealedProfile, createSealedIdentityStore } = require('./lib/blindScreening');
 
-// Firebase Initialization
-const serviceAccount = JSON.parse(
-  Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT_BASE64, 'base64').toString('utf8')
-);
-
-if (admin.apps.length === 0) {
-  try {
-    if (!process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID || !process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET) {
-      console.error('FATAL ERROR: NEXT_PUBLIC_FIREBASE_PROJECT_ID and NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET must be set in your .env file for Admin SDK initialization.');
-      process.exit(1);
-    }
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      storageBucket: 'jobform-automator-website.appspot.com',
-      databaseURL: 'https://jobform-automator-website-default-rtdb.firebaseio.com',
-    });
-    console.log('Firebase Admin SDK initialized successfully.');
-  } catch (error) {
-    console.error('Error initializing Firebase Admin SDK:', error);
-    process.exit(1);
-  }
+// Storage Backend
+// STORAGE_BACKEND selects where candidates, failures and files live: firebase (default), local or memory.
+// The local backend keeps its database file and stored files under DATA_DIR.
+const storageBackend = createStorageBackend(process.env.STORAGE_BACKEND || 'firebase', {
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+});
+const { database, blobStore } = storageBackend;
+const apiKeyEncryptionKey = parseEncryptionKey(process.env.API_KEY_ENCRYPTION_KEY);
+if (!apiKeyEncryptionKey) {
+  console.warn('WARNING: API_KEY_ENCRYPTION_KEY is missing or not 32 bytes (base64 or hex). Provider keys cannot be stored or used.');
 }
-
-const database = admin.database();
-const bucket = admin.storage().bucket();
 const delay = (ms) => new Promise((res) => setTimeout(res, ms));
 
-// Adobe PDF Text Extraction
-const extractTextFromPDF = async (inputFilePath, filename) => {
-  let readStream;
-  let outputZipPath = null; // Initialize to null
-  const startTime = performance.now();
-  try {
-    if (!process.env.PDF_SERVICES_CLIENT_ID || !process.env.PDF_SERVICES_CLIENT_SECRET) {
-      throw new Error("Missing or empty PDF_SERVICES_CLIENT_ID or PDF_SERVICES_CLIENT_SECRET in environment variables");
-    }
-    const credentials = new ServicePrincipalCredentials({
-      clientId: process.env.PDF_SERVICES_CLIENT_ID,
-      clientSecret: process.env.PDF_SERVICES_CLIENT_SECRET
-    });
-    const pdfServices = new PDFServices({ credentials });
-    readStream = fs.createReadStream(inputFilePath);
-    const inputAsset = await pdfServices.upload({
-      readStream,
-      mimeType: MimeType.PDF
-    });
-    const params = new ExtractPDFParams({
-      elementsToExtract: [ExtractElementType.TEXT]
-    });
-    const job = new ExtractPDFJob({ inputAsset, params });
-    const pollingURL = await pdfServices.submit({ job });
-    const pdfServicesResponse = await pdfServices.getJobResult({
-      pollingURL,
-      resultType: ExtractPDFResult,
-      timeout: 120000 // 120 seconds
-    });
-    const resultAsset = pdfServicesResponse.result.resource;
-    const streamAsset = await pdfServices.getContent({ asset: resultAsset });
-    outputZipPath = path.join(os.tmpdir(), `ExtractText_${Date.now()}_${filename}.zip`);
-    await fsPromises.mkdir(path.dirname(outputZipPath), { recursive: true });
-    const writeStream = fs.createWriteStream(outputZipPath);
-    await new Promise((resolve, reject) => {
-      streamAsset.readStream.pipe(writeStream)
-        .on('finish', resolve)
-        .on('error', reject);
-    });
-    const directory = await unzipper.Open.file(outputZipPath);
-    const jsonFile = directory.files.find(file => file.path === 'structuredData.json');
-    if (!jsonFile) throw new Error("structuredData.json not found in ZIP");
-    const jsonContent = await jsonFile.buffer();
-    const jsonData = JSON.parse(jsonContent.toString());
-    let extractedText = "";
-    if (jsonData.elements) {
-      jsonData.elements.forEach(element => {
-        if (element.Text) extractedText += element.Text + "\n";
-      });
-    }
-    const duration = (performance.now() - startTime) / 1000;
-    console.log(`Adobe extracted ${extractedText.length} chars from ${filename} in ${duration.toFixed(2)}s`);
-    if (!extractedText || extractedText.length < 50) {
-      throw new Error(`Insufficient text extracted: ${extractedText.length} chars`);
-    }
-    return extractedText.trim();
-  } catch (err) {
-    const duration = (performance.now() - startTime) / 1000;
-    if (err instanceof SDKError || err instanceof ServiceUsageError || err instanceof ServiceApiError) {
-      console.error(`Adobe SDK error for ${filename} after ${duration.toFixed(2)}s: ${err.message}`);
-    } else {
-      console.error(`Unexpected error for ${filename} after ${duration.toFixed(2)}s: ${err.message}`);
-    }
-    throw new Error(`Failed to extract text with Adobe SDK: ${err.message}`);
-  } finally {
-    if (readStream) {
-      try {
-        readStream.destroy();
-      } catch (err) {
-        console.error(`Error closing readStream for ${filename}: ${err.message}`);
-      }
-    }
-    if (outputZipPath && fs.existsSync(outputZipPath)) {
-      try {
-        await fsPromises.unlink(outputZipPath);
-        console.log(`Cleaned up Adobe ZIP file: ${outputZipPath}`);
-      } catch (cleanupErr) {
-        if (cleanupErr.code !== 'ENOENT') {
-          console.error(`Error cleaning up Adobe ZIP file ${outputZipPath} for ${filename}: ${cleanupErr.message}`);
-        }
-      }
-    }
-  }
-};
-
-// pdf-parse Text Extraction
-const extractTextFromPdf = async (filePath, filename) => {
-  console.log(`Processing temp file: ${filePath} for ${filename} with pdf-parse`);
-  try {
-    const dataBuffer = await fsPromises.readFile(filePath);
-    const data = await pdf(dataBuffer);
-    const extractedText = data.text.trim();
-    console.log(`Extracted text (${extractedText.length} chars) from ${filename} using pdf-parse`);
-    if (!extractedText || extractedText.length < 50) {
-      console.warn(`Insufficient text extracted from ${filename}: ${extractedText.length} characters.`);
-      throw new Error(`Insufficient or invalid text content extracted from ${filename}`);
-    }
-    console.log("text", extractedText)
-    return extractedText;
-  } catch (error) {
-    console.error(`pdf-parse error for ${filename}:`, error.message);
-    if (error.message.includes('Invalid PDF structure') || error.message.includes('Corrupted')) {
-      throw new Error(`Invalid or corrupted PDF file: ${filename}`);
-    }
-    throw new Error(`Failed to parse PDF with pdf-parse: ${error.message}`);
-  }
-};
-
-// Combined Text Extraction with Fallback for Premium Users
-const extractTextWithFallback = async (filePath, filename, isPremium) => {
-  let pdfParseFailed = false;
-  try {
-    const text = await extractTextFromPdf(filePath, filename);
-    return { text, pdfParseFailed };
-  } catch (error) {
-    console.warn(`pdf-parse failed for ${filename}: ${error.message}`);
-    pdfParseFailed = true;
-    if (isPremium) {
-      console.log(`Falling back to Adobe PDF Services for premium user: ${filename}`);
-      try {
-        const adobeText = await extractTextFromPDF(filePath, filename);
-        return { text: adobeText, pdfParseFailed };
-      } catch (adobeError) {
-        console.error(`Adobe parsing also failed for ${filename}: ${adobeError.message}`);
-        throw new Error(`Both pdf-parse and Adobe failed: ${adobeError.message}`);
-      }
-    } else {
-      console.log(`Not using Adobe fallback for free user: ${filename}`);
-      throw error;
-    }
-  }
-};
-
-// Clean Gemini JSON Response
-const cleanGeminiJson = (raw) => {
+// Clean LLM JSON Response
+const cleanLlmJson = (raw) => {
   let cleaned = raw.trim();
   if (cleaned.startsWith('```json')) {
     cleaned = cleaned.substring(7, cleaned.indexOf('```', 7)).trim();
@@ -200,9 +74,36 @@ const cleanGeminiJson = (raw) => {
   return cleaned;
 };
 
+// Sub-scores are kept as null when the evaluator did not return them, so they are not mistaken for a 0 match
+const normalizeSubScore = (value) => {
+  const number = typeof value === 'string' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? Math.max(0, Math.min(100, Math.round(number))) : null;
+};
+
+const REQUIREMENT_STATUSES = ['met', 'partially_met', 'missing'];
+
+// Per-requirement breakdown: { source: 'JD' | 'RS', requirement, status, evidence }
+const normalizeRequirements = (requirements) =>
+  (Array.isArray(requirements) ? requirements : [])
+    .filter((item) => item && typeof item === 'object' && typeof item.requirement === 'string' && item.requirement.trim() !== '')
+    .map((item) => {
+      const status = String(item.status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+      return {
+        source: String(item.source || '').trim().toUpperCase() === 'RS' ? 'RS' : 'JD',
+        requirement: item.requirement.trim(),
+        status: REQUIREMENT_STATUSES.includes(status) ? status : 'missing',
+        evidence: typeof item.evidence === 'string' && status !== 'missing' ? item.evidence.trim() : '',
+      };
+    });
+
 // Validate Candidate Data
 const validateCandidate = (candidateData) => {
   candidateData = candidateData || {};
+  const positions = normalizePositions(candidateData.positions);
+  const computedExperience = computeExperienceYears(positions);
+  const modelExperience = typeof candidateData.experienceYears === 'number' && candidateData.experienceYears >= 0
+    ? candidateData.experienceYears
+    : typeof candidateData.experience === 'number' && candidateData.experience >= 0 ? candidateData.experience : 0;
   const emailInput = candidateData.email && typeof candidateData.email === 'string' ? candidateData.email.trim().toLowerCase() : '';
   const emailRegex = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
   const fallbackEmailFromName =
@@ -229,9 +130,15 @@ const validateCandidate = (candidateData) => {
         ? candidateData.location.trim()
         : 'N/A',
     score: typeof candidateData.score === 'number' ? Math.max(0, Math.min(100, Math.round(candidateData.score))) : 0,
+    jdScore: normalizeSubScore(candidateData.jdScore),
+    rsScore: normalizeSubScore(candidateData.rsScore),
+    requirements: normalizeRequirements(candidateData.requirements),
+    scoreWeights: candidateData.scoreWeights || null,
     parsedText: candidateData.parsedText && typeof candidateData.parsedText === 'string' && candidateData.parsedText.trim() ? candidateData.parsedText.trim() : 'No summary provided.',
     skills: Array.isArray(candidateData.skills) ? candidateData.skills.filter((s) => typeof s === 'string' && s.trim() !== '').map((s) => s.trim()) : [],
-    experience: typeof candidateData.experienceYears === 'number' && candidateData.experienceYears >= 0 ? Math.round(candidateData.experienceYears) : 0,
+    experience: Math.round(computedExperience !== null ? computedExperience : modelExperience),
+    experienceYearsExact: computedExperience !== null ? computedExperience : modelExperience,
+    experienceSource: computedExperience !== null ? 'positions' : 'model',
     jobTitle:
       candidateData.jobTitle && typeof candidateData.jobTitle === 'string' && candidateData.jobTitle.trim() !== '' && candidateData.jobTitle.trim().toLowerCase() !== 'n/a'
         ? candidateData.jobTitle.trim()
@@ -240,63 +147,189 @@ const validateCandidate = (candidateData) => {
       candidateData.education && typeof candidateData.education === 'string' && candidateData.education.trim() !== '' && candidateData.education.trim().toLowerCase() !== 'n/a'
         ? candidateData.education.trim()
         : 'N/A',
+    positions,
+    educationHistory: normalizeEducationHistory(candidateData.educationHistory),
+    certifications: normalizeCertifications(candidateData.certifications),
+    languages: normalizeLanguages(candidateData.languages),
+    links: normalizeLinks(candidateData.links),
     approved: typeof candidateData.approved === 'boolean' ? candidateData.approved : false,
+    stage: stageOf(candidateData),
     resumeUrl: candidateData.resumeUrl || 'N/A',
+    llmProvider: candidateData.llmProvider || 'N/A',
+    llmModel: candidateData.llmModel || 'N/A',
+    fileName: candidateData.fileName || 'N/A',
+    extractor: candidateData.extractor || 'N/A',
+    sourceArchive: candidateData.sourceArchive || null,
+    resumeTextHash: candidateData.resumeTextHash || null,
+    blind: candidateData.blind || null,
+    contactConfidence: candidateData.contactConfidence || null,
+  };
+};
+
+// Contact Extraction
+// Email, phone, location and links are parsed from the resume text and reconciled with the evaluator's answers (see
+// lib/contactExtraction.js). Phone numbers without an international prefix are read in the country the resume's
+// location names, else in DEFAULT_PHONE_COUNTRY (an ISO code such as US or GB); unset, they are kept as written.
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || '').trim().toUpperCase() || null;
+if (DEFAULT_PHONE_COUNTRY && !PHONE_COUNTRIES[DEFAULT_PHONE_COUNTRY]) {
+  console.warn(`DEFAULT_PHONE_COUNTRY ${DEFAULT_PHONE_COUNTRY} is not supported; use one of ${Object.keys(PHONE_COUNTRIES).join(', ')}.`);
+}
+
+// Score Weights
+const DEFAULT_SCORE_WEIGHTS = { jd: 0.5, rs: 0.5 };
+
+// Read jd_weight / rs_weight from a request body as fractions (0.7) or percentages (70); error is set when invalid
+const resolveScoreWeights = (body = {}) => {
+  const parseWeight = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > 100) return NaN;
+    return number > 1 ? number / 100 : number;
+  };
+  let jd = parseWeight(body.jd_weight);
+  let rs = parseWeight(body.rs_weight);
+  if (Number.isNaN(jd) || Number.isNaN(rs)) {
+    return { error: 'jd_weight and rs_weight must be numbers between 0 and 1 (or 0 and 100 as percentages).' };
+  }
+  if (jd === undefined && rs === undefined) return { ...DEFAULT_SCORE_WEIGHTS };
+  if (jd === undefined) jd = 1 - Math.min(rs, 1);
+  if (rs === undefined) rs = 1 - Math.min(jd, 1);
+  if (jd + rs === 0) {
+    return { error: 'jd_weight and rs_weight cannot both be 0.' };
+  }
+  const total = jd + rs;
+  return { jd: Math.round((jd / total) * 1000) / 1000, rs: Math.round((rs / total) * 1000) / 1000 };
+};
+
+// Boolean request fields arrive as booleans in JSON bodies and as strings in multipart forms
+const isTrue = (value) => value === true || value === 'true';
+
+// Build the evaluation criteria shared by every resume in one request.
+// blind_screening masks personal details before evaluation (see lib/piiRedaction.js).
+const buildCriteria = (body = {}) => {
+  const weights = resolveScoreWeights(body);
+  if (weights.error) return { error: weights.error };
+  return {
+    jobDescription: body.jd || '',
+    recruiterSuggestion: body.rs || '',
+    weights,
+    blindScreening: isTrue(body.blind_screening),
+  };
+};
+
+// Criteria for an upload: the stored requisition when requisition_id is given, otherwise the free-text jd/rs fields.
+// A requisition set to blind screening always screens blind. error (with an HTTP status) is set when the requisition
+// is missing, closed or cannot be read.
+const resolveCriteria = async (tenant, body = {}) => {
+  if (!body.requisition_id) return buildCriteria(body);
+  try {
+    const requisition = await tenant.requisitionStore.get(String(body.requisition_id));
+    if (!requisition) {
+      return { error: `Requisition ${body.requisition_id} not found.`, status: 404 };
+    }
+    if (requisition.status === 'closed') {
+      return { error: `Requisition ${requisition.id} is closed and no longer accepts candidates.`, status: 409 };
+    }
+    return {
+      requisitionId: requisition.id,
+      jobDescription: requisition.jobDescription || '',
+      recruiterSuggestion: requisition.recruiterSuggestion || '',
+      weights: requisition.weights || { ...DEFAULT_SCORE_WEIGHTS },
+      blindScreening: requisition.blindScreening === true || isTrue(body.blind_screening),
+    };
+  } catch (error) {
+    console.error(`Failed to load requisition ${body.requisition_id}:`, error.message);
+    return { error: `Could not load requisition ${body.requisition_id}: ${error.message}`, status: 500 };
+  }
+};
+
+// Validate requisition fields from a request body. existing is the stored requisition when updating.
+const parseRequisitionInput = (body = {}, existing = null) => {
+  const text = (value) => (value === undefined || value === null ? undefined : String(value).trim());
+  const fields = {
+    title: text(body.title),
+    jobDescription: text(body.jd ?? body.jobDescription),
+    recruiterSuggestion: text(body.rs ?? body.recruiterSuggestion),
+    status: text(body.status),
+    blindScreening: body.blind_screening === undefined ? undefined : isTrue(body.blind_screening),
   };
+  if (!existing && !fields.title) return { error: 'title is required.' };
+  if (!existing ? !fields.jobDescription : fields.jobDescription === '') return { error: 'jd (the job description) is required.' };
+  if (fields.title !== undefined && (fields.title === '' || fields.title.length > 200)) {
+    return { error: 'title must be between 1 and 200 characters.' };
+  }
+  if (fields.status !== undefined && !REQUISITION_STATUSES.includes(fields.status)) {
+    return { error: `status must be one of ${REQUISITION_STATUSES.join(', ')}.` };
+  }
+  if (body.jd_weight !== undefined || body.rs_weight !== undefined || !existing) {
+    const weights = resolveScoreWeights(body);
+    if (weights.error) return { error: weights.error };
+    fields.weights = weights;
+  }
+  return { fields };
 };
 
-// Extract Email from Text
-const extractEmailFromText = (text) => {
-  const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/gi;
-  const matches = text.match(emailRegex);
-  return matches && matches.length > 0 ? matches[0].toLowerCase() : null;
+// Final score from the JD/RS sub-scores, falling back to the model's own score when sub-scores are missing
+const combineScores = (jdScore, rsScore, weights, fallbackScore) => {
+  if (typeof jdScore === 'number' && typeof rsScore === 'number') {
+    return Math.round(jdScore * weights.jd + rsScore * weights.rs);
+  }
+  return fallbackScore;
 };
 
-// Parse Resume with Gemini
-async function parseWithGemini(text, jobDescription, recruiterSuggestion, apiKey) {
-     const prompt = `
+// Build the Resume Evaluation Prompt
+const buildEvaluationPrompt = (resumeText, { jobDescription, recruiterSuggestion, weights = DEFAULT_SCORE_WEIGHTS }) => {
+  const jdPercent = Math.round(weights.jd * 100);
+  const rsPercent = Math.round(weights.rs * 100);
+  return `
 You are an Advanced AI Resume Evaluator.
 
 Your Task:
-Critically evaluate the provided resume text against the given job description (JD) and specific recruiter suggestions (RS). Your evaluation must equally weigh the alignment with the JD (50%) and the alignment with the RS (50%) to generate a final score and detailed analysis.
+Critically evaluate the provided resume text against the given job description (JD) and specific recruiter suggestions (RS). Your evaluation must weigh the alignment with the JD (${jdPercent}%) and the alignment with the RS (${rsPercent}%) to generate a final score and detailed analysis.
 
 Inputs:
 
-Job Description (Weight: 50%):
+Job Description (Weight: ${jdPercent}%):
 \`\`\`
 ${jobDescription}
 \`\`\`
 
-Recruiter Suggestions (Weight: 50%):
+Recruiter Suggestions (Weight: ${rsPercent}%):
 \`\`\`
 ${recruiterSuggestion}
 \`\`\`
 
 Resume Text:
 \`\`\`
-${text}
+${resumeText}
 \`\`\`
 
 Evaluation Process & Scoring Guidelines:
 - Analyze Job Description: Identify core requirements, essential skills (technical & soft), required experience (years, type), specific tools/technologies, key responsibilities, and educational prerequisites mentioned in the JD.
 - Analyze Recruiter Suggestions: Identify specific points of emphasis, desired candidate attributes, potential red flags to watch for, and any formatting or content preferences mentioned in the RS.
 - Analyze Resume: Extract candidate's contact information, location, work experience (roles, duration, responsibilities, achievements), listed skills, and education.
+- Extract the full timeline: every position held (not only the latest), every education entry, certifications, spoken languages and profile links. Copy dates exactly as written in the resume (for example "Jan 2020", "2019", "Present"); do not invent dates that are not in the resume.
 
-JD Match Assessment (50% Weight):
+JD Match Assessment (${jdPercent}% Weight):
 - Assess the direct match between the candidate's skills/experience and the JD's essential requirements.
 - Evaluate the relevance and depth of the candidate's experience concerning the JD's responsibilities.
 - Check for the presence of keywords, tools, and technologies specified in the JD.
 - Consider the alignment of education and years of experience with JD requirements.
 - Assign a score out of 100 for JD fit.
 
-RS Match Assessment (50% Weight):
+RS Match Assessment (${rsPercent}% Weight):
 - Assess how well the resume addresses the specific points, priorities, and concerns raised in the RS.
 - Evaluate if the resume avoids any red flags mentioned by the recruiter.
 - Check if the resume presentation or content aligns with the recruiter's preferences (if specified).
 - Assign a score out of 100 for RS fit.
 
+Requirement Breakdown:
+- List each individual requirement you identified in the JD and in the RS as a separate item.
+- Mark each one "met", "partially_met" or "missing" for this candidate.
+- For "met" and "partially_met", quote the resume text that supports the judgement word for word as evidence. For "missing", leave evidence empty.
+
 Calculate Final Score:
-- Compute the final score as \`(JD Match Score * 0.5) + (RS Match Score * 0.5)\`. Round to the nearest whole number.
+- Compute the final score as \`(JD Match Score * ${weights.jd}) + (RS Match Score * ${weights.rs})\`. Round to the nearest whole number.
 
 Synthesize Evaluation Summary:
 - Write a concise summary (\`parsedText\`) explaining the score. Highlight key strengths (points of strong alignment with both JD and RS) and weaknesses (significant gaps or areas where the resume fails to meet JD requirements or RS expectations). Be specific.
@@ -311,213 +344,261 @@ Return only a JSON object adhering strictly to the following structure. Do not i
   "phone": "+1234567890 (Extract from resume)",
   "location": "City, State/Country (Extract from resume)",
   "score": /* Calculated final score (0-100) */,
+  "jdScore": /* JD Match Score (0-100) */,
+  "rsScore": /* RS Match Score (0-100) */,
+  "requirements": [
+    { "source": "JD or RS", "requirement": "Requirement as stated", "status": "met | partially_met | missing", "evidence": "Quote from the resume, empty when missing" }
+  ],
   "parsedText": "Concise summary explaining the score, highlighting specific strengths and weaknesses based on JD and RS alignment.",
   "skills": [ /* List of relevant skills extracted from the resume that match JD/RS requirements */ ],
   "experienceYears": /* Total years of relevant experience inferred, extracted from resume */,
   "jobTitle": "Most recent relevant job title (Extract from resume)",
-  "education": "Harmonized highest relevant degree/qualification (Extract from resume)"
+  "education": "Harmonized highest relevant degree/qualification (Extract from resume)",
+  "positions": [
+    {
+      "company": "Employer name",
+      "title": "Job title held",
+      "startDate": "Start date as written, e.g. Jan 2020",
+      "endDate": "End date as written, or Present",
+      "location": "City, State/Country or N/A",
+      "highlights": [ /* Key responsibilities and achievements in this role */ ]
+    }
+  ],
+  "educationHistory": [
+    { "institution": "School or university", "degree": "Degree or qualification", "field": "Field of study", "graduationYear": "Year completed or expected" }
+  ],
+  "certifications": [ { "name": "Certification name", "issuer": "Issuing body", "date": "Date obtained as written" } ],
+  "languages": [ { "language": "Language", "proficiency": "Proficiency as stated or N/A" } ],
+  "links": { "linkedin": "LinkedIn URL or N/A", "github": "GitHub URL or N/A", "portfolio": "Personal site or portfolio URL or N/A", "other": [ /* Other profile URLs */ ] }
 }
 \`\`\`
 `;
-  try {
-    // Initialize extractedEmail to prevent ReferenceError
-    const extractedEmail = extractEmailFromText(text) || 'N/A';
+};
 
-    if (!apiKey) {
-      console.error('Gemini API key is not configured within parseWithGemini. Skipping Gemini call.');
-      return {
-        status: 400,
-        name: 'API Key Missing',
-        email: extractedEmail,
-        phone: 'N/A',
-        location: 'N/A',
-        score: 0,
-        parsedText: 'Gemini API Key is not configured. Parsing skipped.',
-        skills: [],
-        experienceYears: 0,
-        jobTitle: 'API Key Missing',
-        education: 'N/A',
-      };
+// How many times a response that fails schema validation is sent back to the model for correction
+const LLM_REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.LLM_REPAIR_ATTEMPTS ?? '1', 10) || 0);
+
+// Build the Repair Prompt: the original request plus the rejected output and what was wrong with it
+const buildRepairPrompt = (originalPrompt, previousOutput, validationErrors) => {
+  return `${originalPrompt}
+
+Your previous response to the request above did not match the required output format. These fields failed validation:
+${formatValidationErrors(validationErrors)}
+
+Previous response:
+${previousOutput.substring(0, 20000)}
+
+Return the complete corrected JSON object only, with every field from the output format, no commentary and no code fences.
+`;
+};
+
+// Evaluation result for a resume that could not be scored
+const failedEvaluation = (status, name, email, parsedText, extra = {}) => ({
+  status,
+  name,
+  email,
+  phone: 'N/A',
+  location: 'N/A',
+  score: 0,
+  parsedText,
+  skills: [],
+  experienceYears: 0,
+  jobTitle: name,
+  education: 'N/A',
+  ...extra,
+});
+
+// LLM Rate Limiter, shared by every request made with the same provider and API key
+const llmRateLimiter = createRateLimiter();
+
+// Evaluate Resume with the Selected LLM Provider
+// llm: { provider, model, apiKey } as produced by resolveLlmOptions. onUsage (optional) is awaited after every provider
+// call with { kind: 'llm', provider, model, inputTokens, outputTokens, latencyMs, estimated, evaluation }; token counts
+// are estimated from the text when the provider does not report them.
+async function evaluateResume(text, criteria, llm = {}, onUsage = null) {
+  const provider = getProvider(llm.provider);
+  const providerLabel = provider ? provider.name : llm.provider;
+  const model = llm.model || (provider && provider.defaultModel);
+  // Failed evaluations still carry the candidate's own email when the text has one
+  const extractedEmail = text ? primaryEmail(extractContacts(text, { defaultCountry: DEFAULT_PHONE_COUNTRY })) || 'N/A' : 'N/A';
+  try {
+    if (!provider) {
+      console.error(`Unknown LLM provider '${llm.provider}'. Skipping evaluation.`);
+      return failedEvaluation(400, 'Unknown Provider', extractedEmail, `LLM provider '${llm.provider}' is not supported. Parsing skipped.`);
+    }
+    if (provider.requiresApiKey && !llm.apiKey) {
+      console.error(`${providerLabel} API key is not configured within evaluateResume. Skipping LLM call.`);
+      return failedEvaluation(400, 'API Key Missing', extractedEmail, `${providerLabel} API Key is not configured. Parsing skipped.`);
     }
 
     const SAFETY_MARGIN_TOKENS = 5000;
-    const approxPromptTokens = Math.ceil((prompt.length + jobDescription.length + recruiterSuggestion.length) / 4);
-    const MAX_TEXT_TOKENS = 1000000 - approxPromptTokens - SAFETY_MARGIN_TOKENS;
+    const approxPromptTokens = Math.ceil((buildEvaluationPrompt('', criteria).length) / 4);
+    const MAX_TEXT_TOKENS = (parseInt(process.env.LLM_CONTEXT_TOKENS, 10) || 1000000) - approxPromptTokens - SAFETY_MARGIN_TOKENS;
     const MAX_TEXT_CHARS = MAX_TEXT_TOKENS * 3;
 
-    let textForGemini = text;
+    let textForLlm = text;
     if (text.length > MAX_TEXT_CHARS) {
       console.warn(`Resume text length (${text.length} chars) exceeds approximate limit (${MAX_TEXT_CHARS} chars). Truncating resume text for prompt.`);
-      textForGemini = text.substring(0, MAX_TEXT_CHARS);
-    }
-    const genAI = new GoogleGenerativeAI(apiKey || '');
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    const result = await model.generateContent(prompt);
-    if (!result || !result.response || typeof result.response.text !== 'function') {
-      console.error('Gemini API returned an unexpected empty result or response format.');
-      return {
-        status: 500,
-        name: 'API No Response',
-        email: extractedEmail,
-        phone: 'N/A',
-        location: 'N/A',
-        score: 0,
-        parsedText: 'Gemini API returned no response or malformed response.',
-        skills: [],
-        experienceYears: 0,
-        jobTitle: 'API Error',
-        education: 'N/A',
-      };
+      textForLlm = text.substring(0, MAX_TEXT_CHARS);
     }
+    const prompt = buildEvaluationPrompt(textForLlm, criteria);
+    // Hosted providers share a token bucket per API key; local and mock providers have no quota to protect
+    let callCount = 0;
+    const generate = async (promptText) => {
+      const startTime = performance.now();
+      let reported = null;
+      const output = await callWithRetry(
+        () =>
+          provider.generate({
+            prompt: promptText,
+            model,
+            apiKey: llm.apiKey,
+            timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000,
+            schema: EVALUATION_SCHEMA,
+            input: { text: textForLlm, jobDescription: criteria.jobDescription, recruiterSuggestion: criteria.recruiterSuggestion, weights: criteria.weights },
+            onUsage: (usage) => {
+              reported = usage;
+            },
+          }),
+        {
+          limiter: provider.requiresApiKey ? llmRateLimiter : null,
+          key: limiterKey(provider.name, llm.apiKey),
+          label: `${providerLabel} request`,
+        }
+      );
+      callCount += 1;
+      if (onUsage) {
+        await onUsage({
+          kind: 'llm',
+          provider: providerLabel,
+          model,
+          inputTokens: reported && Number.isFinite(reported.inputTokens) ? reported.inputTokens : estimateTokens(promptText),
+          outputTokens: reported && Number.isFinite(reported.outputTokens) ? reported.outputTokens : estimateTokens(output),
+          latencyMs: Math.round(performance.now() - startTime),
+          estimated: !reported,
+          evaluation: callCount === 1,
+        });
+      }
+      return output;
+    };
+    console.log(`Evaluating with provider ${providerLabel}, model ${model}`);
+    let raw = await generate(prompt);
 
-    const raw = result.response.text();
-    const cleaned = cleanGeminiJson(raw);
-    if (!raw || cleaned.trim() === '') {
-      console.error('Gemini returned empty or whitespace-only content after cleaning.');
-      console.error('Gemini Raw Output (before cleaning):', raw);
-      return {
-        status: 500,
-        name: 'Empty AI Response',
-        email: extractedEmail,
-        phone: 'N/A',
-        location: 'N/A',
-        score: 0,
-        parsedText: 'Gemini returned empty content.',
-        skills: [],
-        experienceYears: 0,
-        jobTitle: 'Empty Response',
-        education: 'N/A',
-      };
-    }
+    // Parse and validate against EVALUATION_SCHEMA; on failure, send the errors back for a bounded number of repair attempts
+    let parsed;
+    for (let attempt = 0; ; attempt += 1) {
+      if (raw === null || raw === undefined) {
+        console.error(`${providerLabel} returned an unexpected empty result or response format.`);
+        return failedEvaluation(500, 'API No Response', extractedEmail, `${providerLabel} returned no response or malformed response.`, { jobTitle: 'API Error' });
+      }
 
-    try {
-      const parsed = JSON.parse(cleaned);
-      return {
-        status: 200,
-        name: parsed.name || 'N/A',
-        email: extractedEmail || parsed.email || 'N/A',
-        phone: parsed.phone || 'N/A',
-        location: parsed.location || 'N/A',
-        score: parsed.score || 0,
-        parsedText: parsed.parsedText || 'No summary provided.',
-        skills: parsed.skills || [],
-        experienceYears: parsed.experienceYears || 0,
-        jobTitle: parsed.jobTitle || 'N/A',
-        education: parsed.education || 'N/A',
-      };
-    } catch (jsonParseError) {
-      console.error('Failed to parse Gemini output as JSON:', jsonParseError);
-      console.error('Raw output causing JSON parse error (partial):', cleaned.substring(0, 500) + '...');
-      return {
-        status: 500,
-        name: 'JSON Parse Failed',
-        email: extractedEmail,
-        phone: 'N/A',
-        location: 'N/A',
-        score: 0,
-        parsedText: `Failed to parse Gemini output as JSON: ${jsonParseError.message}. Raw (partial): ${cleaned.substring(0, 200)}...`,
-        skills: [],
-        experienceYears: 0,
-        jobTitle: 'JSON Parse Failed',
-        education: 'N/A',
-      };
+      const cleaned = cleanLlmJson(raw);
+      if (!raw || cleaned.trim() === '') {
+        console.error(`${providerLabel} returned empty or whitespace-only content after cleaning.`);
+        console.error('LLM Raw Output (before cleaning):', raw);
+        return failedEvaluation(500, 'Empty AI Response', extractedEmail, `${providerLabel} returned empty content.`, { jobTitle: 'Empty Response' });
+      }
+
+      let validationErrors;
+      try {
+        const validation = validateEvaluation(JSON.parse(cleaned));
+        parsed = validation.value;
+        validationErrors = validation.errors;
+      } catch (jsonParseError) {
+        console.error(`Failed to parse ${providerLabel} output as JSON:`, jsonParseError.message);
+        console.error('Raw output causing JSON parse error (partial):', cleaned.substring(0, 500) + '...');
+        validationErrors = [{ path: '$', message: `invalid JSON: ${jsonParseError.message}` }];
+      }
+      if (validationErrors.length === 0) break;
+
+      const invalidJson = validationErrors[0].path === '$' && validationErrors[0].message.startsWith('invalid JSON');
+      if (attempt >= LLM_REPAIR_ATTEMPTS) {
+        console.error(`${providerLabel} output failed schema validation after ${attempt} repair attempt(s):\n${formatValidationErrors(validationErrors)}`);
+        return failedEvaluation(
+          500,
+          invalidJson ? 'JSON Parse Failed' : 'Schema Validation Failed',
+          extractedEmail,
+          `${providerLabel} output did not match the evaluation schema: ${validationErrors.slice(0, 5).map((error) => `${error.path} ${error.message}`).join('; ')}. Raw (partial): ${cleaned.substring(0, 200)}...`,
+          { validationErrors }
+        );
+      }
+      console.warn(`${providerLabel} output failed schema validation (attempt ${attempt + 1}), requesting repair:\n${formatValidationErrors(validationErrors)}`);
+      raw = await generate(buildRepairPrompt(prompt, cleaned, validationErrors));
     }
+
+    const weights = criteria.weights || DEFAULT_SCORE_WEIGHTS;
+    const contacts = resolveContacts(text, parsed, { defaultCountry: DEFAULT_PHONE_COUNTRY });
+    return {
+      status: 200,
+      name: parsed.name || 'N/A',
+      email: contacts.email || 'N/A',
+      phone: contacts.phone || 'N/A',
+      location: contacts.location || 'N/A',
+      score: combineScores(parsed.jdScore, parsed.rsScore, weights, parsed.score || 0),
+      jdScore: parsed.jdScore,
+      rsScore: parsed.rsScore,
+      requirements: parsed.requirements || [],
+      scoreWeights: weights,
+      parsedText: parsed.parsedText || 'No summary provided.',
+      skills: parsed.skills || [],
+      experienceYears: parsed.experienceYears || 0,
+      jobTitle: parsed.jobTitle || 'N/A',
+      education: parsed.education || 'N/A',
+      positions: parsed.positions || [],
+      educationHistory: parsed.educationHistory || [],
+      certifications: parsed.certifications || [],
+      languages: parsed.languages || [],
+      links: contacts.links,
+      contactConfidence: contacts.contactConfidence,
+      llmProvider: providerLabel,
+      llmModel: model,
+    };
   } catch (error) {
-    console.error('Gemini parsing failed with API error:', error.message, error);
-    const extractedEmail = text ? extractEmailFromText(text) || 'N/A' : 'N/A';
+    console.error(`${providerLabel} evaluation failed with API error after ${error.retriesAttempted || 0} retries:`, error.message);
     // Check for 429 error
     if (error.status === 429 || (error.response && error.response.status === 429)) {
-      const retryDelay = error.response?.data?.error?.details?.find(
-        (detail) => detail['@type'] === 'type.googleapis.com/google.rpc.RetryInfo'
-      )?.retryDelay || 'unknown';
-      return {
-        status: 429,
-        name: 'Parsing Failed',
-        email: extractedEmail,
-        phone: 'N/A',
-        location: 'N/A',
-        score: 0,
-        parsedText: `Automatic parsing failed: 429 Too Many Requests.`,
-        retryDelay, // Include retryDelay directly
-        skills: [],
-        experienceYears: 0,
-        jobTitle: 'Parsing Failed',
-        education: 'N/A',
-      };
+      return failedEvaluation(429, 'Parsing Failed', extractedEmail, `Automatic parsing failed: 429 Too Many Requests.`, {
+        retryDelay: error.retryDelay || 'unknown',
+        retryable: true,
+      });
     }
     if (error instanceof Error && error.message.includes('safety ratings')) {
-      console.error('Gemini blocked content due to safety ratings.');
-      return {
-        status: 403,
-        name: 'Content Blocked',
-        email: extractedEmail,
-        phone: 'N/A',
-        location: 'N/A',
-        score: 0,
-        parsedText: 'Gemini blocked the resume content due to safety policy violation.',
-        skills: [],
-        experienceYears: 0,
-        jobTitle: 'Content Blocked',
-        education: 'N/A',
-      };
+      console.error(`${providerLabel} blocked content due to safety ratings.`);
+      return failedEvaluation(403, 'Content Blocked', extractedEmail, `${providerLabel} blocked the resume content due to safety policy violation.`);
     }
-    return {
-      status: 500,
-      name: 'Parsing Failed',
-      email: extractedEmail,
-      phone: 'N/A',
-      location: 'N/A',
-      score: 0,
-      parsedText: `Automatic parsing failed: ${error.message}.`,
-      skills: [],
-      experienceYears: 0,
-      jobTitle: 'Parsing Failed',
-      education: 'N/A',
-    };
+    return failedEvaluation(500, 'Parsing Failed', extractedEmail, `Automatic parsing failed: ${redactText(error.message)}.`, {
+      retryable: isRetryableError(error),
+    });
   }
 }
 
-// Upload to Firebase Storage
-const uploadToFirebaseStorage = async (filePath, filename, candidateId) => {
+// Upload a Resume to the Blob Store
+// The object is private; returns its storage path, which is only ever served through resumeEndpoint
+const uploadResume = async (tenant, filePath, filename, candidateId, contentType = 'application/pdf') => {
   try {
-    const originalFileName = filename || `resume-${candidateId}.pdf`;
+    const originalFileName = filename || `resume-${candidateId}`;
     const sanitizedFileName = originalFileName.replace(/[^a-zA-Z0-9.\-_]/g, '_');
-    const uniqueFileName = `Resume/${candidateId}_${Date.now()}_${sanitizedFileName}`;
-    const fileRef = bucket.file(uniqueFileName);
-    console.log(`Attempting to upload ${filename} (from ${filePath}) to gs://${bucket.name}/${uniqueFileName}`);
-
-    const uploadStream = fileRef.createWriteStream({
-      metadata: {
-        contentType: 'application/pdf',
-      },
-      public: true,
-    });
+    const uniqueFileName = `${tenant.storagePrefix}Resume/${candidateId}_${Date.now()}_${sanitizedFileName}`;
+    console.log(`Attempting to upload ${filename} (from ${filePath}) to ${blobStore.uri(uniqueFileName)}`);
 
-    await new Promise((resolve, reject) => {
-      const readStream = fs.createReadStream(filePath);
-      readStream
-        .pipe(uploadStream)
-        .on('error', reject)
-        .on('finish', resolve);
-    });
+    await blobStore.upload(filePath, uniqueFileName, { contentType });
 
-    const downloadURL = `https://storage.googleapis.com/${bucket.name}/${encodeURIComponent(uniqueFileName)}`;
-    console.log(`Successfully uploaded to: ${downloadURL}`);
-    return downloadURL;
+    console.log(`Successfully uploaded to: ${blobStore.uri(uniqueFileName)}`);
+    return uniqueFileName;
   } catch (error) {
-    console.error(`Error uploading file ${filename} to Firebase Storage:`, error);
-    throw new Error(`Failed to upload file '${filename}' to Firebase Storage: ${error.message}`);
+    console.error(`Error uploading file ${filename} to ${blobStore.name} storage:`, error);
+    throw new Error(`Failed to upload file '${filename}' to ${blobStore.name} storage: ${error.message}`);
   }
 };
 
-// Save Candidate to Realtime Database
-const saveCandidateToRealtimeDatabase = async (candidate) => {
+// Save a Candidate through the Organization's Candidate Repository
+// processedAt is only changed by the caller when a resume was processed, so reveals and re-scores keep the retention clock
+const saveCandidate = async (tenant, candidate) => {
   try {
     if (candidate.name === 'API Key Missing') {
       console.warn(`Saving candidate ${candidate.id} with API key error status.`);
     }
 
-    const candidateRef = database.ref(`talent_pool/${candidate.id}`);
     const dataToSave = {
       id: candidate.id,
       name: candidate.name,
@@ -525,49 +606,267 @@ const saveCandidateToRealtimeDatabase = async (candidate) => {
       phone: candidate.phone,
       location: candidate.location,
       score: candidate.score,
+      jdScore: candidate.jdScore,
+      rsScore: candidate.rsScore,
+      requirements: candidate.requirements,
+      scoreWeights: candidate.scoreWeights,
       parsedText: candidate.parsedText,
       skills: Array.isArray(candidate.skills) ? candidate.skills : [],
       experience: candidate.experience,
       jobTitle: candidate.jobTitle,
       education: candidate.education,
+      positions: candidate.positions,
+      educationHistory: candidate.educationHistory,
+      certifications: candidate.certifications,
+      languages: candidate.languages,
+      links: candidate.links,
+      experienceYearsExact: candidate.experienceYearsExact,
+      experienceSource: candidate.experienceSource,
       approved: typeof candidate.approved === 'boolean' ? candidate.approved : false,
+      stage: candidate.stage,
+      stageUpdatedAt: candidate.stageUpdatedAt,
+      stageUpdatedBy: candidate.stageUpdatedBy,
+      blind: candidate.blind,
+      contactConfidence: candidate.contactConfidence,
       resumeUrl: candidate.resumeUrl || 'N/A',
-      processedAt: admin.database.ServerValue.TIMESTAMP,
+      resumePath: candidate.resumePath,
+      llmProvider: candidate.llmProvider,
+      llmModel: candidate.llmModel,
+      applications: candidate.applications,
+      contentHashes: candidate.contentHashes,
+      indexKeys: candidate.indexKeys,
+      scores: candidate.scores,
+      resumeTextHash: candidate.resumeTextHash,
+      fileName: candidate.fileName,
+      extractor: candidate.extractor,
+      sourceArchive: candidate.sourceArchive,
+      processedAt: candidate.processedAt,
     };
 
     Object.keys(dataToSave).forEach((key) => (dataToSave[key] === undefined || dataToSave[key] === null ? delete dataToSave[key] : {}));
-    await candidateRef.set(dataToSave);
+    await tenant.candidates.save(dataToSave);
     console.log(`✅ Candidate ${candidate.id} saved successfully to DB`);
   } catch (error) {
-    console.error(`❌ Error saving candidate ${candidate.id} to Realtime Database:`, error);
+    console.error(`❌ Error saving candidate ${candidate.id} to the ${storageBackend.name} database:`, error);
+  }
+};
+
+// Load a stored candidate, or null when it does not exist
+const loadCandidate = (tenant, candidateId) => tenant.candidates.get(candidateId);
+
+// Storage path of a candidate's latest resume, or of one application's when applicationId is given.
+// Records from before private storage only have the public URL, which still names the object.
+// Returns null when there is no stored file or it lies outside the organization's storage.
+const resumePathOf = (tenant, candidate, applicationId) => {
+  const source = applicationId ? applicationsOf(candidate).find((application) => application.id === applicationId) : candidate;
+  if (!source) return null;
+  const storagePath = source.resumePath || blobStore.pathFromUrl(source.resumeUrl);
+  return storagePath && isTenantStoragePath(tenant.storagePrefix, storagePath) ? storagePath : null;
+};
+
+// Download a stored candidate's resume to a temp file, as a multer-like file object tagged with the candidate id.
+// Returns null when the candidate has no resume in Storage.
+const downloadStoredResume = async (tenant, candidate) => {
+  const storagePath = resumePathOf(tenant, candidate);
+  if (!storagePath) return null;
+  const tempName = uuidv4();
+  const destination = path.join(os.tmpdir(), tempName);
+  try {
+    const metadata = await blobStore.getMetadata(storagePath);
+    await blobStore.download(storagePath, destination);
+    return {
+      fieldname: 'files',
+      originalname: candidate.fileName && candidate.fileName !== 'N/A' ? candidate.fileName : path.basename(storagePath),
+      mimetype: metadata.contentType || 'application/octet-stream',
+      path: destination,
+      filename: tempName,
+      destination: os.tmpdir(),
+      size: metadata.size,
+    };
+  } catch (error) {
+    await cleanupTempFiles([{ path: destination }]);
+    throw error;
+  }
+};
+
+// Stored candidate in the shape validateCandidate produces, plus the fields the pipeline adds when saving
+const toCandidateResponse = (record) => ({
+  ...validateCandidate(record),
+  processedAt: record.processedAt || null,
+  applicationCount: applicationsOf(record).length,
+  scores: record.scores || {},
+});
+
+// LLM options for a request, using the caller's stored key for the requested provider
+const resolveRequestLlm = async (req, body = req.body || {}) => {
+  const provider = requestedProvider(body);
+  let apiKey = '';
+  if (provider && provider.requiresApiKey) {
+    try {
+      apiKey = (await req.tenant.keyVault.get(req.user.uid, provider.name)) || '';
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  return resolveLlmOptions(body, apiKey);
+};
+
+// Organization Data Access
+// Each organization reads and writes its own copy of every store; see lib/tenants.js for the paths.
+// LEGACY_ORG_ID names the organization that keeps the data written before organizations existed.
+const tenants = new Map();
+const getTenant = (orgId) => {
+  if (!tenants.has(orgId)) {
+    const { databaseRoot, storagePrefix } = tenantPaths(orgId, process.env.LEGACY_ORG_ID);
+    const db = scopeDatabase(database, databaseRoot);
+    const stores = {
+      candidates: createCandidateRepository(db),
+      failureStore: createFailureStore({ database: db, blobStore, storagePrefix }),
+      candidateIndex: createCandidateIndex(db),
+      requisitionStore: createRequisitionStore(db),
+      resumeTextStore: createResumeTextStore(db),
+      pipeline: createPipeline(db),
+      sealedIdentities: createSealedIdentityStore(db),
+    };
+    tenants.set(orgId, {
+      orgId,
+      db,
+      storagePrefix,
+      ...stores,
+      candidateSearch: createCandidateSearch({ database: db, toCandidate: toCandidateResponse }),
+      keyVault: createKeyVault({ database: db, encryptionKey: apiKeyEncryptionKey }),
+      usage: createUsageMeter({ database: db }),
+      dataSubject: createDataSubjectService({
+        database: db,
+        blobStore,
+        storagePrefix,
+        ...stores,
+        purgeJobResults: (candidateId) => jobManager.removeCandidate(orgId, candidateId),
+      }),
+    });
+  }
+  return tenants.get(orgId);
+};
+
+// Usage Metering and Quotas
+// Quota metrics checked before a file is extracted, before Adobe PDF Services is used, and before a resume is sent to the LLM
+const EXTRACTION_QUOTA_METRICS = ['extractions'];
+const ADOBE_QUOTA_METRICS = ['adobeExtractions', 'adobePages'];
+const EVALUATION_QUOTA_METRICS = ['evaluations', 'llmCalls', 'tokens'];
+
+// Metering never fails a file; write errors are only logged
+const recordUsage = (tenant, uid, event) =>
+  tenant.usage.record(uid, event).catch((error) => console.error(`Failed to record ${event.kind} usage for user ${uid}: ${error.message}`));
+
+// { status, error, quota } when a quota is used up, otherwise null. Work is let through when the counters cannot be read.
+const checkUsageQuota = (tenant, uid, metrics) =>
+  tenant.usage.check(uid, metrics).catch((error) => {
+    console.error(`Failed to check usage quota for user ${uid}: ${error.message}`);
+    return null;
+  });
+
+// Remove multer temp files that will not be processed
+const cleanupTempFiles = async (files) => {
+  for (const file of files) {
+    if (!file || !file.path) continue;
+    try {
+      await fsPromises.unlink(file.path);
+      console.log(`Cleaned up temp file: ${file.path}`);
+    } catch (cleanupErr) {
+      if (cleanupErr.code !== 'ENOENT') {
+        console.error(`Error cleaning up temp file ${file.path}:`, cleanupErr);
+      }
+    }
   }
 };
 
+// Optional pause between batches; request pacing is handled by llmRateLimiter
+const BATCH_DELAY_MS = parseInt(process.env.BATCH_DELAY_MS, 10) || 0;
+
 // Process Files in Batches
-async function processInBatches(items, batchSize, processBatchFn) {
+async function processInBatches(items, batchSize, processBatchFn, shouldStop = () => false) {
   const results = [];
   const totalBatches = Math.ceil(items.length / batchSize);
   for (let i = 0; i < items.length; i += batchSize) {
+    if (shouldStop()) {
+      console.log(`--- Stop requested. Skipping remaining ${items.length - i} items. ---`);
+      break;
+    }
     const batch = items.slice(i, i + batchSize);
     console.log(`--- Starting batch ${Math.floor(i / batchSize) + 1}/${totalBatches} with ${batch.length} items ---`);
-    const batchResults = await processBatchFn(batch);
+    const batchResults = await processBatchFn(batch, Math.floor(i / batchSize) + 1, totalBatches);
     results.push(...batchResults);
-    if (i + batchSize < items.length) {
-      console.log(`--- Batch processed. Waiting 5 seconds before next batch... ---`);
-      await delay(5000);
+    if (i + batchSize < items.length && BATCH_DELAY_MS > 0) {
+      console.log(`--- Batch processed. Waiting ${BATCH_DELAY_MS}ms before next batch... ---`);
+      await delay(BATCH_DELAY_MS);
     }
   }
   return results;
 }
 
 // Process Resume Files
-async function processResumeFiles(multerFiles, jobDescription, recruiterSuggestion, isPremium, apiKey) {
-  console.log(`Starting resume processing for ${multerFiles.length} file(s) received. Premium: ${isPremium}`);
+// hooks (optional): isCancelled(), onFileStart(file), onFileProcessed(file, result) where result is a candidate, { error }, or null when the file was skipped,
+// onFilesExpanded(archiveFile, innerFiles, failures) when a ZIP upload is replaced by its contained resumes,
+// onEvent(event) which receives a structured progress event for every stage of every file and batch,
+// and requeue(file, failure) which parks a file after a retryable LLM failure (defaults to the reprocessing queue).
+// Context for failure records: jobId links them to a background job, failureId makes a retry update its original record,
+// and extractor forces one PDF extractor instead of the fallback chain. uid is the user whose usage and quotas the
+// extractions and LLM calls count against.
+// llm: { provider, model, apiKey } as produced by resolveLlmOptions; tenant: the organization's stores from getTenant
+async function processResumeFiles(tenant, multerFiles, criteria, isPremium, llm, hooks = {}) {
+  const isCancelled = hooks.isCancelled || (() => false);
+  const requestCriteriaKey = criteriaKey(criteria);
+  // Record a failure under failed_pdf_parse, keeping the file in quarantine so it can be retried; resolves to the record id
+  const recordFailure = (file, details) =>
+    tenant.failureStore.record(file, {
+      ...details,
+      id: details.status === 'recovered' ? undefined : hooks.failureId,
+      contentType: file.fileType ? getContentType(file.fileType) : file.mimetype,
+      context: {
+        jobId: hooks.jobId,
+        requisitionId: criteria.requisitionId,
+        jobDescription: criteria.jobDescription,
+        recruiterSuggestion: criteria.recruiterSuggestion,
+        weights: criteria.weights,
+        blindScreening: criteria.blindScreening,
+        isPremium,
+        provider: llm.provider,
+        model: llm.model,
+        // Ties the failure to the candidate the same file later became, for data-subject requests
+        contentHash: file.contentHash,
+        ...details.context,
+      },
+    }).catch((error) => {
+      console.error(`Failed to save ${file.originalname} to failed_pdf_parse: ${error.message}`);
+      return null;
+    });
+  // The reprocessing queue only lives in memory, so a queued file also gets an open failure record with a quarantined
+  // copy: if the process stops before the queue gets to it, POST /failures/:id/retry still can
+  const requeue = hooks.requeue || (async (file, failure) => {
+    if (!reprocessQueue.enabled) return null;
+    const failureId = await recordFailure(file, {
+      reason: `Queued for reprocessing after ${failure.status} from ${llm.provider}`,
+      category: categorizeEvaluationFailure(failure),
+      stage: 'llm',
+    });
+    return reprocessQueue.enqueue(file, { tenant, orgId: tenant.orgId, uid: hooks.uid, criteria, isPremium, llm, failureId }, failure);
+  });
+  const emit = (type, data = {}) => {
+    if (!hooks.onEvent) return;
+    try {
+      hooks.onEvent({ type, timestamp: Date.now(), ...data });
+    } catch (error) {
+      console.error(`Progress listener failed for event ${type}: ${error.message}`);
+    }
+  };
+  console.log(`Starting resume processing for ${multerFiles.length} file(s) received. Premium: ${isPremium}, Provider: ${llm && llm.provider}`);
   const pdfParseFailedFiles = [];
 
-  // Check for API key and Firebase initialization
-  if (!apiKey || admin.apps.length === 0 || !database || !bucket) {
-    const reason = !apiKey ? 'Gemini API Key is not configured.' : 'Firebase Admin SDK failed to initialize.';
+  // Check for LLM configuration; the storage backend is ready once the module has loaded
+  const provider = getProvider(llm && llm.provider);
+  const llmConfigured = provider && (!provider.requiresApiKey || llm.apiKey);
+  if (!llmConfigured) {
+    const reason = 'LLM provider or API Key is not configured.';
     console.error(`Cannot process files: ${reason}`);
     return {
       success: false,
@@ -590,109 +889,275 @@ async function processResumeFiles(multerFiles, jobDescription, recruiterSuggesti
     };
   }
 
-  // Filter PDF and non-PDF files
-  const pdfFiles = multerFiles.filter((file) => file.mimetype === 'application/pdf');
-  const nonPdfFiles = multerFiles.filter((file) => file.mimetype !== 'application/pdf');
-  if (nonPdfFiles.length > 0) {
-    console.warn(`Skipping ${nonPdfFiles.length} non-PDF file entries.`);
-    nonPdfFiles.forEach((file) => {
+  // Detect each file's real type from its signature and split supported from unsupported files
+  for (const file of multerFiles) {
+    try {
+      file.fileType = await detectFileType(file.path, file.mimetype, file.originalname);
+    } catch (error) {
+      console.error(`Could not detect file type of ${file.originalname}: ${error.message}`);
+      file.fileType = null;
+    }
+  }
+
+  // Expand ZIP archives so each contained resume is processed as its own file
+  const expandedFiles = [];
+  const archiveErrors = [];
+  const archives = [];
+  const extractDirs = [];
+  for (const file of multerFiles) {
+    if (file.fileType !== 'zip') {
+      expandedFiles.push(file);
+      continue;
+    }
+    const { files, failures, extractDir } = await expandZipArchive(file);
+    if (extractDir) extractDirs.push(extractDir);
+    expandedFiles.push(...files);
+    archives.push({ name: file.originalname, resumes: files.length, skipped: failures.length });
+    emit('archive_expanded', { filename: file.originalname, resumes: files.map((inner) => inner.originalname), skipped: failures.length });
+    for (const failure of failures) {
+      pdfParseFailedFiles.push(failure.filename);
+      emit('file_failed', { filename: failure.filename, stage: 'archive', reason: failure.reason });
+      // Rejected entries were never written to disk, so there is nothing to quarantine
+      const failureId = await recordFailure({ originalname: failure.filename, sourceArchive: failure.archive }, {
+        reason: `Archive entry rejected: ${failure.reason}`,
+        category: 'archive_entry',
+        stage: 'archive',
+        quarantine: false,
+        context: { archive: failure.archive },
+      });
+      archiveErrors.push({ error: { status: 422, message: failure.reason, filename: failure.filename, archive: failure.archive, failureId } });
+    }
+    if (hooks.onFilesExpanded) await hooks.onFilesExpanded(file, files, failures);
+    await cleanupTempFiles([file]);
+  }
+  const removeExtractDirs = () => Promise.all(extractDirs.map(removeExtractDir));
+
+  const resumeFiles = expandedFiles.filter((file) => file.fileType);
+  const unsupportedFiles = expandedFiles.filter((file) => !file.fileType);
+  if (unsupportedFiles.length > 0) {
+    console.warn(`Skipping ${unsupportedFiles.length} unsupported file entries.`);
+    for (const file of unsupportedFiles) {
+      const reason = `Unsupported file type. Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}`;
       pdfParseFailedFiles.push(file.originalname);
-      admin.database().ref(`failed_pdf_parse/${uuidv4()}`).set({
-        filename: file.originalname,
-        reason: 'Non-PDF file type',
-        timestamp: admin.database.ServerValue.TIMESTAMP,
-      }).catch((error) => console.error(`Failed to save ${file.originalname} to failed_pdf_parse: ${error.message}`));
-    });
+      emit('file_failed', { filename: file.originalname, stage: 'validation', reason });
+      const failureId = await recordFailure(file, { reason: 'Unsupported file type', category: 'unsupported_type', stage: 'validation' });
+      if (hooks.onFileProcessed) {
+        await hooks.onFileProcessed(file, { error: { status: 415, message: reason, filename: file.originalname, failureId } });
+      }
+    }
+    await cleanupTempFiles(unsupportedFiles);
   }
 
-  // Handle no valid PDFs case
-  if (pdfFiles.length === 0) {
-    console.log('No valid PDF files found after filtering.');
+  // Handle no supported files case
+  if (resumeFiles.length === 0) {
+    console.log('No supported resume files found after filtering.');
+    await removeExtractDirs();
     return {
-      success: true,
+      success: archiveErrors.length === 0,
       totalProcessed: multerFiles.length,
       validPdfProcessed: 0,
-      invalidFilesSkipped: nonPdfFiles.length,
+      invalidFilesSkipped: unsupportedFiles.length,
+      archives,
       candidates: [],
       pdfParseFailedFiles,
-      message: 'No valid PDF files were provided for processing.',
+      message: 'No supported resume files were provided for processing.',
+      errors: archiveErrors,
     };
   }
 
-  console.log(`Found ${pdfFiles.length} valid PDF files to process.`);
-  const candidates = await processInBatches(pdfFiles, 5, async (batch) => {
+  console.log(`Found ${resumeFiles.length} supported resume files to process.`);
+  const candidates = await processInBatches(resumeFiles, 5, async (batch, batchNumber, totalBatches) => {
     const batchResults = [];
+    let batchFailed = 0;
+    emit('batch_started', { batch: batchNumber, totalBatches, files: batch.map((file) => file.originalname) });
     for (const file of batch) {
       if (!file || !file.path || !file.originalname) {
         console.warn(`Skipping invalid multer file entry in batch (unexpected).`);
         continue;
       }
+      if (isCancelled()) {
+        console.log(`-> Cancellation requested. Skipping ${file.originalname}.`);
+        continue;
+      }
       const { path: filePath, originalname: filename } = file;
-      console.log(`-> Processing file: ${filename} (Temp Path: ${filePath}, Size: ${file.size} bytes)`);
+      console.log(`-> Processing file: ${filename} (Type: ${file.fileType}, Temp Path: ${filePath}, Size: ${file.size} bytes)`);
       const id = uuidv4();
+      const resultCountBefore = batchResults.length;
+      let stage = 'extraction';
+      let failureReason = null;
+      let requeued = false;
+      if (hooks.onFileStart) await hooks.onFileStart(file);
+      emit('file_started', { filename, size: file.size, fileType: file.fileType });
+      // The file stays in quarantine so it can be retried once the quota allows
+      const failOverQuota = async (quota) => {
+        console.warn(`-> Skipping ${filename}: ${quota.error}`);
+        pdfParseFailedFiles.push(filename);
+        const failureId = await recordFailure(file, { reason: 'Usage quota exceeded', category: 'usage_quota', stage, context: { quota: quota.quota } });
+        batchResults.push({ error: { status: quota.status, message: quota.error, filename, failureId, usageQuota: quota.quota } });
+        failureReason = 'Usage quota exceeded';
+      };
       try {
-        const { text, pdfParseFailed } = await extractTextWithFallback(filePath, filename, isPremium);
+        // An identical file already scored against the same JD/RS is not evaluated again
+        const contentHash = await hashFile(filePath);
+        file.contentHash = contentHash;
+        const contentMatchId = await tenant.candidateIndex.findByContentHash(contentHash).catch((error) => {
+          console.error(`-> Content hash lookup failed for ${filename}: ${error.message}`);
+          return null;
+        });
+        const contentMatch = contentMatchId ? await loadCandidate(tenant, contentMatchId) : null;
+        if (contentMatch && applicationsOf(contentMatch).some((application) => application.criteriaKey === requestCriteriaKey)) {
+          console.log(`-> ${filename} is an exact re-upload of candidate ${contentMatch.id} for the same JD/RS. Reusing the stored result.`);
+          batchResults.push({
+            ...contentMatch,
+            ...(criteria.blindScreening && !isBlind(contentMatch) ? maskedProfile(contentMatch.id, filename) : {}),
+            applications: applicationsOf(contentMatch),
+            duplicate: { candidateId: contentMatch.id, matchedOn: 'content', reused: true },
+          });
+          emit('duplicate_skipped', { filename, candidateId: contentMatch.id, score: contentMatch.score });
+          continue;
+        }
+
+        const extractionQuota = await checkUsageQuota(tenant, hooks.uid, EXTRACTION_QUOTA_METRICS);
+        if (extractionQuota) {
+          await failOverQuota(extractionQuota);
+          continue;
+        }
+        // Adobe is billed per page, so the premium fallback is left out once its quota is used up
+        const adobeQuota = isPremium ? await checkUsageQuota(tenant, hooks.uid, ADOBE_QUOTA_METRICS) : null;
+        if (adobeQuota) console.warn(`-> Adobe PDF Services unavailable for ${filename}: ${adobeQuota.error}`);
+        emit('extraction_started', { filename });
+        const extractionStart = performance.now();
+        const { text, pdfParseFailed, extractor, pages } = await extractText(filePath, filename, { fileType: file.fileType, isPremium: isPremium && !adobeQuota, extractor: hooks.extractor });
+        await recordUsage(tenant, hooks.uid, {
+          kind: 'extraction',
+          extractor,
+          pages,
+          characters: text ? text.length : 0,
+          latencyMs: Math.round(performance.now() - extractionStart),
+          fileName: filename,
+          jobId: hooks.jobId,
+        });
+        emit('extraction_finished', { filename, extractor, characters: text ? text.length : 0, pages, pdfParseFailed });
         if (pdfParseFailed) {
           pdfParseFailedFiles.push(filename);
-          await admin.database().ref(`failed_pdf_parse/${uuidv4()}`).set({
-            filename,
+          await recordFailure(file, {
             reason: 'pdf-parse failed',
-            timestamp: admin.database.ServerValue.TIMESTAMP,
-          }).catch((error) => console.error(`Failed to save ${filename} to failed_pdf_parse: ${error.message}`));
-          console.log(`-> Logged ${filename} to pdfParseFailedFiles and Firebase.`);
-          if (!isPremium) {
-            console.log(`-> Skipping ${filename} for free user due to pdf-parse failure.`);
-            continue;
-          }
+            category: 'pdf_parse_recovered',
+            stage: 'extraction',
+            status: 'recovered',
+            quarantine: false,
+            context: { recoveredWith: extractor },
+          });
+          console.log(`-> Logged ${filename} to pdfParseFailedFiles and the failure log. Text recovered with ${extractor}.`);
         }
         if (!text || text.trim().length < 50) {
           console.warn(`Skipping file ${filename}: insufficient or invalid text content (${text?.length || 0} characters) after extraction.`);
           pdfParseFailedFiles.push(filename);
-          await admin.database().ref(`failed_pdf_parse/${uuidv4()}`).set({
-            filename,
-            reason: 'Insufficient text extracted',
-            timestamp: admin.database.ServerValue.TIMESTAMP,
-          }).catch((error) => console.error(`Failed to save ${filename} to failed_pdf_parse: ${error.message}`));
+          await recordFailure(file, { reason: 'Insufficient text extracted', category: 'extraction', stage, context: { extractor } });
           console.log(`-> Logged ${filename} to pdfParseFailedFiles due to insufficient text.`);
+          failureReason = 'Insufficient text extracted';
+          continue;
+        }
+        // Blind screening: the evaluator and the stored text only see the resume with personal details masked;
+        // the originals are sealed with the candidate further down
+        let redaction = null;
+        if (criteria.blindScreening) {
+          stage = 'redaction';
+          redaction = redactPii(text);
+          // The evaluator never sees the contact details, so the sealed ones come from the text alone
+          const contacts = resolveContacts(text, { name: redaction.identity.name }, { defaultCountry: DEFAULT_PHONE_COUNTRY });
+          redaction.identity = {
+            name: redaction.identity.name,
+            email: contacts.email,
+            phone: contacts.phone,
+            location: contacts.location || redaction.identity.location,
+            links: contacts.links,
+            contactConfidence: contacts.contactConfidence,
+          };
+          console.log(`-> Masked ${redaction.spans.length} personal detail(s) in ${filename} for blind screening`);
+          emit('redaction_finished', { filename, spans: summarizeSpans(redaction.spans) });
+        }
+        const evaluationText = redaction ? redaction.text : text;
+        // Kept so the candidate can be scored against other criteria later without re-extracting; a blind upload keeps
+        // the original too, for re-scoring once the candidate is revealed
+        const textVersions = redaction ? [{ text: redaction.text, redacted: true }, { text, redacted: false }] : [{ text, redacted: false }];
+        for (const version of textVersions) {
+          await tenant.resumeTextStore.save(contentHash, { ...version, extractor, fileName: filename })
+            .catch((error) => console.error(`-> Failed to store extracted text of ${filename}: ${error.message}`));
+        }
+        stage = 'scoring';
+        const evaluationQuota = await checkUsageQuota(tenant, hooks.uid, EVALUATION_QUOTA_METRICS);
+        if (evaluationQuota) {
+          await failOverQuota(evaluationQuota);
           continue;
         }
-        console.log(`-> Sending text from ${filename} to Gemini...`);
-        const parsedCandidateData = await parseWithGemini(text, jobDescription, recruiterSuggestion, apiKey);
-        // Check for Gemini errors using the status field
+        console.log(`-> Sending text from ${filename} to ${llm.provider} (${llm.model})...`);
+        emit('llm_started', { filename, provider: llm.provider, model: llm.model });
+        const parsedCandidateData = await evaluateResume(evaluationText, criteria, llm, (call) =>
+          recordUsage(tenant, hooks.uid, { ...call, fileName: filename, jobId: hooks.jobId }));
+        emit('llm_finished', { filename, status: parsedCandidateData.status, score: parsedCandidateData.status === 200 ? parsedCandidateData.score : null });
+        // Retryable failures (429, 5xx, timeouts) that outlasted the retry budget are reprocessed later instead of failed
+        if (parsedCandidateData.retryable) {
+          const retry = await requeue(file, parsedCandidateData).catch((error) => {
+            console.error(`-> Could not queue ${filename} for reprocessing: ${error.message}`);
+            return null;
+          });
+          if (retry) {
+            requeued = true;
+            console.warn(`-> Queued ${filename} for reprocessing (${retry.id}) at ${new Date(retry.nextAttemptAt).toISOString()} after ${parsedCandidateData.status} from ${llm.provider}.`);
+            emit('file_requeued', { filename, retryId: retry.id, status: parsedCandidateData.status, nextAttemptAt: retry.nextAttemptAt });
+            batchResults.push({
+              error: {
+                status: parsedCandidateData.status,
+                message: parsedCandidateData.parsedText,
+                filename,
+                retryDelay: parsedCandidateData.retryDelay || 'unknown',
+                requeued: true,
+                retryId: retry.id,
+                nextAttemptAt: retry.nextAttemptAt,
+                failureId: retry.failureId,
+              },
+            });
+            continue;
+          }
+        }
+        // Check for LLM errors using the status field
         if (parsedCandidateData.status === 429) {
-          console.warn(`-> Skipping ${filename} due to Gemini API quota exceeded.`);
+          console.warn(`-> Skipping ${filename} due to LLM API quota exceeded.`);
           pdfParseFailedFiles.push(filename);
-          await admin.database().ref(`failed_pdf_parse/${uuidv4()}`).set({
-            filename,
-            reason: 'Gemini API quota exceeded',
-            timestamp: admin.database.ServerValue.TIMESTAMP,
-          }).catch((error) => console.error(`Failed to save ${filename} to failed_pdf_parse: ${error.message}`));
+          const failureId = await recordFailure(file, { reason: 'LLM API quota exceeded', category: 'quota', stage, context: { extractor } });
           batchResults.push({
             error: {
               status: 429,
               message: parsedCandidateData.parsedText,
               filename,
               retryDelay: parsedCandidateData.retryDelay || 'unknown',
+              failureId,
             },
           });
+          failureReason = 'LLM API quota exceeded';
           continue;
         }
         if (parsedCandidateData.status !== 200) {
-          console.warn(`-> Gemini returned an error status for ${filename}: ${parsedCandidateData.name}.`);
+          console.warn(`-> ${llm.provider} returned an error status for ${filename}: ${parsedCandidateData.name}.`);
           pdfParseFailedFiles.push(filename);
-          await admin.database().ref(`failed_pdf_parse/${uuidv4()}`).set({
-            filename,
-            reason: `Gemini parsing error: ${parsedCandidateData.name}`,
-            timestamp: admin.database.ServerValue.TIMESTAMP,
-          }).catch((error) => console.error(`Failed to save ${filename} to failed_pdf_parse: ${error.message}`));
+          const failureId = await recordFailure(file, {
+            reason: `LLM parsing error: ${parsedCandidateData.name}`,
+            category: categorizeEvaluationFailure(parsedCandidateData),
+            stage,
+            context: { extractor, validationErrors: parsedCandidateData.validationErrors },
+          });
           batchResults.push({
             error: {
               status: parsedCandidateData.status,
               message: parsedCandidateData.parsedText,
               filename,
               retryDelay: parsedCandidateData.retryDelay || 'unknown',
+              validationErrors: parsedCandidateData.validationErrors,
+              failureId,
             },
           });
+          failureReason = `LLM parsing error: ${parsedCandidateData.name}`;
           continue;
         }
         const candidate = validateCandidate({
@@ -700,196 +1165,544 @@ async function processResumeFiles(multerFiles, jobDescription, recruiterSuggesti
           id: id,
           approved: false,
           resumeUrl: 'N/A',
+          fileName: filename,
+          sourceArchive: file.sourceArchive,
+          extractor,
+          resumeTextHash: contentHash,
         });
-        console.log(`-> Gemini parsing attempted for ${filename}. Result name: ${candidate.name}, Score: ${candidate.score}`);
+        console.log(`-> LLM parsing attempted for ${filename}. Result name: ${candidate.name}, Score: ${candidate.score}`);
+        // The same file or the same person (email, then phone) is merged into the existing record
+        stage = 'dedup';
+        const match = contentMatch
+          ? { candidateId: contentMatch.id, matchedOn: 'content' }
+          : await tenant.candidateIndex.findByIdentity(redaction ? redaction.identity : candidate).catch((error) => {
+            console.error(`-> Duplicate lookup failed for ${filename}: ${error.message}`);
+            return null;
+          });
+        const existing = contentMatch || (match ? await loadCandidate(tenant, match.candidateId) : null);
+        if (existing) {
+          candidate.id = existing.id;
+          console.log(`-> ${filename} matches existing candidate ${existing.id} by ${match.matchedOn}. Merging.`);
+        }
+        if (redaction) Object.assign(candidate, maskedProfile(candidate.id, filename));
+        stage = 'upload';
         try {
-          const resumeUrl = await uploadToFirebaseStorage(filePath, filename, id);
-          candidate.resumeUrl = resumeUrl;
-          console.log(`-> Uploaded ${filename} to storage. URL: ${resumeUrl}`);
+          candidate.resumePath = await uploadResume(tenant, filePath, redaction ? candidate.fileName : filename, candidate.id, getContentType(file.fileType));
+          candidate.resumeUrl = resumeEndpoint(candidate.id);
+          console.log(`-> Uploaded ${filename} to storage at ${candidate.resumePath}`);
+          emit('upload_finished', { filename, candidateId: candidate.id, resumeUrl: candidate.resumeUrl });
         } catch (uploadError) {
           console.error(`-> Failed to upload ${filename} to storage:`, uploadError);
+          emit('upload_failed', { filename, candidateId: candidate.id, reason: uploadError.message });
           candidate.resumeUrl = 'Upload Failed';
+          candidate.resumePath = null;
           candidate.parsedText = `${candidate.parsedText}\n\nNote: Failed to upload resume file: ${uploadError.message.substring(0, Math.min(uploadError.message.length, 200))}...`;
         }
-        await saveCandidateToRealtimeDatabase(candidate);
-        batchResults.push(candidate);
+        stage = 'save';
+        candidate.processedAt = Date.now();
+        const application = buildApplication(candidate, { criteria, contentHash });
+        if (application.resumePath) application.resumeUrl = resumeEndpoint(candidate.id, application.id);
+        const record = existing
+          ? mergeCandidates(existing, candidate, application)
+          : { ...candidate, applications: [application], contentHashes: [contentHash] };
+        const requisitionScore = criteria.requisitionId ? buildRequisitionScore(record, application) : null;
+        if (requisitionScore) {
+          record.scores = { ...(record.scores || {}), [criteria.requisitionId]: requisitionScore };
+        }
+        if (redaction) {
+          // A candidate recruiters can already see stays visible; everyone else stays blind until revealed
+          if (existing && !isBlind(existing)) {
+            record.name = existing.name;
+            record.links = existing.links;
+          } else {
+            record.blind = { active: true, since: (existing && existing.blind && existing.blind.since) || Date.now() };
+          }
+          await tenant.sealedIdentities.seal(record.id, application.id, {
+            identity: redaction.identity,
+            spans: redaction.spans,
+            originalText: text,
+            fileName: filename,
+            contentHash,
+          });
+        } else if (isBlind(existing)) {
+          // The resume was uploaded without blind screening, so the uploader has seen who it is
+          record.blind = { ...existing.blind, active: false, revealedAt: Date.now(), revealedBy: hooks.uid || null, revealedVia: 'upload' };
+        }
+        // A blind record is indexed under the sealed identity, since its own contact details are masked
+        record.indexKeys = [...new Set([...(record.indexKeys || []), ...indexKeysOf(redaction ? redaction.identity : record, contentHash)])];
+        await saveCandidate(tenant, record);
+        await tenant.candidateIndex.index(record).catch((error) => console.error(`-> Failed to index candidate ${record.id}: ${error.message}`));
+        if (requisitionScore) {
+          await tenant.requisitionStore.recordScore(criteria.requisitionId, requisitionScore)
+            .catch((error) => console.error(`-> Failed to record score for requisition ${criteria.requisitionId}: ${error.message}`));
+        }
+        // A blind upload never answers with the identity, even of a candidate that is already visible
+        const result = redaction && !isBlind(record) ? { ...record, ...maskedProfile(record.id, filename) } : record;
+        batchResults.push(existing ? { ...result, duplicate: { candidateId: existing.id, matchedOn: match.matchedOn, reused: false } } : result);
+        emit('saved', { filename, candidateId: record.id, name: result.name, score: record.score, merged: Boolean(existing) });
         console.log(`-> Finished processing and saving candidate from ${filename}`);
       } catch (err) {
         const errorMessage = err.message || 'An unexpected error occurred during file processing.';
         console.error(`-> Error processing file ${filename}:`, errorMessage);
+        failureReason = errorMessage;
         pdfParseFailedFiles.push(filename);
-        await admin.database().ref(`failed_pdf_parse/${uuidv4()}`).set({
-          filename,
+        const failureId = await recordFailure(file, {
           reason: errorMessage.includes('pdf-parse') ? 'pdf-parse failed' : errorMessage,
-          timestamp: admin.database.ServerValue.TIMESTAMP,
-        }).catch((error) => console.error(`Failed to save ${filename} to failed_pdf_parse: ${error.message}`));
+          category: stage === 'extraction' ? 'extraction' : 'processing_error',
+          stage,
+        });
         batchResults.push({
           error: {
             status: err.status || 500,
             message: errorMessage,
             filename,
+            failureId,
           },
         });
         continue;
       } finally {
+        // A requeued file is still needed by the reprocessing queue
         try {
-          await fsPromises.access(filePath);
-          await fsPromises.unlink(filePath);
-          console.log(`Cleaned up temp file: ${filePath}`);
+          if (!requeued) {
+            await fsPromises.access(filePath);
+            await fsPromises.unlink(filePath);
+            console.log(`Cleaned up temp file: ${filePath}`);
+          }
         } catch (cleanupErr) {
           if (cleanupErr.code !== 'ENOENT') {
             console.error(`Error cleaning up temp file ${filePath} for ${filename}:`, cleanupErr);
           }
         }
+        if (failureReason) {
+          batchFailed += 1;
+          emit('file_failed', { filename, stage, reason: failureReason });
+        }
+        if (hooks.onFileProcessed) {
+          const fileResult = batchResults.length > resultCountBefore ? batchResults[batchResults.length - 1] : null;
+          await hooks.onFileProcessed(file, fileResult);
+        }
       }
     }
+    emit('batch_finished', {
+      batch: batchNumber,
+      totalBatches,
+      succeeded: batchResults.filter((item) => !item.error).length,
+      failed: batchFailed,
+      requeued: batchResults.filter((item) => item.error && item.error.requeued).length,
+    });
     return batchResults;
-  });
+  }, isCancelled);
+  await removeExtractDirs();
 
   const sortedCandidates = candidates.filter((item) => !item.error).sort((a, b) => b.score - a.score);
-  const errors = candidates.filter((item) => item.error);
-  console.log(`\n--- Finished processing ${candidates.length} valid PDF file(s). ---\n`);
+  const errors = [...archiveErrors, ...candidates.filter((item) => item.error)];
+  console.log(`\n--- Finished processing ${candidates.length} resume file(s). ---\n`);
   return {
     success: errors.length === 0,
     totalProcessed: multerFiles.length,
     validPdfProcessed: candidates.length,
-    invalidFilesSkipped: nonPdfFiles.length,
+    invalidFilesSkipped: unsupportedFiles.length,
+    archives,
     candidates: sortedCandidates,
     pdfParseFailedFiles,
     message: errors.length > 0 ? 'Processing completed with errors.' : 'Processing complete.',
     errors,
   };
 }
-// Express App Setup
-const app = express();
-const PORT = process.env.PORT || 3001;
-const allowedOrigins = [
-  'https://www.jobformautomator.com',
-  'https://jobformautomator.com',
-  'http://localhost:3000',
-  'http://localhost:5173',
-];
 
-app.use(
-  cors({
-    origin: (origin, callback) => {
-      if (!origin || allowedOrigins.some(allowed => origin === allowed)) {
-        callback(null, true);
-      } else {
+// Re-score One Stored Candidate
+// Evaluates the candidate's stored resume text against new criteria and appends the result to its applications.
+// Candidates processed before resume text was stored have their resume downloaded and extracted once.
+// The extraction and LLM calls are metered against uid.
+const rescoreCandidate = async (tenant, candidateId, criteria, isPremium, llm, emit, uid) => {
+  const existing = await loadCandidate(tenant, candidateId);
+  if (!existing) {
+    return { error: { status: 404, message: `Candidate ${candidateId} not found.` } };
+  }
+  // Blind candidates and blind re-scoring are evaluated on the masked text
+  const blind = criteria.blindScreening || isBlind(existing);
+  const loadStored = async (hash) => (blind && await tenant.resumeTextStore.get(hash, { redacted: true })) || tenant.resumeTextStore.get(hash);
+  let contentHash = existing.resumeTextHash || null;
+  let stored = await loadStored(contentHash);
+  if (!stored) {
+    const file = await downloadStoredResume(tenant, existing);
+    if (!file) {
+      return { error: { status: 422, message: 'No stored resume text or resume file for this candidate.' } };
+    }
+    try {
+      contentHash = await hashFile(file.path);
+      stored = await loadStored(contentHash);
+      if (!stored) {
+        console.log(`-> No stored text for candidate ${candidateId}. Extracting ${file.originalname} once.`);
+        const fileType = await detectFileType(file.path, file.mimetype, file.originalname);
+        const adobeQuota = isPremium ? await checkUsageQuota(tenant, uid, ADOBE_QUOTA_METRICS) : null;
+        const extractionStart = performance.now();
+        const { text, extractor, pages } = await extractText(file.path, file.originalname, { fileType, isPremium: isPremium && !adobeQuota });
+        await recordUsage(tenant, uid, {
+          kind: 'extraction',
+          extractor,
+          pages,
+          characters: text ? text.length : 0,
+          latencyMs: Math.round(performance.now() - extractionStart),
+          fileName: file.originalname,
+        });
+        if (!text || text.trim().length < 50) {
+          return { error: { status: 422, message: 'Insufficient text extracted from the stored resume.' } };
+        }
+        stored = { text, extractor, fileName: file.originalname };
+        await tenant.resumeTextStore.save(contentHash, stored)
+          .catch((error) => console.error(`-> Failed to store extracted text of ${file.originalname}: ${error.message}`));
+      }
+    } finally {
+      await cleanupTempFiles([file]);
+    }
+  }
+
+  const evaluationQuota = await checkUsageQuota(tenant, uid, EVALUATION_QUOTA_METRICS);
+  if (evaluationQuota) {
+    return { error: { status: evaluationQuota.status, message: evaluationQuota.error, usageQuota: evaluationQuota.quota } };
+  }
+  emit('llm_started', { filename: existing.fileName, candidateId, provider: llm.provider, model: llm.model });
+  const evaluationText = blind && !stored.redacted ? redactPii(stored.text).text : stored.text;
+  const evaluation = await evaluateResume(evaluationText, criteria, llm, (call) =>
+    recordUsage(tenant, uid, { ...call, fileName: existing.fileName, candidateId }));
+  emit('llm_finished', { filename: existing.fileName, candidateId, status: evaluation.status, score: evaluation.status === 200 ? evaluation.score : null });
+  if (evaluation.status !== 200) {
+    return {
+      error: {
+        status: evaluation.status,
+        message: evaluation.parsedText,
+        retryDelay: evaluation.retryDelay,
+        validationErrors: evaluation.validationErrors,
+      },
+    };
+  }
+
+  // Only the scoring fields change; the profile stays as extracted from the resume
+  const scored = validateCandidate({ ...evaluation, id: existing.id });
+  const rescored = {
+    score: scored.score,
+    jdScore: scored.jdScore,
+    rsScore: scored.rsScore,
+    requirements: scored.requirements,
+    scoreWeights: scored.scoreWeights,
+    parsedText: scored.parsedText,
+    llmProvider: scored.llmProvider,
+    llmModel: scored.llmModel,
+    resumeTextHash: contentHash,
+  };
+  const application = buildApplication({ ...existing, ...rescored }, { criteria, contentHash, rescored: true });
+  const record = mergeCandidates(existing, rescored, application);
+  const requisitionScore = criteria.requisitionId ? buildRequisitionScore(record, application) : null;
+  if (requisitionScore) {
+    record.scores = { ...(record.scores || {}), [criteria.requisitionId]: requisitionScore };
+  }
+  await saveCandidate(tenant, record);
+  if (requisitionScore) {
+    await tenant.requisitionStore.recordScore(criteria.requisitionId, requisitionScore)
+      .catch((error) => console.error(`-> Failed to record score for requisition ${criteria.requisitionId}: ${error.message}`));
+  }
+  return { ...record, applications: applicationsOf(record), rescored: { applicationId: application.id, previousScore: existing.score } };
+};
+
+// Re-score Stored Candidates
+// items are { candidateId, originalname, filename } entries so the job manager tracks candidates the way it tracks files.
+// Failures are reported per candidate; nothing is quarantined or requeued since the resume is already stored.
+async function rescoreCandidates(tenant, items, criteria, isPremium, llm, hooks = {}) {
+  const isCancelled = hooks.isCancelled || (() => false);
+  const emit = (type, data = {}) => {
+    if (!hooks.onEvent) return;
+    try {
+      hooks.onEvent({ type, timestamp: Date.now(), ...data });
+    } catch (error) {
+      console.error(`Progress listener failed for event ${type}: ${error.message}`);
+    }
+  };
+  console.log(`Re-scoring ${items.length} stored candidate(s) with ${llm.provider}/${llm.model}`);
+  const candidates = [];
+  const errors = [];
+  for (const item of items) {
+    if (isCancelled()) {
+      console.log('-> Cancellation requested. Stopping re-scoring.');
+      break;
+    }
+    if (hooks.onFileStart) await hooks.onFileStart(item);
+    emit('file_started', { filename: item.originalname, candidateId: item.candidateId });
+    let result;
+    try {
+      result = await rescoreCandidate(tenant, item.candidateId, criteria, isPremium, llm, emit, hooks.uid);
+    } catch (error) {
+      console.error(`-> Error re-scoring candidate ${item.candidateId}:`, error.message);
+      result = { error: { status: 500, message: error.message } };
+    }
+    if (result.error) {
+      result.error.filename = item.originalname;
+      result.error.candidateId = item.candidateId;
+      errors.push(result);
+      emit('file_failed', { filename: item.originalname, candidateId: item.candidateId, stage: 'scoring', reason: result.error.message });
+    } else {
+      candidates.push(result);
+      emit('saved', { filename: item.originalname, candidateId: result.id, name: result.name, score: result.score, rescored: true });
+      console.log(`-> Re-scored candidate ${result.id}: ${result.rescored.previousScore} -> ${result.score}`);
+    }
+    if (hooks.onFileProcessed) await hooks.onFileProcessed(item, result);
+  }
+  return {
+    success: errors.length === 0,
+    totalProcessed: items.length,
+    candidates: candidates.sort((a, b) => b.score - a.score),
+    pdfParseFailedFiles: [],
+    message: errors.length > 0 ? 'Re-scoring completed with errors.' : 'Re-scoring complete.',
+    errors,
+  };
+}
+// Express App Setup
+const app = express();
+const PORT = process.env.PORT || 3001;
+const allowedOrigins = [
+  'https://www.jobformautomator.com',
+  'https://jobformautomator.com',
+  'http://localhost:3000',
+  'http://localhost:5173',
+];
+
+app.use(
+  cors({
+    origin: (origin, callback) => {
+      if (!origin || allowedOrigins.some(allowed => origin === allowed)) {
+        callback(null, true);
+      } else {
         console.log('Blocked Origin:', origin);
         callback(new Error('Not allowed by CORS'));
       }
     },
-    methods: ['GET', 'POST', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: true,
   })
 );
-// Configure Multer for Single File Upload
+
+// Stored provider keys and secret fields are masked in every JSON response, including error payloads
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(redactResponse(body));
+  next();
+});
+
+// Authentication and Organization Scoping
+// Every route except the health check needs a Firebase ID token; req.tenant holds the caller's organization stores.
+// AUTH_DISABLED=true runs every request as one local user in DEFAULT_ORG_ID, for development only.
+const authDisabled = process.env.AUTH_DISABLED === 'true';
+if (authDisabled) {
+  console.warn('WARNING: AUTH_DISABLED is set. Requests are not authenticated and all run in one organization.');
+}
+app.use(
+  createAuthenticator({
+    auth: authDisabled ? null : initializeFirebase().auth(),
+    database,
+    // /resume-file is authorized by its signed token instead
+    publicPaths: ['/', '/resume-file'],
+    disabled: authDisabled,
+    defaultUser: { uid: 'local', email: null, orgId: process.env.DEFAULT_ORG_ID || 'local', isPremium: process.env.DEFAULT_ORG_PREMIUM === 'true' },
+  }),
+  (req, res, next) => {
+    if (req.user) req.tenant = getTenant(req.user.orgId);
+    next();
+  }
+);
+// Configure Multer for Resume Uploads
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES, 10) || 200;
 const upload = multer({
   dest: os.tmpdir(),
   limits: {
     fileSize: 10 * 1024 * 1024,
   },
   fileFilter: (req, file, callback) => {
-    if (file.mimetype === 'application/pdf') {
+    if (isSupportedUpload(file.mimetype, file.originalname) || isArchiveUpload(file.mimetype, file.originalname)) {
       callback(null, true);
     } else {
-      callback(new Error(`Invalid file type: ${file.originalname}. Only PDF files are allowed.`), false);
+      callback(new Error(`Invalid file type: ${file.originalname}. Allowed types: ${[...SUPPORTED_EXTENSIONS, '.zip'].join(', ')}.`), false);
     }
   },
 });
 
-// Multer Error Handling Middleware
-app.use((err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        error: `File too large: ${err.field}. Maximum size is 10MB.`,
-      });
+// Batch uploads accept every file; processResumeFiles reports unsupported entries per file instead of failing the whole request
+const batchUpload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+    files: MAX_BATCH_FILES,
+  },
+});
+
+// Background Job Manager
+const progressBus = createProgressBus();
+// Jobs are stored with the data of the organization that submitted them; other organizations see them as missing
+const ownsJob = (req, job) => Boolean(job) && job.orgId === req.user.orgId;
+const jobManager = createJobManager({
+  store: createJobStore(process.env.JOB_STORE || 'firebase', {
+    database,
+    filePath: process.env.JOB_STORE_PATH || path.join(__dirname, 'data', 'jobs.json'),
+    rootOf: (orgId) => tenantPaths(orgId, process.env.LEGACY_ORG_ID).databaseRoot,
+  }),
+  processFiles: (files, params, hooks) =>
+    params.rescore
+      ? rescoreCandidates(params.tenant, files, params.criteria, params.isPremium, params.llm, { ...hooks, uid: params.uid })
+      : processResumeFiles(params.tenant, files, params.criteria, params.isPremium, params.llm, { ...hooks, uid: params.uid }),
+  cleanupFiles: cleanupTempFiles,
+  progress: progressBus,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1,
+});
+
+// Automatic Reprocessing Queue
+// Each queued file has an open failure record (see processResumeFiles); a run updates it when the file fails for good
+// and resolves it on success. A record someone already retried or erased by hand is left alone.
+const reprocessQueue = createReprocessQueue({
+  processFiles: async (files, params, hooks) => {
+    const { tenant, failureId } = params;
+    const failure = failureId ? await tenant.failureStore.get(failureId) : null;
+    if (failureId && (!failure || (failure.status || 'open') !== 'open')) {
+      console.log(`Skipping reprocessing of ${files[0].originalname}: failure ${failureId} is ${failure ? failure.status : 'gone'}.`);
+      return { candidates: [] };
     }
-    return res.status(400).json({
-      success: false,
-      error: err.message,
-    });
-  } else if (err) {
-    return res.status(400).json({
-      success: false,
-      error: err.message,
-    });
-  }
-  next();
+    const results = await processResumeFiles(tenant, files, params.criteria, params.isPremium, params.llm, { ...hooks, uid: params.uid, failureId });
+    const candidate = results.candidates[0];
+    if (failure && candidate) await tenant.failureStore.resolve(failureId, failure, candidate.id);
+    return results;
+  },
 });
 
+// Usage Quotas for New Work
+// Requests that would extract or evaluate resumes are refused up front once a quota is used up: 429 with Retry-After
+// for a daily quota, 402 for a monthly one. Uploaded temp files are removed.
+const UPLOAD_QUOTA_METRICS = [...EXTRACTION_QUOTA_METRICS, ...EVALUATION_QUOTA_METRICS];
+const requireUsageQuota = (metrics) => async (req, res, next) => {
+  const quota = await checkUsageQuota(req.tenant, req.user.uid, metrics);
+  if (!quota) return next();
+  await cleanupTempFiles(req.files || (req.file ? [req.file] : []));
+  console.warn(`Refused ${req.method} ${req.path} for user ${req.user.uid}: ${quota.error}`);
+  if (quota.status === 429) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((quota.quota.resetAt - Date.now()) / 1000))));
+  }
+  res.status(quota.status).json({ success: false, error: quota.error, quota: quota.quota, pdfParseFailedFiles: [] });
+};
+
+// Responds with every candidate and per-file error of a processResumeFiles run
+const sendBatchResults = (res, results) => {
+  const errors = results.errors || [];
+  const hasQuotaError = errors.some((err) => err.error.status === 429 && !err.error.requeued);
+  // A usage quota that ran out mid-batch keeps its own status (429 daily, 402 monthly)
+  const usageQuotaError = errors.find((err) => err.error.usageQuota);
+  const status = results.candidates.length > 0 ? 200 : usageQuotaError ? usageQuotaError.error.status : hasQuotaError ? 429 : 200;
+
+  res.status(status).json({
+    success: results.success,
+    message: results.message,
+    totalProcessed: results.totalProcessed,
+    validPdfProcessed: results.validPdfProcessed || 0,
+    invalidFilesSkipped: results.invalidFilesSkipped || 0,
+    archives: results.archives || [],
+    candidates: results.candidates,
+    errors,
+    pdfParseFailedFiles: results.pdfParseFailedFiles || [],
+  });
+};
+
 // API Route for Resume Parsing
 
 
-app.post('/parse-resumes', upload.single('file'), async (req, res) => {
+app.post('/parse-resumes', upload.single('file'), requireUsageQuota(UPLOAD_QUOTA_METRICS), async (req, res) => {
   console.log('POST request received to /parse-resumes');
+  const { tenant } = req;
   const tempFile = req.file;
-  const jobDescription = req.body.jd || '';
-  const recruiterSuggestion = req.body.rs || '';
-  const isPremium = req.body.status === 'true' || req.body.status === true;
-  const apiKey = req.body.api_key;
+  const criteria = await resolveCriteria(tenant, req.body);
+  const isPremium = req.user.isPremium;
+  const llm = await resolveRequestLlm(req);
   console.log(`User isPremium: ${isPremium}`);
-  console.log('api_key', apiKey);
 
   try {
     if (!tempFile) {
       console.log('No file received in the request.');
       return res.status(400).json({
         success: false,
-        error: 'No file uploaded. Please upload a PDF file with the field name \'file\'.',
+        error: `No file uploaded. Please upload a resume file (${SUPPORTED_EXTENSIONS.join(', ')}) with the field name 'file'.`,
         pdfParseFailedFiles: [],
       });
     }
 
     console.log(`Received file: ${tempFile.originalname}`);
+    if (criteria.error) {
+      console.error(`Cannot process file: ${criteria.error}`);
+      await cleanupTempFiles([tempFile]);
+      return res.status(criteria.status || 400).json({
+        success: false,
+        error: criteria.error,
+        pdfParseFailedFiles: [],
+      });
+    }
+
+    const { jobDescription, recruiterSuggestion } = criteria;
     console.log('JD (partial):', jobDescription.substring(0, Math.min(jobDescription.length, 100)) + (jobDescription.length > 100 ? '...' : ''));
     console.log('RS (partial):', recruiterSuggestion.substring(0, Math.min(recruiterSuggestion.length, 100)) + (recruiterSuggestion.length > 100 ? '...' : ''));
 
-    if (!apiKey || admin.apps.length === 0 || !admin.database() || !admin.storage().bucket()) {
-      const reason = !apiKey ? 'Gemini API Key is not configured.' : 'Firebase Admin SDK failed to initialize.';
-      console.error(`Cannot process file: ${reason}`);
-      const id = uuidv4();
-      const candidate = validateCandidate({
-        id: id,
-        name: reason.includes('Gemini') ? 'API Key Missing' : 'Service Error',
-        email: `${reason.includes('Gemini') ? 'api_key_missing' : 'service_error'}_${id}@example.com`,
-        phone: 'N/A',
-        location: 'N/A',
-        score: 0,
-        parsedText: `Processing skipped: ${reason} File: ${tempFile.originalname}`,
-        skills: [],
-        experience: 0,
-        jobTitle: 'Error',
-        education: 'N/A',
-        resumeUrl: `File received: ${tempFile.originalname}`,
-      });
-      await saveCandidateToRealtimeDatabase(candidate);
+    if (llm.error) {
+      console.error(`Cannot process file: ${llm.error}`);
+      await cleanupTempFiles([tempFile]);
       return res.status(400).json({
         success: false,
-        candidate,
+        error: llm.error,
         pdfParseFailedFiles: [],
-        error: reason,
       });
     }
 
-    const results = await processResumeFiles([tempFile], jobDescription, recruiterSuggestion, isPremium, apiKey);
+    const results = await processResumeFiles(tenant, [tempFile], criteria, isPremium, llm, { uid: req.user.uid });
     // Log results.errors in the requested format, with a guard for empty errors
     console.log("result", "suman", results.errors && results.errors[0] ? results.errors[0].error.status : 'no errors');
 
+    // A ZIP upload expands into several resumes, so it gets the batch response with every candidate
+    if (results.archives && results.archives.length > 0) {
+      return sendBatchResults(res, results);
+    }
+
+    // A file that outlasted the retry budget is reprocessed automatically; report where to follow it
+    const requeuedError = results.errors && results.errors.find((err) => err.error.requeued);
+    if (requeuedError) {
+      return res.status(202).json({
+        success: true,
+        candidate: null,
+        queuedForRetry: true,
+        retryId: requeuedError.error.retryId,
+        nextAttemptAt: requeuedError.error.nextAttemptAt,
+        statusUrl: `/reprocessing/${requeuedError.error.retryId}`,
+        failureId: requeuedError.error.failureId,
+        message: `${llm.provider} is rate limiting or unavailable. The resume will be processed automatically.`,
+        pdfParseFailedFiles: results.pdfParseFailedFiles || [],
+      });
+    }
+
+    // The caller's or the organization's usage quota ran out before the file could be processed
+    const quotaError = results.errors && results.errors.find((err) => err.error.usageQuota);
+    if (quotaError) {
+      return res.status(quotaError.error.status).json({
+        success: false,
+        error: quotaError.error.message,
+        quota: quotaError.error.usageQuota,
+        failureId: quotaError.error.failureId,
+        pdfParseFailedFiles: results.pdfParseFailedFiles || [],
+        candidate: null,
+      });
+    }
+
     // Check for 429 errors in results
     if (results.errors && results.errors.some((err) => err.error.status === 429)) {
       const errorDetails = results.errors.find((err) => err.error.status === 429);
       console.error(
-        `[Gemini 429 Error in /parse-resumes] File: ${errorDetails.error.filename}, Message: ${errorDetails.error.message}, Retry after: ${errorDetails.error.retryDelay}`
+        `[LLM 429 Error in /parse-resumes] Provider: ${llm.provider}, File: ${errorDetails.error.filename}, Message: ${errorDetails.error.message}, Retry after: ${errorDetails.error.retryDelay}`
       );
       return res.status(429).json({
         success: false,
-        error: 'Quota exceeded for Gemini API',
-        message: 'You’ve exceeded the daily request limit. Please upgrade your Gemini API plan or try again later.',
+        error: `Quota exceeded for ${llm.provider} API`,
+        message: `You’ve exceeded the daily request limit. Please upgrade your ${llm.provider} API plan or try again later.`,
         retryAfter: errorDetails.error.retryDelay || 'unknown',
         pdfParseFailedFiles: results.pdfParseFailedFiles || [],
         candidate: null,
@@ -916,18 +1729,16 @@ app.post('/parse-resumes', upload.single('file'), async (req, res) => {
     const errorMessage = error.message || 'Unexpected error during processing.';
     console.error('[Overall Request Error in /parse-resumes]', errorMessage, error);
 
-    // Check for 429 error from Gemini API
+    // Check for 429 error from the LLM API
     if (error.status === 429 || (error.response && error.response.status === 429)) {
-      const retryDelay = error.response?.data?.error?.details?.find(
-        (detail) => detail['@type'] === 'type.googleapis.com/google.rpc.RetryInfo'
-      )?.retryDelay || 'unknown';
+      const retryDelay = error.retryDelay || 'unknown';
       console.error(
-        `[Gemini 429 Error in /parse-resumes] File: ${tempFile?.originalname || 'unknown'}, Message: ${errorMessage}, Retry after: ${retryDelay}`
+        `[LLM 429 Error in /parse-resumes] Provider: ${llm.provider}, File: ${tempFile?.originalname || 'unknown'}, Message: ${errorMessage}, Retry after: ${retryDelay}`
       );
       return res.status(429).json({
         success: false,
-        error: 'Quota exceeded for Gemini API',
-        message: 'You’ve exceeded the daily request limit. Please upgrade your Gemini API plan or try again later.',
+        error: `Quota exceeded for ${llm.provider} API`,
+        message: `You’ve exceeded the daily request limit. Please upgrade your ${llm.provider} API plan or try again later.`,
         retryAfter: retryDelay,
         pdfParseFailedFiles: [],
         candidate: null,
@@ -960,8 +1771,1079 @@ app.post('/', (req, res) => {
   return res.send({ message: 'hello from parse resume' });
 });
 
+// API Route for Batch Resume Parsing
+app.post('/parse-resumes/batch', batchUpload.array('files', MAX_BATCH_FILES), requireUsageQuota(UPLOAD_QUOTA_METRICS), async (req, res) => {
+  console.log('POST request received to /parse-resumes/batch');
+  const { tenant } = req;
+  const tempFiles = req.files || [];
+  const criteria = await resolveCriteria(tenant, req.body);
+  const isPremium = req.user.isPremium;
+  const llm = await resolveRequestLlm(req);
+  console.log(`User isPremium: ${isPremium}, files received: ${tempFiles.length}, provider: ${llm.provider || 'invalid'}`);
+
+  try {
+    if (tempFiles.length === 0) {
+      console.log('No files received in the batch request.');
+      return res.status(400).json({
+        success: false,
+        error: `No files uploaded. Please upload up to ${MAX_BATCH_FILES} resume files with the field name 'files'.`,
+        candidates: [],
+        errors: [],
+        pdfParseFailedFiles: [],
+      });
+    }
+
+    if (llm.error || criteria.error) {
+      console.error(`Cannot process batch: ${llm.error || criteria.error}`);
+      await cleanupTempFiles(tempFiles);
+      return res.status(llm.error ? 400 : criteria.status || 400).json({
+        success: false,
+        error: llm.error || criteria.error,
+        candidates: [],
+        errors: [],
+        pdfParseFailedFiles: [],
+      });
+    }
+
+    const results = await processResumeFiles(tenant, tempFiles, criteria, isPremium, llm, { uid: req.user.uid });
+    sendBatchResults(res, results);
+  } catch (error) {
+    const errorMessage = error.message || 'Unexpected error during batch processing.';
+    console.error('[Overall Request Error in /parse-resumes/batch]', errorMessage, error);
+    await cleanupTempFiles(tempFiles);
+    res.status(500).json({
+      success: false,
+      error: errorMessage,
+      candidates: [],
+      errors: [],
+      pdfParseFailedFiles: [],
+    });
+  }
+});
+
+// API Routes for Asynchronous Parsing Jobs
+app.post('/jobs', batchUpload.array('files', MAX_BATCH_FILES), requireUsageQuota(UPLOAD_QUOTA_METRICS), async (req, res) => {
+  console.log('POST request received to /jobs');
+  const { tenant } = req;
+  const tempFiles = req.files || [];
+  const criteria = await resolveCriteria(tenant, req.body);
+  const isPremium = req.user.isPremium;
+  const llm = await resolveRequestLlm(req);
+
+  if (tempFiles.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: `No files uploaded. Please upload up to ${MAX_BATCH_FILES} resume files with the field name 'files'.`,
+    });
+  }
+  if (llm.error || criteria.error) {
+    await cleanupTempFiles(tempFiles);
+    return res.status(llm.error ? 400 : criteria.status || 400).json({
+      success: false,
+      error: llm.error || criteria.error,
+    });
+  }
+
+  try {
+    const job = await jobManager.submit(tempFiles, { tenant, orgId: tenant.orgId, uid: req.user.uid, criteria, isPremium, llm });
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+    });
+  } catch (error) {
+    console.error('[Error in POST /jobs]', error.message, error);
+    await cleanupTempFiles(tempFiles);
+    res.status(500).json({
+      success: false,
+      error: `Failed to create job: ${error.message}`,
+    });
+  }
+});
+
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobManager.get(req.tenant.orgId, req.params.id);
+    if (!ownsJob(req, job)) {
+      return res.status(404).json({ success: false, error: `Job ${req.params.id} not found.` });
+    }
+    res.status(200).json({ success: true, job: toPublicJob(job) });
+  } catch (error) {
+    console.error(`[Error in GET /jobs/${req.params.id}]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Server-Sent Events stream of per-file progress for a job
+app.get('/jobs/:id/events', async (req, res) => {
+  const jobId = req.params.id;
+  let job;
+  try {
+    job = await jobManager.get(req.tenant.orgId, jobId);
+  } catch (error) {
+    console.error(`[Error in GET /jobs/${jobId}/events]`, error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+  if (!ownsJob(req, job)) {
+    return res.status(404).json({ success: false, error: `Job ${jobId} not found.` });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // Replay what the client missed, either since its Last-Event-ID or from the beginning
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  progressBus.history(jobId, lastEventId).forEach((event) => writeSseEvent(res, event));
+
+  // Finished jobs from a previous process have no live history; send their final state and close
+  if (progressBus.isClosed(jobId) || ['completed', 'failed', 'cancelled', 'interrupted'].includes(job.status)) {
+    writeSseEvent(res, { id: lastEventId, type: 'snapshot', timestamp: Date.now(), job: toPublicJob(job) });
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = progressBus.subscribe(jobId, (event) => writeSseEvent(res, event));
+  const stopListening = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    unsubscribeClose();
+  };
+  const unsubscribeClose = progressBus.onClose(jobId, () => {
+    stopListening();
+    res.end();
+  });
+  req.on('close', stopListening);
+});
+
+app.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    if (!ownsJob(req, await jobManager.get(req.tenant.orgId, req.params.id))) {
+      return res.status(404).json({ success: false, error: `Job ${req.params.id} not found.` });
+    }
+    const job = await jobManager.cancel(req.tenant.orgId, req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Job ${req.params.id} not found.` });
+    }
+    res.status(200).json({ success: true, job: toPublicJob(job) });
+  } catch (error) {
+    console.error(`[Error in POST /jobs/${req.params.id}/cancel]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API Routes for Failed Files
+app.get('/failures', async (req, res) => {
+  const { tenant } = req;
+  const { status, category, jobId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  if (category && !FAILURE_CATEGORIES.includes(category)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown failure category '${category}'. Supported categories: ${FAILURE_CATEGORIES.join(', ')}.`,
+    });
+  }
+  try {
+    const failures = await tenant.failureStore.list({ status, category, jobId, limit });
+    res.status(200).json({ success: true, count: failures.length, failures });
+  } catch (error) {
+    console.error('[Error in GET /failures]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rerun the pipeline on a quarantined file. The original JD, RS, weights and provider apply unless the request
+// overrides them; the caller's stored key for the provider is used. extractor forces one PDF extractor.
+app.post('/failures/:id/retry', express.json(), upload.none(), requireUsageQuota(UPLOAD_QUOTA_METRICS), async (req, res) => {
+  const { tenant } = req;
+  const failureId = req.params.id;
+  const body = req.body || {};
+  let file = null;
+  let retrying = false;
+  try {
+    const failure = await tenant.failureStore.get(failureId);
+    if (!failure) {
+      return res.status(404).json({ success: false, error: `Failure ${failureId} not found.` });
+    }
+    if ((failure.status || 'open') !== 'open') {
+      return res.status(409).json({ success: false, error: `Failure ${failureId} is already ${failure.status}.` });
+    }
+    if (!failure.quarantinePath) {
+      return res.status(409).json({ success: false, error: 'No quarantined file is kept for this failure. Upload the resume again.' });
+    }
+
+    const extractor = body.extractor ? String(body.extractor).trim().toLowerCase() : undefined;
+    if (extractor && !PDF_EXTRACTORS.includes(extractor)) {
+      return res.status(400).json({ success: false, error: `Unknown extractor '${extractor}'. Supported extractors: ${PDF_EXTRACTORS.join(', ')}.` });
+    }
+    const criteria = await resolveCriteria(tenant, {
+      requisition_id: body.requisition_id ?? failure.requisitionId,
+      jd: body.jd ?? failure.jobDescription,
+      rs: body.rs ?? failure.recruiterSuggestion,
+      jd_weight: body.jd_weight ?? failure.weights?.jd,
+      rs_weight: body.rs_weight ?? failure.weights?.rs,
+      blind_screening: body.blind_screening ?? failure.blindScreening,
+    });
+    const sameProvider = !body.provider || body.provider === failure.provider;
+    const llm = await resolveRequestLlm(req, {
+      provider: body.provider || failure.provider,
+      model: body.model || (sameProvider ? failure.model : ''),
+    });
+    if (criteria.error || llm.error) {
+      return res.status(llm.error ? 400 : criteria.status || 400).json({ success: false, error: criteria.error || llm.error });
+    }
+
+    console.log(`Retrying failure ${failureId} (${failure.filename}) with ${llm.provider}/${llm.model}${extractor ? ` and extractor ${extractor}` : ''}`);
+    file = await tenant.failureStore.restoreFile(failureId, failure);
+    await tenant.failureStore.update(failureId, { status: 'retrying', retryCount: (failure.retryCount || 0) + 1, lastRetryAt: Date.now() });
+    retrying = true;
+    // A manual retry that hits a rate limit fails back to the record instead of joining the reprocessing queue
+    const results = await processResumeFiles(tenant, [file], criteria, req.user.isPremium, llm, {
+      failureId,
+      extractor,
+      jobId: failure.jobId,
+      uid: req.user.uid,
+      requeue: async () => null,
+    });
+    await cleanupTempFiles([file]);
+
+    const candidate = results.candidates[0] || null;
+    if (candidate) {
+      await tenant.failureStore.resolve(failureId, failure, candidate.id);
+    } else {
+      await tenant.failureStore.update(failureId, { status: 'open' });
+    }
+    const updated = toPublicFailure(failureId, await tenant.failureStore.get(failureId));
+    if (candidate) {
+      return res.status(200).json({ success: true, candidate, failure: updated });
+    }
+    const error = results.errors && results.errors[0] ? results.errors[0].error : null;
+    res.status(error && (error.status === 429 || error.usageQuota) ? error.status : 422).json({
+      success: false,
+      error: error ? error.message : results.message,
+      retryAfter: error && error.status === 429 ? error.retryDelay : undefined,
+      quota: error ? error.usageQuota : undefined,
+      failure: updated,
+    });
+  } catch (error) {
+    console.error(`[Error in POST /failures/${failureId}/retry]`, error.message, error);
+    if (retrying) {
+      await tenant.failureStore.update(failureId, { status: 'open' }).catch(() => {});
+    }
+    if (file) await cleanupTempFiles([file]);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API Routes for Requisitions
+app.post('/requisitions', express.json(), upload.none(), async (req, res) => {
+  const { tenant } = req;
+  const input = parseRequisitionInput(req.body);
+  if (input.error) {
+    return res.status(400).json({ success: false, error: input.error });
+  }
+  try {
+    const requisition = await tenant.requisitionStore.create(input.fields);
+    console.log(`Created requisition ${requisition.id} (${requisition.title})`);
+    res.status(201).json({ success: true, requisition });
+  } catch (error) {
+    console.error('[Error in POST /requisitions]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/requisitions', async (req, res) => {
+  const { tenant } = req;
+  const { status } = req.query;
+  if (status && !REQUISITION_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of ${REQUISITION_STATUSES.join(', ')}.` });
+  }
+  try {
+    const requisitions = await tenant.requisitionStore.list({ status });
+    res.status(200).json({ success: true, count: requisitions.length, requisitions });
+  } catch (error) {
+    console.error('[Error in GET /requisitions]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/requisitions/:id', async (req, res) => {
+  const { tenant } = req;
+  try {
+    const requisition = await tenant.requisitionStore.get(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({ success: false, error: `Requisition ${req.params.id} not found.` });
+    }
+    res.status(200).json({ success: true, requisition });
+  } catch (error) {
+    console.error(`[Error in GET /requisitions/${req.params.id}]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Changing the JD, RS or weights applies to later evaluations; scores already recorded keep the criteria they were made with
+app.patch('/requisitions/:id', express.json(), upload.none(), async (req, res) => {
+  const { tenant } = req;
+  try {
+    const existing = await tenant.requisitionStore.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: `Requisition ${req.params.id} not found.` });
+    }
+    const input = parseRequisitionInput(req.body, existing);
+    if (input.error) {
+      return res.status(400).json({ success: false, error: input.error });
+    }
+    const requisition = await tenant.requisitionStore.update(existing.id, input.fields);
+    res.status(200).json({ success: true, requisition });
+  } catch (error) {
+    console.error(`[Error in PATCH /requisitions/${req.params.id}]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/requisitions/:id', async (req, res) => {
+  const { tenant } = req;
+  try {
+    const existing = await tenant.requisitionStore.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: `Requisition ${req.params.id} not found.` });
+    }
+    await tenant.requisitionStore.remove(existing.id);
+    console.log(`Deleted requisition ${existing.id} (${existing.title})`);
+    res.status(200).json({ success: true, id: existing.id });
+  } catch (error) {
+    console.error(`[Error in DELETE /requisitions/${req.params.id}]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Candidates scored against a requisition, highest score first
+app.get('/requisitions/:id/candidates', async (req, res) => {
+  const { tenant } = req;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  try {
+    const requisition = await tenant.requisitionStore.get(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({ success: false, error: `Requisition ${req.params.id} not found.` });
+    }
+    const scores = await tenant.requisitionStore.listScores(requisition.id, limit);
+    const candidates = await Promise.all(scores.map(async (score) => {
+      const candidate = await loadCandidate(tenant, score.candidateId);
+      return {
+        ...score,
+        name: candidate ? candidate.name : null,
+        email: candidate ? candidate.email : null,
+        jobTitle: candidate ? candidate.jobTitle : null,
+        approved: candidate ? candidate.approved === true : false,
+        resumeUrl: candidate ? candidate.resumeUrl : null,
+      };
+    }));
+    res.status(200).json({ success: true, requisitionId: requisition.id, count: candidates.length, candidates });
+  } catch (error) {
+    console.error(`[Error in GET /requisitions/${req.params.id}/candidates]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// candidate_ids as a JSON array or a comma-separated string, without duplicates
+const parseCandidateIds = (value) => [...new Set((Array.isArray(value) ? value : String(value || '').split(','))
+  .map((id) => String(id).trim())
+  .filter(Boolean))];
+
+// Score stored candidates against a requisition without uploading their resumes again.
+// Runs as a re-scoring job: each candidate is evaluated from its stored resume text and keeps the score per requisition.
+app.post('/requisitions/:id/evaluate', express.json(), upload.none(), requireUsageQuota(EVALUATION_QUOTA_METRICS), async (req, res) => {
+  const { tenant } = req;
+  const body = req.body || {};
+  const candidateIds = parseCandidateIds(body.candidate_ids);
+  if (candidateIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'candidate_ids is required.' });
+  }
+  if (candidateIds.length > MAX_RESCORE_CANDIDATES) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_RESCORE_CANDIDATES} candidates can be evaluated per request.` });
+  }
+  try {
+    const criteria = await resolveCriteria(tenant, { requisition_id: req.params.id });
+    if (criteria.error) {
+      return res.status(criteria.status || 400).json({ success: false, error: criteria.error });
+    }
+    await submitRescoreJob(req, res, candidateIds, criteria);
+  } catch (error) {
+    console.error(`[Error in POST /requisitions/${req.params.id}/evaluate]`, error.message, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API Route for Searching Candidates
+// Filters: min_score, max_score, skills (comma-separated) with skills_match=any|all, min_experience, location, job_title,
+// approved, stage (comma-separated), processed_after, processed_before; q searches name and summary. sort=score|processedAt|name|experience with
+// order=asc|desc; pass nextCursor back as cursor for the following page.
+app.get('/candidates', async (req, res) => {
+  const { tenant } = req;
+  const query = parseCandidateQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ success: false, error: query.error });
+  }
+  try {
+    const { candidates, total, nextCursor } = await tenant.candidateSearch.search(query);
+    res.status(200).json({ success: true, count: candidates.length, total, nextCursor, candidates });
+  } catch (error) {
+    console.error('[Error in GET /candidates]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API Routes for Re-scoring Stored Candidates
+const MAX_RESCORE_CANDIDATES = parseInt(process.env.MAX_RESCORE_CANDIDATES, 10) || 1000;
+
+// Queue a re-scoring job for candidateIds and send the 202 response
+const submitRescoreJob = async (req, res, candidateIds, criteria) => {
+  const { tenant } = req;
+  const body = req.body || {};
+  const isPremium = req.user.isPremium;
+  const llm = await resolveRequestLlm(req, body);
+  if (llm.error) {
+    return res.status(400).json({ success: false, error: llm.error });
+  }
+  const items = [];
+  const skipped = [];
+  for (const candidateId of candidateIds) {
+    const candidate = await loadCandidate(tenant, candidateId);
+    if (!candidate) {
+      skipped.push({ candidateId, reason: 'Candidate not found.' });
+      continue;
+    }
+    items.push({
+      candidateId,
+      originalname: candidate.fileName && candidate.fileName !== 'N/A' ? candidate.fileName : candidate.name || candidateId,
+      filename: candidateId,
+      size: 0,
+    });
+  }
+  if (items.length === 0) {
+    return res.status(404).json({ success: false, error: 'None of the candidates were found.', skipped });
+  }
+  const job = await jobManager.submit(items, { tenant, orgId: tenant.orgId, uid: req.user.uid, criteria, isPremium, llm, rescore: true });
+  console.log(`Re-scoring ${items.length} candidate(s) in job ${job.id}${criteria.requisitionId ? ` for requisition ${criteria.requisitionId}` : ''}`);
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    skipped,
+  });
+};
+
+// Re-run only the evaluation step for candidate_ids against a requisition (requisition_id) or a free-text jd/rs.
+// New scores are appended to each candidate's applications; earlier scores are kept.
+app.post('/candidates/rescore', express.json(), upload.none(), requireUsageQuota(EVALUATION_QUOTA_METRICS), async (req, res) => {
+  const { tenant } = req;
+  const body = req.body || {};
+  const candidateIds = parseCandidateIds(body.candidate_ids);
+  if (candidateIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'candidate_ids is required.' });
+  }
+  if (candidateIds.length > MAX_RESCORE_CANDIDATES) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_RESCORE_CANDIDATES} candidates can be re-scored per request.` });
+  }
+  if (!body.requisition_id && !body.jd && !body.rs) {
+    return res.status(400).json({ success: false, error: 'Provide requisition_id, or jd and/or rs to score against.' });
+  }
+  try {
+    const criteria = await resolveCriteria(tenant, body);
+    if (criteria.error) {
+      return res.status(criteria.status || 400).json({ success: false, error: criteria.error });
+    }
+    await submitRescoreJob(req, res, candidateIds, criteria);
+  } catch (error) {
+    console.error('[Error in POST /candidates/rescore]', error.message, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-score a requisition's candidates against its current JD, RS and weights, e.g. after the JD was edited.
+// Every candidate scored for the requisition is included unless candidate_ids narrows it down.
+app.post('/requisitions/:id/rescore', express.json(), upload.none(), requireUsageQuota(EVALUATION_QUOTA_METRICS), async (req, res) => {
+  const { tenant } = req;
+  const body = req.body || {};
+  try {
+    const criteria = await resolveCriteria(tenant, { requisition_id: req.params.id });
+    if (criteria.error) {
+      return res.status(criteria.status || 400).json({ success: false, error: criteria.error });
+    }
+    let candidateIds = parseCandidateIds(body.candidate_ids);
+    if (candidateIds.length === 0) {
+      const scores = await tenant.requisitionStore.listScores(criteria.requisitionId, MAX_RESCORE_CANDIDATES);
+      candidateIds = scores.map((score) => score.candidateId);
+    }
+    if (candidateIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'No candidates have been scored for this requisition yet.' });
+    }
+    if (candidateIds.length > MAX_RESCORE_CANDIDATES) {
+      return res.status(400).json({ success: false, error: `At most ${MAX_RESCORE_CANDIDATES} candidates can be re-scored per request.` });
+    }
+    await submitRescoreJob(req, res, candidateIds, criteria);
+  } catch (error) {
+    console.error(`[Error in POST /requisitions/${req.params.id}/rescore]`, error.message, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API Routes for the Recruiter Pipeline
+// The signed-in recruiter making a move is kept in the audit trail with the note
+const actorOf = (req) => req.user.email || req.user.uid;
+
+app.post('/candidates/:id/stage', express.json(), upload.none(), async (req, res) => {
+  const { tenant } = req;
+  const body = req.body || {};
+  const actor = actorOf(req);
+  try {
+    const result = await tenant.pipeline.transition(req.params.id, {
+      to: String(body.stage || '').trim().toLowerCase(),
+      actor,
+      note: body.note ? String(body.note).substring(0, 2000) : '',
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    res.status(200).json({ success: true, candidateId: req.params.id, stage: result.to, previousStage: result.from, entry: result.entry });
+  } catch (error) {
+    console.error(`[Error in POST /candidates/${req.params.id}/stage]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/candidates/:id/history', async (req, res) => {
+  const { tenant } = req;
+  try {
+    const candidate = await loadCandidate(tenant, req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ success: false, error: `Candidate ${req.params.id} not found.` });
+    }
+    const history = await tenant.pipeline.history(candidate.id);
+    res.status(200).json({ success: true, candidateId: candidate.id, stage: stageOf(candidate), history });
+  } catch (error) {
+    console.error(`[Error in GET /candidates/${req.params.id}/history]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Blind Screening
+// Candidates uploaded with blind_screening are stored under an alias with their contact details masked; the identity
+// and the original resume text are sealed under blind_identities. A recruiter reveals the candidate with a reason, which
+// is logged. The redaction spans (without the text they covered) can be audited at any time.
+app.post('/candidates/:id/reveal', express.json(), upload.none(), async (req, res) => {
+  const { tenant } = req;
+  const body = req.body || {};
+  const actor = actorOf(req);
+  try {
+    const candidate = await loadCandidate(tenant, req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ success: false, error: `Candidate ${req.params.id} not found.` });
+    }
+    if (!isBlind(candidate)) {
+      return res.status(409).json({ success: false, error: `Candidate ${candidate.id} is not under blind screening.` });
+    }
+    const sealed = await tenant.sealedIdentities.get(candidate.id);
+    const identity = (sealed && sealed.identity) || {};
+    const latest = Object.values((sealed && sealed.redactions) || {}).sort((a, b) => (b.redactedAt || 0) - (a.redactedAt || 0))[0];
+    const reason = body.reason ? String(body.reason).substring(0, 2000) : '';
+    const revealedAt = Date.now();
+    const record = {
+      ...candidate,
+      ...revealedProfile(identity),
+      ...(latest && latest.fileName ? { fileName: latest.fileName } : {}),
+      blind: { ...candidate.blind, active: false, revealedAt, revealedBy: actor, revealReason: reason },
+    };
+    await tenant.sealedIdentities.recordReveal(candidate.id, { actor, reason });
+    await saveCandidate(tenant, record);
+    console.log(`Revealed blind candidate ${candidate.id} to ${actor}${reason ? `: ${reason}` : ''}`);
+    res.status(200).json({ success: true, candidate: toCandidateResponse(record), identity, revealedAt });
+  } catch (error) {
+    console.error(`[Error in POST /candidates/${req.params.id}/reveal]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/candidates/:id/redactions', async (req, res) => {
+  const { tenant } = req;
+  try {
+    const candidate = await loadCandidate(tenant, req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ success: false, error: `Candidate ${req.params.id} not found.` });
+    }
+    const sealed = (await tenant.sealedIdentities.get(candidate.id)) || {};
+    const redactions = Object.entries(sealed.redactions || {}).map(([applicationId, redaction]) => ({
+      applicationId,
+      contentHash: redaction.contentHash || null,
+      redactedAt: redaction.redactedAt || null,
+      counts: summarizeSpans(Object.values(redaction.spans || {})),
+      spans: Object.values(redaction.spans || {}).map(({ type, start, end, replacement }) => ({ type, start, end, replacement })),
+    }));
+    res.status(200).json({
+      success: true,
+      candidateId: candidate.id,
+      blind: isBlind(candidate),
+      blindScreening: candidate.blind || null,
+      redactions,
+      reveals: Object.values(sealed.reveals || {}),
+    });
+  } catch (error) {
+    console.error(`[Error in GET /candidates/${req.params.id}/redactions]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Resume Downloads
+// Resumes are private objects. GET /candidates/:id/resume checks that the caller's organization owns the candidate and
+// returns a link that expires after RESUME_URL_TTL_SECONDS (default 5 minutes, at most 7 days): a Cloud Storage signed URL,
+// or for stores that cannot sign, a /resume-file link carrying a token signed with SIGNED_URL_SECRET.
+const RESUME_URL_TTL_MS = Math.min(parseInt(process.env.RESUME_URL_TTL_SECONDS, 10) || 300, 7 * 24 * 60 * 60) * 1000;
+if (!process.env.SIGNED_URL_SECRET) {
+  console.warn('SIGNED_URL_SECRET is not set. Resume download links signed by the server stop working when it restarts.');
+}
+const resumeFileSigner = createUrlSigner(process.env.SIGNED_URL_SECRET);
+
+app.get('/candidates/:id/resume', async (req, res) => {
+  const { tenant } = req;
+  const applicationId = typeof req.query.application_id === 'string' ? req.query.application_id : null;
+  try {
+    const candidate = await loadCandidate(tenant, req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ success: false, error: `Candidate ${req.params.id} not found.` });
+    }
+    // The original file shows who the candidate is
+    if (isBlind(candidate)) {
+      return res.status(403).json({ success: false, error: `Candidate ${candidate.id} is under blind screening. Reveal them first with POST /candidates/${candidate.id}/reveal.` });
+    }
+    const storagePath = resumePathOf(tenant, candidate, applicationId);
+    if (!storagePath) {
+      const missing = applicationId ? `application ${applicationId} of candidate ${candidate.id}` : `candidate ${candidate.id}`;
+      return res.status(404).json({ success: false, error: `No stored resume file for ${missing}.` });
+    }
+    const application = applicationId ? applicationsOf(candidate).find((entry) => entry.id === applicationId) : candidate;
+    const fileName = application.fileName && application.fileName !== 'N/A' ? application.fileName : path.basename(storagePath);
+    const { contentType } = await blobStore.getMetadata(storagePath);
+    const expiresAt = Date.now() + RESUME_URL_TTL_MS;
+    const url = (await blobStore.signedUrl(storagePath, { expiresAt, filename: fileName, contentType }))
+      || `${req.protocol}://${req.get('host')}/resume-file?token=${resumeFileSigner.sign({ path: storagePath, fileName }, expiresAt)}`;
+    console.log(`Resume of candidate ${candidate.id} requested by ${actorOf(req)}; link expires at ${new Date(expiresAt).toISOString()}`);
+    if (req.query.redirect === 'true') {
+      res.set('Cache-Control', 'private, no-store');
+      return res.redirect(302, url);
+    }
+    res.status(200).json({ success: true, candidateId: candidate.id, applicationId, fileName, url, expiresAt });
+  } catch (error) {
+    if (error.code === 404) {
+      return res.status(404).json({ success: false, error: `The resume file of candidate ${req.params.id} is missing from storage.` });
+    }
+    console.error(`[Error in GET /candidates/${req.params.id}/resume]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Serves a resume for a link issued by GET /candidates/:id/resume; the signed token is the only authorization
+app.get('/resume-file', async (req, res) => {
+  const grant = resumeFileSigner.verify(req.query.token);
+  if (!grant || typeof grant.path !== 'string') {
+    return res.status(403).json({ success: false, error: 'This download link is invalid or has expired. Request a new one.' });
+  }
+  try {
+    const { contentType, size } = await blobStore.getMetadata(grant.path);
+    const stream = await blobStore.openReadStream(grant.path);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Length': String(size),
+      'Content-Disposition': contentDisposition(grant.fileName || path.basename(grant.path)),
+      'Cache-Control': 'private, no-store',
+    });
+    stream.on('error', (error) => {
+      console.error(`Failed while streaming ${grant.path}: ${error.message}`);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 404) {
+      return res.status(404).json({ success: false, error: 'The resume file no longer exists.' });
+    }
+    console.error('[Error in GET /resume-file]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Data-Subject Requests
+// Export returns everything held about a candidate as JSON with the original files inlined as base64; deletion erases
+// the record, the stored files, the failure records of the same files and every derived entry (see lib/dataSubject.js).
+app.get('/candidates/:id/export', async (req, res) => {
+  const { tenant } = req;
+  try {
+    const candidate = await loadCandidate(tenant, req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ success: false, error: `Candidate ${req.params.id} not found.` });
+    }
+    const data = await tenant.dataSubject.exportCandidate(candidate);
+    console.log(`Exported the data of candidate ${candidate.id} for ${actorOf(req)} (${data.files.length} file(s))`);
+    res.set('Content-Disposition', `attachment; filename="candidate-${candidate.id}.json"`);
+    res.status(200).json({ success: true, ...data });
+  } catch (error) {
+    console.error(`[Error in GET /candidates/${req.params.id}/export]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/candidates/:id', async (req, res) => {
+  const { tenant } = req;
+  try {
+    const candidate = await loadCandidate(tenant, req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ success: false, error: `Candidate ${req.params.id} not found.` });
+    }
+    const erasure = await tenant.dataSubject.erase(candidate, { actor: actorOf(req), reason: 'request' });
+    console.log(`Erased candidate ${candidate.id} at the request of ${actorOf(req)}: ${JSON.stringify(erasure.removed)}`);
+    res.status(200).json({ success: true, erasure });
+  } catch (error) {
+    console.error(`[Error in DELETE /candidates/${req.params.id}]`, error.message);
+    res.status(500).json({ success: false, error: `${error.message} The deletion stopped part-way; run it again to remove what is left.` });
+  }
+});
+
+// Only candidates nobody has progressed yet are moved in bulk
+const BULK_SOURCE_STAGES = ['new', 'screened'];
+
+// Bulk approve (score >= threshold, to shortlisted) or reject (score < threshold, to rejected).
+// Scores are the requisition's when requisition_id is given, otherwise each candidate's latest score;
+// candidate_ids limits the move to those candidates.
+const bulkTransition = (to) => async (req, res) => {
+  const { tenant } = req;
+  const body = req.body || {};
+  const actor = actorOf(req);
+  const threshold = Number(body.threshold);
+  if (body.threshold === undefined || body.threshold === '' || !Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+    return res.status(400).json({ success: false, error: 'threshold must be a number between 0 and 100.' });
+  }
+  const approving = to === 'shortlisted';
+  const inRange = (score) => (approving ? score >= threshold : score < threshold);
+  const candidateIds = parseCandidateIds(body.candidate_ids);
+  try {
+    let scored;
+    if (body.requisition_id) {
+      const requisition = await tenant.requisitionStore.get(String(body.requisition_id));
+      if (!requisition) {
+        return res.status(404).json({ success: false, error: `Requisition ${body.requisition_id} not found.` });
+      }
+      scored = (await tenant.requisitionStore.listScores(requisition.id, MAX_RESCORE_CANDIDATES))
+        .map((score) => ({ candidateId: score.candidateId, score: Number(score.score) || 0 }));
+    } else {
+      const candidates = await tenant.candidates.listByScore(approving ? { min: threshold } : { max: threshold });
+      scored = candidates
+        .map((candidate) => ({ candidateId: candidate.id, score: Number(candidate.score) || 0, stage: stageOf(candidate) }));
+    }
+    const selected = scored.filter((entry) => inRange(entry.score) && (candidateIds.length === 0 || candidateIds.includes(entry.candidateId)));
+
+    const moved = [];
+    const skipped = [];
+    for (const entry of selected) {
+      const stage = entry.stage || stageOf(await loadCandidate(tenant, entry.candidateId));
+      if (!BULK_SOURCE_STAGES.includes(stage) || !canTransition(stage, to)) {
+        skipped.push({ candidateId: entry.candidateId, score: entry.score, reason: `Candidate is ${stage}.` });
+        continue;
+      }
+      const result = await tenant.pipeline.transition(entry.candidateId, {
+        to,
+        actor,
+        note: body.note ? String(body.note).substring(0, 2000) : `Bulk ${approving ? 'approve' : 'reject'} at threshold ${threshold}`,
+      });
+      if (result.error) {
+        skipped.push({ candidateId: entry.candidateId, score: entry.score, reason: result.error });
+      } else {
+        moved.push({ candidateId: entry.candidateId, score: entry.score, from: result.from });
+      }
+    }
+    console.log(`Bulk ${approving ? 'approve' : 'reject'} by ${actor} at threshold ${threshold}: ${moved.length} moved, ${skipped.length} skipped`);
+    res.status(200).json({ success: true, stage: to, threshold, movedCount: moved.length, moved, skipped });
+  } catch (error) {
+    console.error(`[Error in bulk ${approving ? 'approve' : 'reject'}]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+app.post('/candidates/bulk-approve', express.json(), upload.none(), bulkTransition('shortlisted'));
+app.post('/candidates/bulk-reject', express.json(), upload.none(), bulkTransition('rejected'));
+
+// API Routes for Stored Provider Keys
+// Keys are registered once per user and provider, stored encrypted, and used for that user's requests. Responses only
+// ever include the last four characters.
+const readKeyProvider = (value) => {
+  const name = String(value || '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(providers, name) ? name : null;
+};
+
+const readApiKey = (body) => (typeof body.api_key === 'string' ? body.api_key.trim() : '');
+
+app.get('/api-keys', async (req, res) => {
+  const { tenant } = req;
+  try {
+    const keys = await tenant.keyVault.list(req.user.uid);
+    res.status(200).json({ success: true, configured: tenant.keyVault.isConfigured(), keys });
+  } catch (error) {
+    console.error('[Error in GET /api-keys]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+const saveApiKey = (rotate) => async (req, res) => {
+  const { tenant } = req;
+  const body = req.body || {};
+  const provider = readKeyProvider(rotate ? req.params.provider : body.provider);
+  const apiKey = readApiKey(body);
+  if (!provider) {
+    return res.status(400).json({ success: false, error: `provider must be one of ${Object.keys(providers).join(', ')}.` });
+  }
+  if (apiKey.length < 8 || apiKey.length > 500 || /\s/.test(apiKey)) {
+    return res.status(400).json({ success: false, error: 'api_key must be 8 to 500 characters without spaces.' });
+  }
+  try {
+    const key = await tenant.keyVault.save(req.user.uid, provider, apiKey, { rotate });
+    console.log(`${rotate ? 'Rotated' : 'Registered'} ${provider} key for user ${req.user.uid}`);
+    res.status(rotate ? 200 : 201).json({ success: true, key });
+  } catch (error) {
+    console.error(`[Error ${rotate ? 'rotating' : 'registering'} ${provider} key]`, error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+app.post('/api-keys', express.json(), upload.none(), saveApiKey(false));
+app.post('/api-keys/:provider/rotate', express.json(), upload.none(), saveApiKey(true));
+
+app.delete('/api-keys/:provider', async (req, res) => {
+  const { tenant } = req;
+  const provider = readKeyProvider(req.params.provider);
+  if (!provider) {
+    return res.status(400).json({ success: false, error: `Unknown provider '${req.params.provider}'.` });
+  }
+  try {
+    const removed = await tenant.keyVault.remove(req.user.uid, provider);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: `No ${provider} key is registered.` });
+    }
+    console.log(`Deleted ${provider} key for user ${req.user.uid}`);
+    res.status(200).json({ success: true, provider });
+  } catch (error) {
+    console.error(`[Error in DELETE /api-keys/${provider}]`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Check the stored key through lib/llmProviders.js without spending tokens; the mock provider stands in when enabled
+app.post('/api-keys/:provider/test', async (req, res) => {
+  const { tenant } = req;
+  const provider = readKeyProvider(req.params.provider);
+  if (!provider) {
+    return res.status(400).json({ success: false, error: `Unknown provider '${req.params.provider}'.` });
+  }
+  let apiKey;
+  try {
+    apiKey = await tenant.keyVault.get(req.user.uid, provider);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+  if (!apiKey) {
+    return res.status(404).json({ success: false, error: `No ${provider} key is registered.` });
+  }
+  let result;
+  try {
+    const checkedBy = await validateProviderKey(provider, { apiKey, timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000 });
+    result = { ok: true, message: checkedBy === provider ? 'Key accepted by the provider.' : `Key accepted by the ${checkedBy} stand-in provider.` };
+  } catch (error) {
+    const status = error.status || (error.response && error.response.status);
+    const rejected = status === 400 || status === 401 || status === 403;
+    result = { ok: false, message: rejected ? `Key rejected by the provider: ${redactText(error.message)}` : `Provider could not be reached: ${redactText(error.message)}` };
+    console.warn(`${provider} key test for user ${req.user.uid} failed: ${error.message}`);
+  }
+  await tenant.keyVault.recordTest(req.user.uid, provider, result).catch((error) => console.error(`Failed to record key test: ${error.message}`));
+  res.status(200).json({ success: true, provider, valid: result.ok, message: result.message });
+});
+
+// API Routes for Data Retention
+// One policy per organization: candidates with no upload or stage change for policy.days are erased, as are
+// failure records that old. POST /retention-policy/run reports what would go (dry_run, the default) or purges now;
+// a dry run may try out other days and exempt_stages without saving them.
+const retentionPolicies = createRetentionPolicyStore(database);
+
+app.get('/retention-policy', async (req, res) => {
+  try {
+    const policy = await retentionPolicies.get(req.user.orgId);
+    res.status(200).json({ success: true, policy: policy || null });
+  } catch (error) {
+    console.error('[Error in GET /retention-policy]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/retention-policy', express.json(), upload.none(), async (req, res) => {
+  const { policy, error } = parseRetentionPolicy(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  try {
+    const saved = await retentionPolicies.set(req.user.orgId, policy, actorOf(req));
+    console.log(`Retention policy of organization ${req.user.orgId} set to ${policy.days} days by ${actorOf(req)}`);
+    res.status(200).json({ success: true, policy: saved });
+  } catch (saveError) {
+    console.error('[Error in PUT /retention-policy]', saveError.message);
+    res.status(500).json({ success: false, error: saveError.message });
+  }
+});
+
+app.delete('/retention-policy', async (req, res) => {
+  try {
+    if (!(await retentionPolicies.get(req.user.orgId))) {
+      return res.status(404).json({ success: false, error: 'No retention policy is set.' });
+    }
+    await retentionPolicies.remove(req.user.orgId);
+    console.log(`Retention policy of organization ${req.user.orgId} removed by ${actorOf(req)}`);
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('[Error in DELETE /retention-policy]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/retention-policy/run', express.json(), upload.none(), async (req, res) => {
+  const { tenant } = req;
+  const body = req.body || {};
+  const dryRun = String(body.dry_run ?? 'true') !== 'false';
+  let policy;
+  if (body.days !== undefined) {
+    if (!dryRun) {
+      return res.status(400).json({ success: false, error: 'days can only be tried out in a dry run. Save the policy first.' });
+    }
+    const parsed = parseRetentionPolicy(body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    policy = parsed.policy;
+  }
+  try {
+    policy = policy || (await retentionPolicies.get(tenant.orgId));
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'No retention policy is set. Pass days for a dry run or save a policy first.' });
+    }
+    const report = await runRetention({ ...tenant, policy, dryRun });
+    console.log(`Retention ${dryRun ? 'dry run' : 'run'} for organization ${tenant.orgId} by ${actorOf(req)}: ${report.candidates.length} candidate(s), ${report.failures.length} failure record(s) past ${policy.days} days`);
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error('[Error in POST /retention-policy/run]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Retention Sweep
+// Applies every organization's policy every RETENTION_SWEEP_HOURS (default 24, 0 turns the sweep off)
+const RETENTION_SWEEP_HOURS = parseFloat(process.env.RETENTION_SWEEP_HOURS ?? '24') || 0;
+const runRetentionSweep = async () => {
+  for (const { orgId, ...policy } of await retentionPolicies.list()) {
+    const tenant = getTenant(orgId);
+    try {
+      const report = await runRetention({ ...tenant, policy, dryRun: false });
+      if (report.candidatesErased > 0 || report.failuresRemoved > 0 || report.errors.length > 0) {
+        console.log(`Retention sweep for organization ${orgId}: erased ${report.candidatesErased} candidate(s), removed ${report.failuresRemoved} failure record(s), ${report.errors.length} error(s)`);
+      }
+    } catch (error) {
+      console.error(`Retention sweep failed for organization ${orgId}: ${error.message}`);
+    }
+  }
+};
+
+// API Route for Usage and Quotas
+// The caller's and the organization's extractions, pages, LLM calls and tokens for today and this month (or month=YYYY-MM),
+// the caller's daily breakdown, and each configured quota with what is left of it
+app.get('/usage', async (req, res) => {
+  const { tenant } = req;
+  const month = req.query.month ? String(req.query.month).trim() : undefined;
+  if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return res.status(400).json({ success: false, error: 'month must be formatted as YYYY-MM.' });
+  }
+  try {
+    const usage = await tenant.usage.summary(req.user.uid, { month });
+    res.status(200).json({ success: true, uid: req.user.uid, orgId: tenant.orgId, ...usage });
+  } catch (error) {
+    console.error('[Error in GET /usage]', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API Route for Files Waiting in the Reprocessing Queue
+app.get('/reprocessing/:id', (req, res) => {
+  const entry = reprocessQueue.get(req.params.id, req.user.orgId);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: `Reprocessing entry ${req.params.id} not found.` });
+  }
+  res.status(200).json({ success: true, entry });
+});
+
+// Multer Error Handling Middleware
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        error: `File too large: ${err.field}. Maximum size is 10MB.`,
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        error: `Too many files or unexpected field '${err.field || 'unknown'}'. Upload at most ${MAX_BATCH_FILES} files with the field name 'files'.`,
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      error: err.message,
+    });
+  } else if (err) {
+    return res.status(400).json({
+      success: false,
+      error: err.message,
+    });
+  }
+  next();
+});
+
 // Start the Express Server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Resume parsing endpoint: POST http://localhost:${PORT}/parse-resumes`);
-});
\ No newline at end of file
+// Only when run directly; requiring the module (e.g. from tests with STORAGE_BACKEND=memory) gives the app without listening
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+    console.log(`Storage backend: ${storageBackend.name}`);
+    console.log(`Authentication: ${authDisabled ? `disabled, all requests run in organization ${process.env.DEFAULT_ORG_ID || 'local'}` : 'Firebase ID token in the Authorization header'}`);
+    console.log(`Resume parsing endpoint: POST http://localhost:${PORT}/parse-resumes`);
+    console.log(`Batch parsing endpoint: POST http://localhost:${PORT}/parse-resumes/batch (max ${MAX_BATCH_FILES} files)`);
+    console.log(`Async job endpoint: POST http://localhost:${PORT}/jobs (progress stream: GET /jobs/:id/events)`);
+    console.log(`Failed files: GET http://localhost:${PORT}/failures, retry with POST /failures/:id/retry`);
+    console.log(`Requisitions: GET/POST http://localhost:${PORT}/requisitions, score stored candidates with POST /requisitions/:id/evaluate`);
+    console.log(`Candidate search: GET http://localhost:${PORT}/candidates`);
+    console.log(`Resume downloads: GET http://localhost:${PORT}/candidates/:id/resume (links expire after ${RESUME_URL_TTL_MS / 1000}s)`);
+    console.log(`Blind screening: upload with blind_screening=true, reveal with POST http://localhost:${PORT}/candidates/:id/reveal, audit with GET /candidates/:id/redactions`);
+    console.log(`Data-subject requests: GET http://localhost:${PORT}/candidates/:id/export, DELETE /candidates/:id`);
+    console.log(`Retention: GET/PUT/DELETE http://localhost:${PORT}/retention-policy, POST /retention-policy/run (${RETENTION_SWEEP_HOURS > 0 ? `swept every ${RETENTION_SWEEP_HOURS}h` : 'sweep off'})`);
+    console.log(`Usage: GET http://localhost:${PORT}/usage (quotas from USAGE_QUOTAS)`);
+    console.log(`Provider keys: GET/POST http://localhost:${PORT}/api-keys, POST /api-keys/:provider/rotate|test, DELETE /api-keys/:provider`);
+    console.log(`Pipeline: POST http://localhost:${PORT}/candidates/:id/stage (stages: ${PIPELINE_STAGES.join(', ')}), bulk with POST /candidates/bulk-approve|bulk-reject`);
+    console.log(`Re-scoring: POST http://localhost:${PORT}/candidates/rescore or POST /requisitions/:id/rescore`);
+    jobManager.recoverInterrupted().catch((error) => console.error('Failed to recover interrupted jobs:', error.message));
+    if (RETENTION_SWEEP_HOURS > 0) {
+      const sweep = () => runRetentionSweep().catch((error) => console.error('Retention sweep failed:', error.message));
+      setInterval(sweep, RETENTION_SWEEP_HOURS * 60 * 60 * 1000).unref();
+      sweep();
+    }
+    reprocessQueue.discardOrphans();
+  });
+}
+
+module.exports = { app, jobManager, reprocessQueue, storageBackend, getTenant };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const unzipper = require('unzipper');
+const { detectFileType, EXTRACTORS } = require('./extractors');
+
+const ZIP_LIMITS = {
+  maxEntries: parseInt(process.env.ZIP_MAX_ENTRIES, 10) || 200,
+  maxTotalBytes: parseInt(process.env.ZIP_MAX_TOTAL_BYTES, 10) || 200 * 1024 * 1024,
+  maxEntryBytes: parseInt(process.env.ZIP_MAX_ENTRY_BYTES, 10) || 10 * 1024 * 1024,
+  maxDepth: parseInt(process.env.ZIP_MAX_DEPTH, 10) || 5,
+};
+
+const ARCHIVE_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+// Quick check used by multer before the file body is available; detectFileType confirms the contents later
+const isArchiveUpload = (mimetype, filename) =>
+  ARCHIVE_MIME_TYPES.includes(mimetype) || path.extname(filename || '').toLowerCase() === '.zip';
+
+// Rejects entry names that could escape the extraction directory (zip-slip) or nest too deeply
+const validateEntryPath = (entryPath, maxDepth) => {
+  if (!entryPath || entryPath.includes('\0')) return 'Invalid entry name';
+  if (entryPath.includes('\\')) return 'Backslashes are not allowed in entry names';
+  if (path.posix.isAbsolute(entryPath) || /^[a-zA-Z]:/.test(entryPath)) return 'Absolute paths are not allowed';
+  const segments = entryPath.split('/').filter(Boolean);
+  if (segments.some((segment) => segment === '..')) return 'Parent directory references are not allowed';
+  if (segments.length > maxDepth) return `Path depth exceeds ${maxDepth} levels`;
+  return null;
+};
+
+// Archive noise that is never a resume
+const isIgnoredEntry = (entryPath) => {
+  const segments = entryPath.split('/').filter(Boolean);
+  return segments[0] === '__MACOSX' || segments.some((segment) => segment.startsWith('.'));
+};
+
+// Counts bytes as they stream and aborts once a limit is crossed, since declared sizes in a ZIP can lie
+const createByteLimiter = (entryLimit, budget) => {
+  let written = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      budget.used += chunk.length;
+      if (written > entryLimit) return callback(new Error(`Entry exceeds ${entryLimit} bytes when uncompressed`));
+      if (budget.used > budget.limit) return callback(new Error(`Archive exceeds ${budget.limit} bytes when uncompressed`));
+      callback(null, chunk);
+    },
+  });
+};
+
+// Expand an uploaded ZIP into multer-like file objects, one per contained resume.
+// Inner files are named "<archive>/<entry path>" so results and failures can be attributed to them.
+const expandZipArchive = async (archiveFile, limits = ZIP_LIMITS) => {
+  const files = [];
+  const failures = [];
+  const archiveName = archiveFile.originalname;
+  const fail = (entryPath, reason) => failures.push({ filename: `${archiveName}/${entryPath}`, archive: archiveName, reason });
+
+  let directory;
+  try {
+    directory = await unzipper.Open.file(archiveFile.path);
+  } catch (error) {
+    return { files, failures: [{ filename: archiveName, archive: archiveName, reason: `Unreadable ZIP archive: ${error.message}` }] };
+  }
+
+  const entries = directory.files.filter((entry) => entry.type !== 'Directory' && !isIgnoredEntry(entry.path));
+  if (entries.length > limits.maxEntries) {
+    return { files, failures: [{ filename: archiveName, archive: archiveName, reason: `Archive contains ${entries.length} files; the limit is ${limits.maxEntries}` }] };
+  }
+  const declaredTotal = entries.reduce((sum, entry) => sum + (entry.uncompressedSize || 0), 0);
+  if (declaredTotal > limits.maxTotalBytes) {
+    return { files, failures: [{ filename: archiveName, archive: archiveName, reason: `Archive expands to ${declaredTotal} bytes; the limit is ${limits.maxTotalBytes}` }] };
+  }
+
+  const extractDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'resume-zip-'));
+  const budget = { used: 0, limit: limits.maxTotalBytes };
+  for (const entry of entries) {
+    const pathError = validateEntryPath(entry.path, limits.maxDepth);
+    if (pathError) {
+      fail(entry.path, pathError);
+      continue;
+    }
+    if (entry.flags & 0x1) {
+      fail(entry.path, 'Encrypted entries are not supported');
+      continue;
+    }
+    if ((entry.uncompressedSize || 0) > limits.maxEntryBytes) {
+      fail(entry.path, `Entry exceeds ${limits.maxEntryBytes} bytes when uncompressed`);
+      continue;
+    }
+
+    // The entry name is never used on disk; files land under a generated name inside extractDir
+    const tempName = `${uuidv4()}${path.extname(entry.path).toLowerCase().replace(/[^a-z0-9.]/g, '')}`;
+    const targetPath = path.join(extractDir, tempName);
+    if (path.relative(extractDir, targetPath).startsWith('..')) {
+      fail(entry.path, 'Entry resolves outside the extraction directory');
+      continue;
+    }
+    try {
+      await pipeline(entry.stream(), createByteLimiter(limits.maxEntryBytes, budget), fs.createWriteStream(targetPath));
+    } catch (error) {
+      await fsPromises.unlink(targetPath).catch(() => {});
+      fail(entry.path, error.message);
+      if (budget.used > budget.limit) break;
+      continue;
+    }
+
+    const fileType = await detectFileType(targetPath, null, entry.path).catch(() => null);
+    if (!fileType || fileType === 'zip') {
+      await fsPromises.unlink(targetPath).catch(() => {});
+      fail(entry.path, fileType === 'zip' ? 'Nested archives are not supported' : 'Unsupported file type');
+      continue;
+    }
+    const { size } = await fsPromises.stat(targetPath);
+    files.push({
+      fieldname: archiveFile.fieldname,
+      originalname: `${archiveName}/${entry.path}`,
+      mimetype: EXTRACTORS[fileType].mimeTypes[0],
+      path: targetPath,
+      filename: tempName,
+      destination: extractDir,
+      size,
+      fileType,
+      sourceArchive: archiveName,
+    });
+  }
+
+  console.log(`Expanded ${archiveName}: ${files.length} resume(s), ${failures.length} skipped entr${failures.length === 1 ? 'y' : 'ies'}, ${budget.used} bytes`);
+  return { files, failures, extractDir };
+};
+
+// Remove the per-archive extraction directory once its files have been processed
+const removeExtractDir = async (extractDir) => {
+  if (!extractDir) return;
+  try {
+    await fsPromises.rm(extractDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error(`Error removing extraction directory ${extractDir}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  ZIP_LIMITS,
+  isArchiveUpload,
+  expandZipArchive,
+  removeExtractDir,
+};
@@ -0,0 +1,61 @@
+const { ORG_ID_PATTERN } = require('./tenants');
+
+const USERS_PATH = 'users';
+
+// Token from an "Authorization: Bearer <token>" header, or null. EventSource cannot send headers, so event streams
+// may pass the token as ?access_token= instead.
+const bearerToken = (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)\s*$/i);
+  if (match) return match[1];
+  const acceptsEventStream = (req.get('Accept') || '').includes('text/event-stream');
+  return acceptsEventStream && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+};
+
+// Request Authentication
+// Verifies the Firebase ID token sent in the Authorization header and loads users/<uid>, which holds the caller's
+// organization (orgId) and plan (premium). Sets req.user = { uid, email, orgId, isPremium }; premium is never taken from
+// the request. Paths in publicPaths and CORS preflight requests are let through. With disabled set, every request runs
+// as defaultUser, which is meant for local development only.
+const createAuthenticator = ({ auth, database, publicPaths = [], disabled = false, defaultUser = null }) => async (req, res, next) => {
+  if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) return next();
+  if (disabled) {
+    req.user = defaultUser;
+    return next();
+  }
+
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Missing Authorization header. Send "Authorization: Bearer <Firebase ID token>".' });
+  }
+  let decoded;
+  try {
+    decoded = await auth.verifyIdToken(token);
+  } catch (error) {
+    console.warn(`Rejected ID token for ${req.method} ${req.path}: ${error.code || error.message}`);
+    return res.status(401).json({ success: false, error: 'Invalid or expired ID token.' });
+  }
+
+  let profile;
+  try {
+    const snapshot = await database.ref(`${USERS_PATH}/${decoded.uid}`).once('value');
+    profile = snapshot.val();
+  } catch (error) {
+    console.error(`Failed to load user ${decoded.uid}: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Could not load the user profile.' });
+  }
+  if (!profile || typeof profile.orgId !== 'string' || !ORG_ID_PATTERN.test(profile.orgId)) {
+    return res.status(403).json({ success: false, error: 'Your account is not a member of an organization.' });
+  }
+
+  req.user = {
+    uid: decoded.uid,
+    email: decoded.email || null,
+    orgId: profile.orgId,
+    isPremium: profile.premium === true,
+  };
+  next();
+};
+
+module.exports = {
+  createAuthenticator,
+};
@@ -0,0 +1,82 @@
+const path = require('path');
+const { withoutUndefined } = require('./storageBackend');
+
+const SEALED_PATH = 'blind_identities';
+
+// Whether the candidate is still shown without their identity
+const isBlind = (candidate) => Boolean(candidate && candidate.blind && candidate.blind.active);
+
+// Alias recruiters see in place of a blind candidate's name; stable for the record
+const blindAlias = (candidateId) => `Candidate ${String(candidateId).substring(0, 8).toUpperCase()}`;
+
+// Profile fields a blind candidate is saved with. The placeholders are the ones validateCandidate uses for missing
+// values, so merging into a record that is already visible keeps the real ones.
+const maskedProfile = (candidateId, fileName) => ({
+  name: blindAlias(candidateId),
+  email: 'Email Not Found',
+  phone: 'N/A',
+  location: 'N/A',
+  links: { linkedin: null, github: null, portfolio: null, other: [] },
+  contactConfidence: null,
+  fileName: `resume${path.extname(fileName || '')}`,
+});
+
+// Links of a sealed identity by kind; redactPii on its own only finds a plain list of URLs
+const identityLinks = (links) => {
+  if (!Array.isArray(links)) return links && typeof links === 'object' ? links : null;
+  if (links.length === 0) return null;
+  const linkOn = (host) => links.find((link) => link.toLowerCase().includes(host)) || null;
+  const linkedin = linkOn('linkedin.com');
+  const github = linkOn('github.com');
+  const rest = links.filter((link) => link !== linkedin && link !== github);
+  return { linkedin, github, portfolio: rest[0] || null, other: rest.slice(1) };
+};
+
+// Profile fields restored from a sealed identity when the candidate is revealed; what was not found is left as it is
+const revealedProfile = (identity = {}) => {
+  const profile = {
+    name: identity.name,
+    email: identity.email,
+    phone: identity.phone,
+    location: identity.location,
+    links: identityLinks(identity.links),
+    contactConfidence: identity.contactConfidence,
+  };
+  return Object.fromEntries(Object.entries(profile).filter(([, value]) => value));
+};
+
+// Sealed Identity Store
+// blind_identities/<candidateId> keeps what blind screening took out of a candidate's resumes: the identity found in
+// the latest one and, per application, the original text, the original file name and the redaction spans for audit.
+// Reveals are logged under reveals/<pushId>.
+const createSealedIdentityStore = (database) => {
+  const ref = (candidateId, child) => database.ref(child ? `${SEALED_PATH}/${candidateId}/${child}` : `${SEALED_PATH}/${candidateId}`);
+
+  const get = async (candidateId) => {
+    const snapshot = await ref(candidateId).once('value');
+    return snapshot.val();
+  };
+
+  // redaction: { identity, spans, originalText, fileName, contentHash }
+  const seal = (candidateId, applicationId, { identity, spans, originalText, fileName, contentHash }) =>
+    ref(candidateId).update(withoutUndefined({
+      identity,
+      sealedAt: Date.now(),
+      [`redactions/${applicationId}`]: { spans, originalText, fileName, contentHash, redactedAt: Date.now() },
+    }));
+
+  const recordReveal = (candidateId, { actor, reason }) =>
+    ref(candidateId, 'reveals').push({ actor: actor || null, reason: reason || '', at: Date.now() });
+
+  const remove = (candidateId) => ref(candidateId).remove();
+
+  return { get, seal, recordReveal, remove };
+};
+
+module.exports = {
+  isBlind,
+  blindAlias,
+  maskedProfile,
+  revealedProfile,
+  createSealedIdentityStore,
+};
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { Readable } = require('stream');
+
+const notFound = (storagePath) => Object.assign(new Error(`No stored file at ${storagePath}`), { code: 404 });
+
+// Object names are Storage-style paths; anything that could leave the store's directory is refused
+const safeSegments = (storagePath) => {
+  const segments = String(storagePath || '').split('/');
+  if (segments.length === 0 || segments.some((segment) => !segment || segment === '.' || segment === '..')) {
+    throw new Error(`Invalid storage path '${storagePath}'`);
+  }
+  return segments;
+};
+
+// Content-Disposition for a download under its original file name
+const contentDisposition = (filename) =>
+  filename ? `inline; filename="${filename.replace(/["\\\r\n]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}` : undefined;
+
+// Cloud Storage Blob Store
+const createFirebaseBlobStore = (bucket) => {
+  const publicPrefix = `https://storage.googleapis.com/${bucket.name}/`;
+  return {
+    name: 'firebase',
+    uri: (storagePath) => `gs://${bucket.name}/${storagePath}`,
+    upload: async (localPath, storagePath, { contentType, metadata, public: isPublic = false } = {}) => {
+      await bucket.upload(localPath, {
+        destination: storagePath,
+        public: isPublic,
+        metadata: { contentType, metadata },
+      });
+    },
+    download: async (storagePath, destination) => {
+      await bucket.file(storagePath).download({ destination });
+    },
+    // { contentType, size, metadata }
+    getMetadata: async (storagePath) => {
+      const [metadata] = await bucket.file(storagePath).getMetadata();
+      return { contentType: metadata.contentType, size: Number(metadata.size) || 0, metadata: metadata.metadata || {} };
+    },
+    delete: async (storagePath) => {
+      await bucket.file(storagePath).delete({ ignoreNotFound: true });
+    },
+    openReadStream: async (storagePath) => bucket.file(storagePath).createReadStream(),
+    // V4 read URL that Cloud Storage honours until expiresAt, without going through this server
+    signedUrl: async (storagePath, { expiresAt, filename, contentType }) => {
+      const [url] = await bucket.file(storagePath).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: expiresAt,
+        responseDisposition: contentDisposition(filename),
+        responseType: contentType,
+      });
+      return url;
+    },
+    // Drops the allUsers read grant that uploads made with public: true received
+    makePrivate: async (storagePath) => {
+      await bucket.file(storagePath).makePrivate();
+    },
+    publicUrl: (storagePath) => `${publicPrefix}${encodeURIComponent(storagePath)}`,
+    pathFromUrl: (url) => (typeof url === 'string' && url.startsWith(publicPrefix) ? decodeURIComponent(url.substring(publicPrefix.length)) : null),
+  };
+};
+
+// Local Directory Blob Store
+// Objects are files under <directory>/objects and their content type and metadata sit beside them under <directory>/metadata
+const createLocalBlobStore = (directory) => {
+  const root = path.resolve(directory);
+  const objectPath = (storagePath) => path.join(root, 'objects', ...safeSegments(storagePath));
+  const metadataPath = (storagePath) => `${path.join(root, 'metadata', ...safeSegments(storagePath))}.json`;
+  const urlPrefix = 'local-storage:///';
+  return {
+    name: 'local',
+    uri: (storagePath) => objectPath(storagePath),
+    upload: async (localPath, storagePath, { contentType, metadata } = {}) => {
+      const target = objectPath(storagePath);
+      await fsPromises.mkdir(path.dirname(target), { recursive: true });
+      await fsPromises.copyFile(localPath, target);
+      await fsPromises.mkdir(path.dirname(metadataPath(storagePath)), { recursive: true });
+      await fsPromises.writeFile(metadataPath(storagePath), JSON.stringify({ contentType, metadata: metadata || {} }));
+    },
+    download: async (storagePath, destination) => {
+      if (!fs.existsSync(objectPath(storagePath))) throw notFound(storagePath);
+      await fsPromises.copyFile(objectPath(storagePath), destination);
+    },
+    getMetadata: async (storagePath) => {
+      const stat = await fsPromises.stat(objectPath(storagePath)).catch(() => {
+        throw notFound(storagePath);
+      });
+      const stored = JSON.parse(await fsPromises.readFile(metadataPath(storagePath), 'utf8').catch(() => '{}'));
+      return { contentType: stored.contentType || 'application/octet-stream', size: stat.size, metadata: stored.metadata || {} };
+    },
+    delete: async (storagePath) => {
+      await fsPromises.rm(objectPath(storagePath), { force: true });
+      await fsPromises.rm(metadataPath(storagePath), { force: true });
+    },
+    openReadStream: async (storagePath) => {
+      if (!fs.existsSync(objectPath(storagePath))) throw notFound(storagePath);
+      return fs.createReadStream(objectPath(storagePath));
+    },
+    // Files on local disk are never public and cannot be reached without the server
+    signedUrl: async () => null,
+    makePrivate: async () => {},
+    publicUrl: (storagePath) => `${urlPrefix}${encodeURIComponent(storagePath)}`,
+    pathFromUrl: (url) => (typeof url === 'string' && url.startsWith(urlPrefix) ? decodeURIComponent(url.substring(urlPrefix.length)) : null),
+  };
+};
+
+// In-Memory Blob Store; contents are lost when the process exits
+const createMemoryBlobStore = () => {
+  const objects = new Map();
+  const urlPrefix = 'memory-storage:///';
+  const getObject = (storagePath) => {
+    if (!objects.has(storagePath)) throw notFound(storagePath);
+    return objects.get(storagePath);
+  };
+  return {
+    name: 'memory',
+    uri: (storagePath) => `memory://${storagePath}`,
+    upload: async (localPath, storagePath, { contentType, metadata } = {}) => {
+      safeSegments(storagePath);
+      objects.set(storagePath, { data: await fsPromises.readFile(localPath), contentType, metadata: metadata || {} });
+    },
+    download: async (storagePath, destination) => {
+      await fsPromises.writeFile(destination, getObject(storagePath).data);
+    },
+    getMetadata: async (storagePath) => {
+      const object = getObject(storagePath);
+      return { contentType: object.contentType || 'application/octet-stream', size: object.data.length, metadata: object.metadata };
+    },
+    delete: async (storagePath) => {
+      objects.delete(storagePath);
+    },
+    openReadStream: async (storagePath) => Readable.from([getObject(storagePath).data]),
+    signedUrl: async () => null,
+    makePrivate: async () => {},
+    publicUrl: (storagePath) => `${urlPrefix}${encodeURIComponent(storagePath)}`,
+    pathFromUrl: (url) => (typeof url === 'string' && url.startsWith(urlPrefix) ? decodeURIComponent(url.substring(urlPrefix.length)) : null),
+  };
+};
+
+// Blob Store
+// Where resumes and quarantined files are kept: 'firebase' (Cloud Storage bucket), 'local' (a directory) or 'memory'.
+// Every store offers upload (private unless public: true), download, openReadStream, getMetadata, delete (missing objects
+// are ignored), makePrivate, publicUrl and pathFromUrl for links written by older versions, and uri for log lines.
+// signedUrl resolves to an expiring download URL, or null when the store cannot sign and the server must serve the file.
+const createBlobStore = (type, { bucket, directory } = {}) => {
+  if (type === 'local') return createLocalBlobStore(directory);
+  if (type === 'memory') return createMemoryBlobStore();
+  return createFirebaseBlobStore(bucket);
+};
+
+module.exports = {
+  contentDisposition,
+  createBlobStore,
+};
@@ -0,0 +1,162 @@
+const { PIPELINE_STAGES, stageOf } = require('./pipeline');
+const { toArray } = require('./storageBackend');
+
+const CANDIDATES_PATH = 'talent_pool';
+const SORT_FIELDS = ['score', 'processedAt', 'name', 'experience'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+
+// Epoch milliseconds or any date string Date.parse understands
+const parseTimestamp = (value) => {
+  if (/^\d+$/.test(String(value).trim())) return parseInt(value, 10);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : parsed;
+};
+
+// Opaque page token: the sort it belongs to and the last row's sort value and id
+const encodeCursor = (sort, order, candidate) =>
+  Buffer.from(JSON.stringify({ s: sort, o: order, v: sortValue(candidate, sort), id: candidate.id })).toString('base64url');
+
+const decodeCursor = (token) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    return cursor && typeof cursor.id === 'string' ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sortValue = (candidate, sort) => {
+  if (sort === 'name') return String(candidate.name || '').toLowerCase();
+  const value = Number(candidate[sort]);
+  return Number.isFinite(value) ? value : 0;
+};
+
+// Order by the sort field, then by id so rows with equal values keep a stable position across pages
+const compareBy = (sort, order) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const left = sortValue(a, sort);
+    const right = sortValue(b, sort);
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+};
+
+// Validate GET /candidates query parameters. Returns { error } or { filters, sort, order, limit, cursor }
+const parseCandidateQuery = (query = {}) => {
+  const number = (name) => {
+    if (query[name] === undefined || query[name] === '') return undefined;
+    const value = Number(query[name]);
+    return Number.isFinite(value) ? value : NaN;
+  };
+  const filters = {
+    minScore: number('min_score'),
+    maxScore: number('max_score'),
+    minExperience: number('min_experience'),
+    skills: splitList(query.skills),
+    skillsMatch: String(query.skills_match || 'any').toLowerCase(),
+    location: query.location ? String(query.location).trim().toLowerCase() : '',
+    jobTitle: query.job_title ? String(query.job_title).trim().toLowerCase() : '',
+    approved: query.approved === undefined || query.approved === '' ? undefined : String(query.approved).toLowerCase(),
+    stages: splitList(query.stage),
+    processedAfter: query.processed_after ? parseTimestamp(query.processed_after) : undefined,
+    processedBefore: query.processed_before ? parseTimestamp(query.processed_before) : undefined,
+    terms: String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean),
+  };
+  for (const [name, value] of [['min_score', filters.minScore], ['max_score', filters.maxScore], ['min_experience', filters.minExperience]]) {
+    if (Number.isNaN(value)) return { error: `${name} must be a number.` };
+  }
+  if (Number.isNaN(filters.processedAfter) || Number.isNaN(filters.processedBefore)) {
+    return { error: 'processed_after and processed_before must be dates or epoch milliseconds.' };
+  }
+  if (!['any', 'all'].includes(filters.skillsMatch)) return { error: "skills_match must be 'any' or 'all'." };
+  if (filters.approved !== undefined && !['true', 'false'].includes(filters.approved)) return { error: 'approved must be true or false.' };
+  filters.approved = filters.approved === undefined ? undefined : filters.approved === 'true';
+  const unknownStage = filters.stages.find((stage) => !PIPELINE_STAGES.includes(stage));
+  if (unknownStage) return { error: `Unknown stage '${unknownStage}'. Stages: ${PIPELINE_STAGES.join(', ')}.` };
+
+  const sort = query.sort || 'score';
+  if (!SORT_FIELDS.includes(sort)) return { error: `sort must be one of ${SORT_FIELDS.join(', ')}.` };
+  const order = String(query.order || (sort === 'name' ? 'asc' : 'desc')).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) return { error: "order must be 'asc' or 'desc'." };
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.s !== sort || cursor.o !== order) {
+      return { error: 'cursor is invalid or belongs to a different sort order.' };
+    }
+  }
+  return { filters, sort, order, limit, cursor };
+};
+
+const matchesCandidate = (candidate, filters) => {
+  const score = Number(candidate.score) || 0;
+  if (filters.minScore !== undefined && score < filters.minScore) return false;
+  if (filters.maxScore !== undefined && score > filters.maxScore) return false;
+  if (filters.minExperience !== undefined && (Number(candidate.experienceYearsExact ?? candidate.experience) || 0) < filters.minExperience) return false;
+  if (filters.approved !== undefined && (candidate.approved === true) !== filters.approved) return false;
+  if (filters.stages.length > 0 && !filters.stages.includes(stageOf(candidate))) return false;
+  if (filters.location && !String(candidate.location || '').toLowerCase().includes(filters.location)) return false;
+  if (filters.jobTitle && !String(candidate.jobTitle || '').toLowerCase().includes(filters.jobTitle)) return false;
+  const processedAt = Number(candidate.processedAt) || 0;
+  if (filters.processedAfter !== undefined && processedAt < filters.processedAfter) return false;
+  if (filters.processedBefore !== undefined && processedAt > filters.processedBefore) return false;
+  if (filters.skills.length > 0) {
+    const skills = new Set(toArray(candidate.skills).map((skill) => String(skill).trim().toLowerCase()));
+    const matched = filters.skills.filter((skill) => skills.has(skill));
+    if (filters.skillsMatch === 'all' ? matched.length < filters.skills.length : matched.length === 0) return false;
+  }
+  if (filters.terms.length > 0) {
+    const haystack = `${candidate.name || ''} ${candidate.parsedText || ''}`.toLowerCase();
+    if (!filters.terms.every((term) => haystack.includes(term))) return false;
+  }
+  return true;
+};
+
+// Candidate Search over talent_pool
+// The Realtime Database can only order by one child, so the score or processedAt range narrows the read and every other
+// filter, the search and the sort run in memory. toCandidate shapes each stored record for the response.
+const createCandidateSearch = ({ database, toCandidate }) => {
+  const load = async (filters) => {
+    let query = database.ref(CANDIDATES_PATH);
+    if (filters.minScore !== undefined || filters.maxScore !== undefined) {
+      query = query.orderByChild('score').startAt(filters.minScore ?? 0).endAt(filters.maxScore ?? 100);
+    } else if (filters.processedAfter !== undefined || filters.processedBefore !== undefined) {
+      query = query.orderByChild('processedAt').startAt(filters.processedAfter ?? 0).endAt(filters.processedBefore ?? Number.MAX_SAFE_INTEGER);
+    }
+    const snapshot = await query.once('value');
+    return Object.values(snapshot.val() || {});
+  };
+
+  // Returns { candidates, total, nextCursor } for a parsed query
+  const search = async ({ filters, sort, order, limit, cursor }) => {
+    const compare = compareBy(sort, order);
+    const matches = (await load(filters)).filter((candidate) => candidate && candidate.id && matchesCandidate(candidate, filters)).sort(compare);
+    const start = cursor ? matches.findIndex((candidate) => compare(candidate, { id: cursor.id, [sort]: cursor.v }) > 0) : 0;
+    const page = start === -1 ? [] : matches.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < matches.length;
+    return {
+      candidates: page.map(toCandidate),
+      total: matches.length,
+      nextCursor: hasMore ? encodeCursor(sort, order, page[page.length - 1]) : null,
+    };
+  };
+
+  return { search };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseCandidateQuery,
+  matchesCandidate,
+  createCandidateSearch,
+};
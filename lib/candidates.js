@@ -0,0 +1,48 @@
+const CANDIDATES_PATH = 'talent_pool';
+
+// resumeUrl of a stored resume: the endpoint that checks access and hands out a short-lived link to the file,
+// either the candidate's latest resume or the one submitted with an application
+const resumeEndpoint = (candidateId, applicationId) =>
+  `/candidates/${candidateId}/resume${applicationId ? `?application_id=${encodeURIComponent(applicationId)}` : ''}`;
+
+// Candidate Repository
+// talent_pool/<id> holds one record per person with every application merged into it
+const createCandidateRepository = (database) => {
+  // The stored record, or null when it does not exist
+  const get = async (id) => {
+    const snapshot = await database.ref(`${CANDIDATES_PATH}/${id}`).once('value');
+    return snapshot.val();
+  };
+
+  const save = (record) => database.ref(`${CANDIDATES_PATH}/${record.id}`).set(record);
+
+  // Candidates whose latest score is within [min, max]; either bound may be left out
+  const listByScore = async ({ min, max } = {}) => {
+    let query = database.ref(CANDIDATES_PATH).orderByChild('score');
+    if (min !== undefined) query = query.startAt(min);
+    if (max !== undefined) query = query.endAt(max);
+    const snapshot = await query.once('value');
+    return Object.values(snapshot.val() || {}).filter((candidate) => candidate && candidate.id);
+  };
+
+  const list = async () => {
+    const snapshot = await database.ref(CANDIDATES_PATH).once('value');
+    return Object.values(snapshot.val() || {}).filter((candidate) => candidate && candidate.id);
+  };
+
+  // Candidates last saved at or before the timestamp
+  const listProcessedBefore = async (timestamp) => {
+    const snapshot = await database.ref(CANDIDATES_PATH).orderByChild('processedAt').endAt(timestamp).once('value');
+    return Object.values(snapshot.val() || {}).filter((candidate) => candidate && candidate.id);
+  };
+
+  const remove = (id) => database.ref(`${CANDIDATES_PATH}/${id}`).remove();
+
+  return { get, save, remove, list, listByScore, listProcessedBefore };
+};
+
+module.exports = {
+  CANDIDATES_PATH,
+  resumeEndpoint,
+  createCandidateRepository,
+};
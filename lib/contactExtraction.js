@@ -0,0 +1,381 @@
+const { splitLines, headerSegments, detectName } = require('./piiRedaction');
+const { normalizeUrl } = require('./resumeStructure');
+
+// Contact Extraction
+// Deterministic parsing of the candidate's own email, phone, location and profile links from the resume text, and their
+// reconciliation with what the evaluator returned. Referees and former employers often appear in the same text, so
+// every match is ranked rather than taking the first one.
+
+// Calling code, national number lengths and trunk prefix per country. Italian numbers keep their leading 0.
+const PHONE_COUNTRIES = {
+  US: { code: '1', lengths: [10], trunk: '1' },
+  CA: { code: '1', lengths: [10], trunk: '1' },
+  GB: { code: '44', lengths: [9, 10], trunk: '0' },
+  IE: { code: '353', lengths: [7, 8, 9], trunk: '0' },
+  DE: { code: '49', lengths: [6, 7, 8, 9, 10, 11, 12, 13], trunk: '0' },
+  FR: { code: '33', lengths: [9], trunk: '0' },
+  ES: { code: '34', lengths: [9] },
+  IT: { code: '39', lengths: [6, 7, 8, 9, 10, 11] },
+  NL: { code: '31', lengths: [9], trunk: '0' },
+  PT: { code: '351', lengths: [9] },
+  PL: { code: '48', lengths: [9] },
+  SE: { code: '46', lengths: [7, 8, 9], trunk: '0' },
+  CH: { code: '41', lengths: [9], trunk: '0' },
+  IN: { code: '91', lengths: [10], trunk: '0' },
+  PK: { code: '92', lengths: [9, 10], trunk: '0' },
+  AU: { code: '61', lengths: [9], trunk: '0' },
+  NZ: { code: '64', lengths: [8, 9, 10], trunk: '0' },
+  SG: { code: '65', lengths: [8] },
+  AE: { code: '971', lengths: [8, 9], trunk: '0' },
+  ZA: { code: '27', lengths: [9], trunk: '0' },
+  NG: { code: '234', lengths: [8, 10], trunk: '0' },
+  KE: { code: '254', lengths: [9], trunk: '0' },
+  BR: { code: '55', lengths: [10, 11], trunk: '0' },
+  MX: { code: '52', lengths: [10] },
+  PH: { code: '63', lengths: [10], trunk: '0' },
+  JP: { code: '81', lengths: [9, 10], trunk: '0' },
+  CN: { code: '86', lengths: [11], trunk: '0' },
+};
+
+// Words in a location that name the country
+const COUNTRY_NAMES = [
+  ['US', /\b(?:usa|u\.s\.a?\.?|united states(?: of america)?|america)\b/i],
+  ['CA', /\b(?:canada|ontario|quebec|british columbia|alberta|manitoba|nova scotia)\b/i],
+  ['GB', /\b(?:uk|u\.k\.|united kingdom|england|scotland|wales|northern ireland|great britain|london|manchester|edinburgh)\b/i],
+  ['IE', /\b(?:ireland|dublin|cork)\b/i],
+  ['DE', /\b(?:germany|deutschland|berlin|munich|münchen|hamburg|frankfurt)\b/i],
+  ['FR', /\b(?:france|paris|lyon)\b/i],
+  ['ES', /\b(?:spain|españa|madrid|barcelona)\b/i],
+  ['IT', /\b(?:italy|italia|rome|milan|milano)\b/i],
+  ['NL', /\b(?:netherlands|holland|amsterdam|rotterdam)\b/i],
+  ['PT', /\b(?:portugal|lisbon|porto)\b/i],
+  ['PL', /\b(?:poland|warsaw|krakow|kraków)\b/i],
+  ['SE', /\b(?:sweden|stockholm)\b/i],
+  ['CH', /\b(?:switzerland|zurich|zürich|geneva)\b/i],
+  ['IN', /\b(?:india|bangalore|bengaluru|mumbai|delhi|hyderabad|pune|chennai)\b/i],
+  ['PK', /\b(?:pakistan|karachi|lahore|islamabad)\b/i],
+  ['AU', /\b(?:australia|sydney|melbourne|brisbane|perth)\b/i],
+  ['NZ', /\b(?:new zealand|auckland|wellington)\b/i],
+  ['SG', /\bsingapore\b/i],
+  ['AE', /\b(?:uae|united arab emirates|dubai|abu dhabi)\b/i],
+  ['ZA', /\b(?:south africa|johannesburg|cape town)\b/i],
+  ['NG', /\b(?:nigeria|lagos|abuja)\b/i],
+  ['KE', /\b(?:kenya|nairobi)\b/i],
+  ['BR', /\b(?:brazil|brasil|são paulo|sao paulo|rio de janeiro)\b/i],
+  ['MX', /\b(?:mexico|méxico)\b/i],
+  ['PH', /\b(?:philippines|manila)\b/i],
+  ['JP', /\b(?:japan|tokyo|osaka)\b/i],
+  ['CN', /\b(?:china|beijing|shanghai|shenzhen)\b/i],
+];
+const US_STATES = /,\s*(?:A[KLRZ]|C[AOT]|D[CE]|FL|GA|HI|I[ADLN]|K[SY]|LA|M[ADEINOST]|N[CDEHJMVY]|O[HKR]|PA|RI|S[CD]|T[NX]|UT|V[AT]|W[AIVY])\b/;
+const CA_PROVINCES = /,\s*(?:AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT)\b/;
+
+// How far ahead of the evaluator's email the best one in the text must rank to replace it
+const EMAIL_OVERRIDE_MARGIN = 0.25;
+
+// Confidence reported for each way a field can be settled
+const CONFIDENCE = {
+  agreed: 0.95,
+  agreedNotFirst: 0.85,
+  textOnly: 0.7,
+  conflictText: 0.6,
+  llmInText: 0.7,
+  llmNotInText: 0.3,
+  unparsedPhone: 0.2,
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const PHONE_PATTERN = /(?<![\w+])(?:\+|00)?(?:\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?:[ ]*(?:x|ext\.?|extension)[ ]*\d{1,5})?(?![\w])/gi;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()"'|]+|\b(?:[a-z0-9-]+\.)?(?:linkedin\.com|github\.com)\/[^\s<>()"'|]+/gi;
+const BARE_DOMAIN = /^(?:[a-z0-9-]+\.)+(?:com|net|org|io|dev|me|co|app|design|tech|ai|site|info|xyz|page|[a-z]{2})(?:\/\S*)?$/i;
+const LABELLED_LOCATION = /^[ \t]*(?:location|address|home address|based in|residence|city)[ \t]*[:-][ \t]*(.+)$/im;
+const HEADER_LOCATION = /^[A-Z][A-Za-z.'-]+(?:[ -][A-Z][A-Za-z.'-]+)*,[ ]*[A-Z][A-Za-z.'-]+(?:[ ][A-Z][A-Za-z.'-]+)*(?:[ ]+\d{4,6}(?:-\d{4})?)?$/;
+const REFERENCES_HEADING = /^(?:references?|referees?|professional references)\b/i;
+const SECTION_HEADING = /^(?:experience|work|employment|professional|career|education|skills|projects|certifications?|languages|summary|profile|objective|interests|awards|publications|volunteer(?:ing)?|activities)\b/i;
+const THIRD_PARTY_CONTEXT = /\b(?:referee|reference|supervisor|manager|reporting to|contact person|recruiter|mentor|advisor)\b/i;
+const ROLE_ADDRESS = /^(?:hr|info|jobs|careers|admin|contact|hello|office|support|talent|noreply|no-reply|recruit\w*)$/;
+const CONTACT_LABEL = /\b(?:e-?mail|phone|mobile|cell|tel|telephone|contact)\b/i;
+const MOBILE_LABEL = /\b(?:mobile|cell|phone|tel|telephone|whatsapp)\b/i;
+
+const HEADER_LINES = 8;
+
+const round = (value) => Math.round(Math.max(0, Math.min(1, value)) * 100) / 100;
+const present = (value) => typeof value === 'string' && value.trim() !== '' && !['n/a', 'unknown', 'email not found'].includes(value.trim().toLowerCase());
+
+// Country code inferred from a free-text location, or null
+const inferCountry = (location) => {
+  if (!present(location)) return null;
+  const named = COUNTRY_NAMES.find(([, pattern]) => pattern.test(location));
+  if (named) return named[0];
+  if (CA_PROVINCES.test(location)) return 'CA';
+  if (US_STATES.test(location)) return 'US';
+  return null;
+};
+
+// Parse a phone number as written into { e164, country }, or null when it cannot be read as one.
+// Numbers with an international prefix (+ or 00) need no country; national numbers are read in the given one.
+const parsePhone = (raw, country = null) => {
+  if (!present(raw)) return null;
+  const withoutExtension = raw.replace(/(?:x|ext\.?|extension)[ ]*\d{1,5}\s*$/i, '');
+  const digits = withoutExtension.replace(/\D/g, '');
+  const international = /^\s*(?:\+|00)/.test(withoutExtension);
+  if (international) {
+    const number = withoutExtension.trim().startsWith('00') ? digits.substring(2) : digits;
+    if (number.length < 8 || number.length > 15) return null;
+    const matches = Object.entries(PHONE_COUNTRIES)
+      .filter(([, entry]) => number.startsWith(entry.code))
+      .map(([code, entry]) => {
+        let national = number.substring(entry.code.length);
+        // "+44 (0)20 ..." keeps the trunk prefix after the country code
+        if (entry.trunk && entry.trunk !== entry.code && national.startsWith(entry.trunk) && !entry.lengths.includes(national.length)) {
+          national = national.substring(entry.trunk.length);
+        }
+        return { country: code, e164: `+${entry.code}${national}`, valid: entry.lengths.includes(national.length) };
+      })
+      .filter((match) => match.valid);
+    const matched = matches.find((match) => match.country === country) || matches[0];
+    return matched ? { e164: matched.e164, country: matched.country } : { e164: `+${number}`, country: null };
+  }
+  const entry = country && PHONE_COUNTRIES[country];
+  if (!entry) return null;
+  let national = digits;
+  if (entry.trunk && national.startsWith(entry.trunk) && entry.lengths.includes(national.length - entry.trunk.length)) {
+    national = national.substring(entry.trunk.length);
+  }
+  if (!entry.lengths.includes(national.length)) return null;
+  return { e164: `+${entry.code}${national}`, country };
+};
+
+// Lines tagged with whether they sit in the references section and whether they are in the header
+const tagLines = (text) => {
+  let inReferences = false;
+  let nonEmpty = 0;
+  return splitLines(text).map(({ line, start }) => {
+    const trimmed = line.trim();
+    if (trimmed !== '') nonEmpty += 1;
+    if (trimmed.length > 0 && trimmed.length <= 40 && !/\d/.test(trimmed)) {
+      if (REFERENCES_HEADING.test(trimmed)) inReferences = true;
+      else if (SECTION_HEADING.test(trimmed)) inReferences = false;
+    }
+    return { line, start, end: start + line.length, inReferences, inHeader: trimmed !== '' && nonEmpty <= HEADER_LINES };
+  });
+};
+
+const lineAt = (lines, index) => lines.find((entry) => index >= entry.start && index <= entry.end) || lines[lines.length - 1];
+
+// Whether a match belongs to somebody else: in the references section or shortly after a referee's title on its line
+const isThirdParty = (line, index) =>
+  line.inReferences || THIRD_PARTY_CONTEXT.test(line.line.substring(Math.max(0, index - line.start - 40), index - line.start));
+
+// Emails ranked from most to least likely to be the candidate's own: early in the text, close to the name, a local
+// part made of the name, and not in the references
+const rankEmails = (text, lines, name) => {
+  const namePosition = name ? text.indexOf(name) : -1;
+  const nameTokens = name ? name.toLowerCase().split(/[\s.'’-]+/).filter((token) => token.length >= 3) : [];
+  const seen = new Set();
+  const emails = [];
+  for (const match of text.matchAll(EMAIL_PATTERN)) {
+    const value = match[0].toLowerCase().replace(/\.$/, '');
+    if (seen.has(value)) continue;
+    seen.add(value);
+    const line = lineAt(lines, match.index);
+    const localPart = value.split('@')[0];
+    let score = 0.3 * (1 - Math.min(match.index / Math.max(text.length, 1), 1));
+    if (line.inHeader) score += 0.2;
+    if (namePosition >= 0) score += 0.2 * Math.max(0, 1 - Math.abs(match.index - namePosition) / 500);
+    if (nameTokens.some((token) => localPart.includes(token))) score += 0.2;
+    if (CONTACT_LABEL.test(line.line)) score += 0.1;
+    if (ROLE_ADDRESS.test(localPart)) score -= 0.3;
+    const thirdParty = isThirdParty(line, match.index);
+    if (thirdParty) score -= 0.6;
+    emails.push({ value, index: match.index, score: round(score), thirdParty });
+  }
+  return emails.sort((a, b) => b.score - a.score || a.index - b.index);
+};
+
+// Phone numbers in the order they should be preferred, each parsed in the inferred country when possible
+const rankPhones = (text, lines, country) => {
+  const seen = new Set();
+  const phones = [];
+  for (const match of text.matchAll(PHONE_PATTERN)) {
+    const raw = match[0].trim();
+    const digits = raw.replace(/\D/g, '');
+    if (digits.length < 7 || /^(?:19|20)\d{2}\s*[-–]\s*(?:19|20)\d{2}$/.test(raw)) continue;
+    const parsed = parsePhone(raw, country);
+    if (!parsed && (digits.length < 9 || digits.length > 15)) continue;
+    const key = parsed ? parsed.e164 : digits;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const line = lineAt(lines, match.index);
+    const thirdParty = isThirdParty(line, match.index);
+    let score = 0.4 * (1 - Math.min(match.index / Math.max(text.length, 1), 1));
+    if (line.inHeader) score += 0.3;
+    if (MOBILE_LABEL.test(line.line)) score += 0.2;
+    if (parsed) score += 0.1;
+    if (thirdParty) score -= 0.6;
+    phones.push({ raw, e164: parsed ? parsed.e164 : null, country: parsed ? parsed.country : null, index: match.index, score: round(score), thirdParty });
+  }
+  return phones.sort((a, b) => b.score - a.score || a.index - b.index);
+};
+
+// Profile links by kind. Only LinkedIn member profiles count as the candidate's, not company pages; the first other
+// personal site is the portfolio.
+const extractLinks = (text, lines) => {
+  const found = [];
+  for (const match of text.matchAll(URL_PATTERN)) {
+    if (isThirdParty(lineAt(lines, match.index), match.index)) continue;
+    found.push(match[0].replace(/[.,;:!?)]+$/, ''));
+  }
+  for (const { text: segment } of headerSegments(lines)) {
+    if (BARE_DOMAIN.test(segment) && !segment.includes('@')) found.push(segment);
+  }
+  const urls = [...new Set(found.map(normalizeUrl).filter(Boolean))];
+  const hostOf = (url) => new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  const linkedinUrls = urls.filter((url) => hostOf(url).endsWith('linkedin.com'));
+  const githubUrls = urls.filter((url) => hostOf(url) === 'github.com');
+  const linkedin = linkedinUrls.find((url) => /\/(?:in|pub)\//i.test(url)) || null;
+  const github = githubUrls[0] || null;
+  const portfolio = urls.find((url) => !linkedinUrls.includes(url) && !githubUrls.includes(url)) || null;
+  return { linkedin, github, portfolio, other: urls.filter((url) => ![linkedin, github, portfolio].includes(url)) };
+};
+
+// The candidate's location: a labelled line, otherwise a "City, Region" part of the header
+const extractLocation = (text, lines) => {
+  const labelled = LABELLED_LOCATION.exec(text);
+  if (labelled && !isThirdParty(lineAt(lines, labelled.index), labelled.index)) return labelled[1].trim();
+  const segment = headerSegments(lines).find(({ text: value }) => HEADER_LOCATION.test(value));
+  return segment ? segment.text : null;
+};
+
+// Everything found in the text. name (e.g. the evaluator's answer) is used when the text has no recognizable name line;
+// phones are read in the country of the location found, else defaultCountry.
+const extractContacts = (text, { name = null, defaultCountry = null } = {}) => {
+  const source = typeof text === 'string' ? text : '';
+  const lines = tagLines(source);
+  const detectedName = detectName(source, lines) || (present(name) ? name.trim() : null);
+  const location = extractLocation(source, lines);
+  const country = inferCountry(location) || defaultCountry;
+  return {
+    name: detectedName,
+    emails: rankEmails(source, lines, detectedName),
+    phones: rankPhones(source, lines, country),
+    links: extractLinks(source, lines),
+    location,
+    country,
+  };
+};
+
+// The best own email in the text, or null
+const primaryEmail = (contacts) => {
+  const own = contacts.emails.find((email) => !email.thirdParty);
+  return own ? own.value : null;
+};
+
+const sameLocation = (a, b) => {
+  const first = (value) => value.toLowerCase().split(',')[0].trim();
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  return left.includes(right) || right.includes(left) || first(a) === first(b);
+};
+
+// Reconcile extractContacts' findings with the evaluator's answers ({ email, phone, location, links }). The evaluator
+// wins when the text backs it up; a value it gave that is nowhere in the text is kept only when the text has nothing better.
+// Returns the fields to store plus contactConfidence, 0 to 1 per field (0 when nothing was found).
+const reconcileContacts = (contacts, llm = {}, { defaultCountry = null, text = '' } = {}) => {
+  const confidence = {};
+  const normalizedText = (text || '').toLowerCase();
+
+  // Email
+  const ownEmails = contacts.emails.filter((email) => !email.thirdParty);
+  const llmEmail = present(llm.email) ? llm.email.trim().toLowerCase() : null;
+  const llmEmailMatch = llmEmail ? contacts.emails.find((email) => email.value === llmEmail) : null;
+  let email = null;
+  if (llmEmailMatch && !llmEmailMatch.thirdParty && ownEmails[0].score - llmEmailMatch.score < EMAIL_OVERRIDE_MARGIN) {
+    email = llmEmail;
+    confidence.email = ownEmails[0] && ownEmails[0].value === llmEmail ? CONFIDENCE.agreed : CONFIDENCE.agreedNotFirst;
+  } else if (ownEmails.length > 0) {
+    email = ownEmails[0].value;
+    confidence.email = llmEmail ? CONFIDENCE.conflictText : CONFIDENCE.textOnly;
+  } else if (llmEmail) {
+    email = llmEmail;
+    confidence.email = llmEmailMatch ? CONFIDENCE.conflictText / 2 : CONFIDENCE.llmNotInText;
+  }
+
+  // Location, settled first because it decides the phone numbers' country
+  const llmLocation = present(llm.location) ? llm.location.trim() : null;
+  let location = null;
+  if (llmLocation && contacts.location) {
+    const agree = sameLocation(llmLocation, contacts.location);
+    location = agree ? llmLocation : contacts.location;
+    confidence.location = agree ? CONFIDENCE.agreed : CONFIDENCE.conflictText;
+  } else if (contacts.location) {
+    location = contacts.location;
+    confidence.location = CONFIDENCE.textOnly;
+  } else if (llmLocation) {
+    location = llmLocation;
+    confidence.location = normalizedText.includes(llmLocation.toLowerCase()) ? CONFIDENCE.llmInText : CONFIDENCE.llmNotInText;
+  }
+
+  // Phone, as E.164 whenever the country is known
+  const country = inferCountry(location) || contacts.country || defaultCountry;
+  const phones = contacts.phones.filter((phone) => !phone.thirdParty)
+    .map((phone) => (phone.e164 || !country ? phone : { ...phone, ...(parsePhone(phone.raw, country) || {}) }));
+  const llmPhone = present(llm.phone) ? { raw: llm.phone.trim(), ...(parsePhone(llm.phone, country) || {}) } : null;
+  const phoneKey = (phone) => phone.e164 || phone.raw.replace(/\D/g, '');
+  let phone = null;
+  if (llmPhone && phones.some((entry) => phoneKey(entry) === phoneKey(llmPhone))) {
+    phone = llmPhone.e164 || llmPhone.raw;
+    confidence.phone = phoneKey(phones[0]) === phoneKey(llmPhone) ? CONFIDENCE.agreed : CONFIDENCE.agreedNotFirst;
+  } else if (phones.length > 0) {
+    phone = phones[0].e164 || phones[0].raw;
+    confidence.phone = llmPhone ? CONFIDENCE.conflictText : CONFIDENCE.textOnly;
+  } else if (llmPhone) {
+    phone = llmPhone.e164 || llmPhone.raw;
+    confidence.phone = llmPhone.e164 ? CONFIDENCE.llmNotInText : CONFIDENCE.unparsedPhone;
+  }
+
+  // Links
+  const llmLinks = llm.links && typeof llm.links === 'object' ? llm.links : {};
+  const textUrls = [contacts.links.linkedin, contacts.links.github, contacts.links.portfolio, ...contacts.links.other].filter(Boolean);
+  const links = {};
+  for (const kind of ['linkedin', 'github', 'portfolio']) {
+    const fromLlm = normalizeUrl(llmLinks[kind]);
+    const fromText = contacts.links[kind];
+    if (fromLlm && textUrls.some((url) => url.toLowerCase() === fromLlm.toLowerCase())) {
+      links[kind] = fromLlm;
+      confidence[kind] = fromText && fromText.toLowerCase() === fromLlm.toLowerCase() ? CONFIDENCE.agreed : CONFIDENCE.agreedNotFirst;
+    } else if (fromText) {
+      links[kind] = fromText;
+      confidence[kind] = fromLlm ? CONFIDENCE.conflictText : CONFIDENCE.textOnly;
+    } else {
+      links[kind] = fromLlm;
+      if (fromLlm) confidence[kind] = CONFIDENCE.llmNotInText;
+    }
+  }
+  const chosen = new Set([links.linkedin, links.github, links.portfolio].filter(Boolean).map((url) => url.toLowerCase()));
+  const llmOther = (Array.isArray(llmLinks.other) ? llmLinks.other : []).map(normalizeUrl).filter(Boolean);
+  const other = [...new Set([...contacts.links.other, ...llmOther])].filter((url) => !chosen.has(url.toLowerCase()));
+
+  return {
+    email,
+    phone,
+    location,
+    links: { ...links, other },
+    contactConfidence: Object.fromEntries(['email', 'phone', 'location', 'linkedin', 'github', 'portfolio']
+      .map((field) => [field, round(confidence[field] || 0)])),
+  };
+};
+
+// Extract and reconcile in one step
+const resolveContacts = (text, llm = {}, { defaultCountry = null } = {}) =>
+  reconcileContacts(extractContacts(text, { name: llm.name, defaultCountry }), llm, { defaultCountry, text });
+
+module.exports = {
+  PHONE_COUNTRIES,
+  inferCountry,
+  parsePhone,
+  extractContacts,
+  primaryEmail,
+  reconcileContacts,
+  resolveContacts,
+};
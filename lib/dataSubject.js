@@ -0,0 +1,135 @@
+const { applicationsOf } = require('./dedup');
+const { isTenantStoragePath } = require('./tenants');
+const { toArray } = require('./storageBackend');
+
+const ERASURES_PATH = 'data_erasures';
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Data-Subject Requests
+// Everything an organization holds about one candidate: the talent_pool record, the resume file of every application,
+// the pipeline history, requisition scores, the extracted resume text, the identity sealed by blind screening, the lookup
+// index entries, and the failure records (with their quarantined files) of the same resume files. export gathers it,
+// erase removes it, along with the copies in async job results (purgeJobResults), and leaves an entry under
+// data_erasures that records what was removed without any personal data.
+const createDataSubjectService = ({
+  database,
+  blobStore,
+  storagePrefix,
+  candidates,
+  failureStore,
+  candidateIndex,
+  resumeTextStore,
+  pipeline,
+  requisitionStore,
+  sealedIdentities,
+  purgeJobResults,
+}) => {
+  const contentHashesOf = (candidate) => [...new Set([
+    ...toArray(candidate.contentHashes),
+    candidate.resumeTextHash,
+    ...applicationsOf(candidate).map((application) => application.contentHash),
+  ].filter(Boolean))];
+
+  // Each stored resume once: { storagePath, applicationId, fileName }. Records from before private storage only have the public URL.
+  const resumeFilesOf = (candidate) => {
+    const files = new Map();
+    for (const entry of [candidate, ...applicationsOf(candidate)]) {
+      const storagePath = entry.resumePath || blobStore.pathFromUrl(entry.resumeUrl);
+      if (!storagePath || files.has(storagePath) || !isTenantStoragePath(storagePrefix, storagePath)) continue;
+      files.set(storagePath, { storagePath, applicationId: entry === candidate ? null : entry.id || null, fileName: entry.fileName || null });
+    }
+    return [...files.values()];
+  };
+
+  const requisitionScoresOf = async (candidate) => {
+    const scores = await Promise.all(Object.keys(candidate.scores || {}).map(async (requisitionId) => {
+      const score = await requisitionStore.getScore(requisitionId, candidate.id);
+      return score ? { requisitionId, ...score } : null;
+    }));
+    return scores.filter(Boolean);
+  };
+
+  // File contents as base64, or missing: true when the object is gone
+  const readFile = async (storagePath) => {
+    try {
+      const { contentType, size } = await blobStore.getMetadata(storagePath);
+      const content = await readStream(await blobStore.openReadStream(storagePath));
+      return { contentType, size, contentBase64: content.toString('base64') };
+    } catch (error) {
+      if (error.code === 404) return { missing: true };
+      throw error;
+    }
+  };
+
+  // Everything held about the candidate, with the original files inlined
+  const exportCandidate = async (candidate) => {
+    const contentHashes = contentHashesOf(candidate);
+    const failures = await failureStore.listForCandidate(candidate.id, contentHashes);
+    const resumeTexts = await Promise.all(contentHashes.map(async (contentHash) =>
+      (await resumeTextStore.versions(contentHash)).map((stored) => ({ contentHash, ...stored }))));
+    const files = [
+      ...resumeFilesOf(candidate).map((file) => ({ source: 'resume', ...file })),
+      ...failures.filter((failure) => failure.quarantinePath).map((failure) => ({
+        source: 'quarantine',
+        storagePath: failure.quarantinePath,
+        failureId: failure.id,
+        fileName: failure.filename || null,
+      })),
+    ];
+    return {
+      candidateId: candidate.id,
+      exportedAt: Date.now(),
+      candidate,
+      applications: applicationsOf(candidate),
+      pipelineHistory: await pipeline.history(candidate.id),
+      requisitionScores: await requisitionScoresOf(candidate),
+      resumeTexts: resumeTexts.flat(),
+      blindScreening: await sealedIdentities.get(candidate.id),
+      failures,
+      files: await Promise.all(files.map(async (file) => ({ ...file, ...(await readFile(file.storagePath)) }))),
+    };
+  };
+
+  // Removes everything and returns what was removed. The record goes last, so a failed erasure can simply be run again.
+  const erase = async (candidate, { actor, reason = 'request' } = {}) => {
+    const contentHashes = contentHashesOf(candidate);
+    const files = resumeFilesOf(candidate);
+    for (const file of files) await blobStore.delete(file.storagePath);
+    const failures = await failureStore.listForCandidate(candidate.id, contentHashes);
+    for (const failure of failures) await failureStore.remove(failure.id, failure);
+    for (const contentHash of contentHashes) await resumeTextStore.remove(contentHash);
+    const requisitionIds = Object.keys(candidate.scores || {});
+    for (const requisitionId of requisitionIds) await requisitionStore.removeScore(requisitionId, candidate.id);
+    await pipeline.removeHistory(candidate.id);
+    const sealed = await sealedIdentities.get(candidate.id);
+    const indexEntries = await candidateIndex.remove(candidate);
+    await sealedIdentities.remove(candidate.id);
+    const jobResults = await purgeJobResults(candidate.id);
+    await candidates.remove(candidate.id);
+
+    const removed = {
+      files: files.length,
+      failures: failures.length,
+      quarantinedFiles: failures.filter((failure) => failure.quarantinePath).length,
+      resumeTexts: contentHashes.length,
+      requisitionScores: requisitionIds.length,
+      sealedIdentity: Boolean(sealed),
+      indexEntries,
+      jobResults,
+    };
+    const entry = { candidateId: candidate.id, reason, actor: actor || null, at: Date.now(), removed };
+    await database.ref(ERASURES_PATH).push(entry);
+    return entry;
+  };
+
+  return { exportCandidate, erase };
+};
+
+module.exports = {
+  createDataSubjectService,
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { withoutUndefined, toArray } = require('./storageBackend');
+
+const INDEX_PATH = 'candidate_index';
+const EMAIL_PATTERN = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// SHA-256 of the file bytes, streamed so large uploads are never held in memory
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+// Identifies the requisition, JD, RS and weights a resume was scored against, so the same file scored for the same role is recognised
+const criteriaKey = (criteria) =>
+  sha256(JSON.stringify([
+    criteria.requisitionId || null,
+    (criteria.jobDescription || '').trim(),
+    (criteria.recruiterSuggestion || '').trim(),
+    criteria.weights || null,
+  ])).substring(0, 32);
+
+// Email as produced by validateCandidate; placeholders such as 'Email Not Found' are never used for matching
+const normalizeEmailKey = (email) => {
+  const value = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  return EMAIL_PATTERN.test(value) ? value : null;
+};
+
+// Digits only, compared on the last 10 so '+1 (555) 123-4567' and '555.123.4567' match
+const normalizePhoneKey = (phone) => {
+  const digits = typeof phone === 'string' ? phone.replace(/\D/g, '') : '';
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+const isPlaceholder = (value) =>
+  value === undefined || value === null || value === '' || value === 'N/A' || value === 'Unknown' || value === 'Email Not Found' ||
+  (Array.isArray(value) && value.length === 0);
+
+// One scored submission of a resume against a JD/RS. rescored marks scores produced from stored text without an upload
+const buildApplication = (candidate, { criteria, contentHash, rescored = false }) => withoutUndefined({
+  id: uuidv4(),
+  requisitionId: criteria.requisitionId,
+  rescored: rescored || undefined,
+  criteriaKey: criteriaKey(criteria),
+  jobDescriptionExcerpt: (criteria.jobDescription || '').substring(0, 200),
+  score: candidate.score,
+  jdScore: candidate.jdScore,
+  rsScore: candidate.rsScore,
+  scoreWeights: candidate.scoreWeights,
+  fileName: candidate.fileName,
+  contentHash,
+  resumeUrl: candidate.resumeUrl,
+  resumePath: candidate.resumePath,
+  llmProvider: candidate.llmProvider,
+  llmModel: candidate.llmModel,
+  appliedAt: Date.now(),
+});
+
+// Records saved before deduplication have no applications; their own score becomes the first entry
+const applicationsOf = (candidate) => {
+  const applications = toArray(candidate.applications);
+  if (applications.length > 0 || candidate.score === undefined) return applications;
+  return [withoutUndefined({
+    id: `legacy-${candidate.id}`,
+    criteriaKey: null,
+    jobDescriptionExcerpt: '',
+    score: candidate.score,
+    jdScore: candidate.jdScore,
+    rsScore: candidate.rsScore,
+    fileName: candidate.fileName,
+    resumeUrl: candidate.resumeUrl,
+    resumePath: candidate.resumePath,
+    llmProvider: candidate.llmProvider,
+    llmModel: candidate.llmModel,
+    appliedAt: candidate.processedAt || null,
+  })];
+};
+
+// Merge a newly scored resume into the stored record of the same person.
+// Profile fields come from the newest resume unless it left them empty; skills are combined;
+// scores describe the newest application; approval, the pipeline stage and the record id are kept.
+const KEPT_ON_MERGE = ['id', 'approved', 'stage', 'stageUpdatedAt', 'stageUpdatedBy', 'applications', 'contentHashes'];
+
+const mergeCandidates = (existing, incoming, application) => {
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(incoming)) {
+    if (KEPT_ON_MERGE.includes(key)) continue;
+    if (!isPlaceholder(value) || isPlaceholder(merged[key])) merged[key] = value;
+  }
+  merged.skills = [...new Set([...(incoming.skills || []), ...toArray(existing.skills)])];
+  merged.score = incoming.score;
+  merged.jdScore = incoming.jdScore;
+  merged.rsScore = incoming.rsScore;
+  merged.requirements = incoming.requirements;
+  merged.scoreWeights = incoming.scoreWeights;
+  merged.applications = [...applicationsOf(existing), application];
+  merged.contentHashes = [...new Set([...toArray(existing.contentHashes), application.contentHash].filter(Boolean))];
+  return merged;
+};
+
+// Candidate Lookup Index
+// candidate_index/{content,email,phone}/<sha256> -> candidate id. Keys are hashed because emails cannot be
+// Realtime Database keys and raw contact details do not belong in an index.
+
+// The index entries for one resume file and the identity it was matched on. Records keep them as indexKeys,
+// because a blind record's own email and phone are masked and a merged record's may have changed since.
+const indexKeysOf = ({ email, phone } = {}, contentHash) => {
+  const emailKey = normalizeEmailKey(email);
+  const phoneKey = normalizePhoneKey(phone);
+  return [
+    ...(contentHash ? [`content/${sha256(contentHash)}`] : []),
+    ...(emailKey ? [`email/${sha256(emailKey)}`] : []),
+    ...(phoneKey ? [`phone/${sha256(phoneKey)}`] : []),
+  ];
+};
+
+const createCandidateIndex = (database) => {
+  const lookup = async (kind, value) => {
+    if (!value) return null;
+    const snapshot = await database.ref(`${INDEX_PATH}/${kind}/${sha256(value)}`).once('value');
+    return snapshot.val();
+  };
+
+  const findByContentHash = (contentHash) => lookup('content', contentHash);
+
+  // Same person: email first, then phone. Returns { candidateId, matchedOn } or null
+  const findByIdentity = async ({ email, phone }) => {
+    const byEmail = await lookup('email', normalizeEmailKey(email));
+    if (byEmail) return { candidateId: byEmail, matchedOn: 'email' };
+    const byPhone = await lookup('phone', normalizePhoneKey(phone));
+    if (byPhone) return { candidateId: byPhone, matchedOn: 'phone' };
+    return null;
+  };
+
+  // Points every key in candidate.indexKeys at the candidate
+  const index = async (candidate) => {
+    const keys = toArray(candidate.indexKeys);
+    if (keys.length > 0) await database.ref(INDEX_PATH).update(Object.fromEntries(keys.map((key) => [key, candidate.id])));
+  };
+
+  // Drop the entries the candidate was indexed under that still point at it; returns how many. Records saved
+  // before indexKeys existed fall back to their current email, phone and resume files.
+  const remove = async (candidate) => {
+    const keys = new Set([
+      ...toArray(candidate.indexKeys),
+      ...toArray(candidate.contentHashes).flatMap((contentHash) => indexKeysOf({}, contentHash)),
+      ...indexKeysOf(candidate),
+    ]);
+    const owned = [];
+    for (const key of keys) {
+      if ((await database.ref(`${INDEX_PATH}/${key}`).once('value')).val() === candidate.id) owned.push(key);
+    }
+    if (owned.length > 0) await database.ref(INDEX_PATH).update(Object.fromEntries(owned.map((key) => [key, null])));
+    return owned.length;
+  };
+
+  return { findByContentHash, findByIdentity, index, remove };
+};
+
+module.exports = {
+  hashFile,
+  criteriaKey,
+  normalizeEmailKey,
+  normalizePhoneKey,
+  applicationsOf,
+  buildApplication,
+  mergeCandidates,
+  indexKeysOf,
+  createCandidateIndex,
+};
@@ -0,0 +1,217 @@
+// Declared shape of the evaluator's JSON output.
+// Written once in a small JSON-Schema subset (type, properties, required, items, enum, minimum, maximum, nullable)
+// and converted to each provider's structured-output dialect.
+
+const string = { type: 'string' };
+const nullableString = { type: 'string', nullable: true };
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const stringList = { type: 'array', items: string };
+
+const EVALUATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: string,
+    email: string,
+    phone: string,
+    location: string,
+    score,
+    jdScore: score,
+    rsScore: score,
+    requirements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string', enum: ['JD', 'RS'] },
+          requirement: string,
+          status: { type: 'string', enum: ['met', 'partially_met', 'missing'] },
+          evidence: string,
+        },
+        required: ['source', 'requirement', 'status'],
+      },
+    },
+    parsedText: string,
+    skills: stringList,
+    experienceYears: { type: 'number', minimum: 0 },
+    jobTitle: string,
+    education: string,
+    positions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          company: string,
+          title: string,
+          startDate: nullableString,
+          endDate: nullableString,
+          current: { type: 'boolean' },
+          location: string,
+          highlights: stringList,
+        },
+        required: ['company', 'title'],
+      },
+    },
+    educationHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          institution: string,
+          degree: string,
+          field: string,
+          graduationYear: nullableString,
+        },
+        required: ['institution', 'degree'],
+      },
+    },
+    certifications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: string, issuer: string, date: nullableString },
+        required: ['name'],
+      },
+    },
+    languages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { language: string, proficiency: string },
+        required: ['language'],
+      },
+    },
+    links: {
+      type: 'object',
+      properties: { linkedin: string, github: string, portfolio: string, other: stringList },
+    },
+  },
+  required: ['name', 'email', 'score', 'jdScore', 'rsScore', 'parsedText', 'skills', 'experienceYears', 'jobTitle', 'education'],
+};
+
+const describe = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+const enumKey = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Validate a value against a schema node, applying the coercion rules below.
+// Returns the coerced value; problems are appended to errors as { path, message }.
+//   string  <- number or boolean
+//   number  <- numeric string, optionally with a trailing '%'
+//   boolean <- 'true' / 'false'
+//   array   <- a single item (wrapped)
+//   enum    <- case-insensitive match, spaces and dashes read as underscores
+// Anything else, out-of-range numbers and missing required fields are errors, never silent defaults.
+const coerce = (value, schema, path, errors) => {
+  if (value === null || value === undefined) {
+    if (value === null && !schema.nullable) {
+      errors.push({ path, message: `expected ${schema.type}, got null` });
+    }
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'string': {
+      let result = value;
+      if (typeof value === 'number' || typeof value === 'boolean') result = String(value);
+      if (typeof result !== 'string') {
+        errors.push({ path, message: `expected string, got ${describe(value)}` });
+        return undefined;
+      }
+      if (schema.enum) {
+        const match = schema.enum.find((option) => enumKey(option) === enumKey(result));
+        if (!match) {
+          errors.push({ path, message: `expected one of ${schema.enum.join(', ')}, got '${result}'` });
+          return undefined;
+        }
+        return match;
+      }
+      return result;
+    }
+    case 'number': {
+      let result = value;
+      if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*%?\s*$/.test(value)) result = parseFloat(value);
+      if (typeof result !== 'number' || !Number.isFinite(result)) {
+        errors.push({ path, message: `expected number, got ${describe(value)}${typeof value === 'string' ? ` '${value.substring(0, 40)}'` : ''}` });
+        return undefined;
+      }
+      if ((schema.minimum !== undefined && result < schema.minimum) || (schema.maximum !== undefined && result > schema.maximum)) {
+        errors.push({ path, message: `expected a number between ${schema.minimum ?? '-∞'} and ${schema.maximum ?? '∞'}, got ${result}` });
+        return undefined;
+      }
+      return result;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      errors.push({ path, message: `expected boolean, got ${describe(value)}` });
+      return undefined;
+    }
+    case 'array': {
+      const items = Array.isArray(value) ? value : [value];
+      return items.map((item, index) => coerce(item, schema.items, `${path}[${index}]`, errors)).filter((item) => item !== undefined);
+    }
+    case 'object': {
+      if (describe(value) !== 'object') {
+        errors.push({ path, message: `expected object, got ${describe(value)}` });
+        return undefined;
+      }
+      const result = {};
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'required field is missing' });
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        const coerced = coerce(value[key], propertySchema, `${path}.${key}`, errors);
+        if (coerced !== undefined) result[key] = coerced;
+      }
+      return result;
+    }
+    default:
+      return value;
+  }
+};
+
+// Validate parsed evaluator output; errors is empty when the output can be used as-is
+const validateEvaluation = (data, schema = EVALUATION_SCHEMA) => {
+  const errors = [];
+  const value = coerce(data, schema, '$', errors);
+  return { value, errors };
+};
+
+// Standard JSON Schema, as accepted by OpenAI-compatible response_format
+const toJsonSchema = (schema) => {
+  const result = { type: schema.nullable ? [schema.type, 'null'] : schema.type };
+  if (schema.enum) result.enum = schema.nullable ? [...schema.enum, null] : schema.enum;
+  if (schema.minimum !== undefined) result.minimum = schema.minimum;
+  if (schema.maximum !== undefined) result.maximum = schema.maximum;
+  if (schema.items) result.items = toJsonSchema(schema.items);
+  if (schema.properties) {
+    result.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toJsonSchema(value)]));
+    result.required = schema.required || [];
+  }
+  return result;
+};
+
+// Gemini responseSchema (OpenAPI subset: nullable instead of type unions, enums declared with format 'enum')
+const toGeminiSchema = (schema) => {
+  const result = { type: schema.type };
+  if (schema.nullable) result.nullable = true;
+  if (schema.enum) {
+    result.format = 'enum';
+    result.enum = schema.enum;
+  }
+  if (schema.items) result.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    result.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+    if (schema.required) result.required = schema.required;
+  }
+  return result;
+};
+
+// Format validation errors one per line for prompts and logs
+const formatValidationErrors = (errors) => errors.map((error) => `- ${error.path}: ${error.message}`).join('\n');
+
+module.exports = {
+  EVALUATION_SCHEMA,
+  validateEvaluation,
+  toJsonSchema,
+  toGeminiSchema,
+  formatValidationErrors,
+};
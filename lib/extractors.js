@@ -0,0 +1,456 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const pdf = require('pdf-parse');
+const unzipper = require('unzipper');
+const WordExtractor = require('word-extractor');
+const { OCR_OPTIONS, extractTextWithOcr } = require('./ocr');
+const {
+  ServicePrincipalCredentials,
+  PDFServices,
+  MimeType,
+  ExtractPDFParams,
+  ExtractElementType,
+  ExtractPDFJob,
+  ExtractPDFResult,
+  SDKError,
+  ServiceUsageError,
+  ServiceApiError
+} = require('@adobe/pdfservices-node-sdk');
+
+const MIN_TEXT_LENGTH = 50;
+
+// Adobe PDF Text Extraction; resolves to { text, pages }
+const extractTextFromPDF = async (inputFilePath, filename) => {
+  let readStream;
+  let outputZipPath = null; // Initialize to null
+  const startTime = performance.now();
+  try {
+    if (!process.env.PDF_SERVICES_CLIENT_ID || !process.env.PDF_SERVICES_CLIENT_SECRET) {
+      throw new Error("Missing or empty PDF_SERVICES_CLIENT_ID or PDF_SERVICES_CLIENT_SECRET in environment variables");
+    }
+    const credentials = new ServicePrincipalCredentials({
+      clientId: process.env.PDF_SERVICES_CLIENT_ID,
+      clientSecret: process.env.PDF_SERVICES_CLIENT_SECRET
+    });
+    const pdfServices = new PDFServices({ credentials });
+    readStream = fs.createReadStream(inputFilePath);
+    const inputAsset = await pdfServices.upload({
+      readStream,
+      mimeType: MimeType.PDF
+    });
+    const params = new ExtractPDFParams({
+      elementsToExtract: [ExtractElementType.TEXT]
+    });
+    const job = new ExtractPDFJob({ inputAsset, params });
+    const pollingURL = await pdfServices.submit({ job });
+    const pdfServicesResponse = await pdfServices.getJobResult({
+      pollingURL,
+      resultType: ExtractPDFResult,
+      timeout: 120000 // 120 seconds
+    });
+    const resultAsset = pdfServicesResponse.result.resource;
+    const streamAsset = await pdfServices.getContent({ asset: resultAsset });
+    outputZipPath = path.join(os.tmpdir(), `ExtractText_${Date.now()}_${filename}.zip`);
+    await fsPromises.mkdir(path.dirname(outputZipPath), { recursive: true });
+    const writeStream = fs.createWriteStream(outputZipPath);
+    await new Promise((resolve, reject) => {
+      streamAsset.readStream.pipe(writeStream)
+        .on('finish', resolve)
+        .on('error', reject);
+    });
+    const directory = await unzipper.Open.file(outputZipPath);
+    const jsonFile = directory.files.find(file => file.path === 'structuredData.json');
+    if (!jsonFile) throw new Error("structuredData.json not found in ZIP");
+    const jsonContent = await jsonFile.buffer();
+    const jsonData = JSON.parse(jsonContent.toString());
+    let extractedText = "";
+    if (jsonData.elements) {
+      jsonData.elements.forEach(element => {
+        if (element.Text) extractedText += element.Text + "\n";
+      });
+    }
+    const duration = (performance.now() - startTime) / 1000;
+    console.log(`Adobe extracted ${extractedText.length} chars from ${filename} in ${duration.toFixed(2)}s`);
+    if (!extractedText || extractedText.length < 50) {
+      throw new Error(`Insufficient text extracted: ${extractedText.length} chars`);
+    }
+    return { text: extractedText.trim(), pages: Array.isArray(jsonData.pages) ? jsonData.pages.length : undefined };
+  } catch (err) {
+    const duration = (performance.now() - startTime) / 1000;
+    if (err instanceof SDKError || err instanceof ServiceUsageError || err instanceof ServiceApiError) {
+      console.error(`Adobe SDK error for ${filename} after ${duration.toFixed(2)}s: ${err.message}`);
+    } else {
+      console.error(`Unexpected error for ${filename} after ${duration.toFixed(2)}s: ${err.message}`);
+    }
+    throw new Error(`Failed to extract text with Adobe SDK: ${err.message}`);
+  } finally {
+    if (readStream) {
+      try {
+        readStream.destroy();
+      } catch (err) {
+        console.error(`Error closing readStream for ${filename}: ${err.message}`);
+      }
+    }
+    if (outputZipPath && fs.existsSync(outputZipPath)) {
+      try {
+        await fsPromises.unlink(outputZipPath);
+        console.log(`Cleaned up Adobe ZIP file: ${outputZipPath}`);
+      } catch (cleanupErr) {
+        if (cleanupErr.code !== 'ENOENT') {
+          console.error(`Error cleaning up Adobe ZIP file ${outputZipPath} for ${filename}: ${cleanupErr.message}`);
+        }
+      }
+    }
+  }
+};
+
+// pdf-parse Text Extraction; resolves to { text, pages }
+const extractTextFromPdf = async (filePath, filename) => {
+  console.log(`Processing temp file: ${filePath} for ${filename} with pdf-parse`);
+  try {
+    const dataBuffer = await fsPromises.readFile(filePath);
+    const data = await pdf(dataBuffer);
+    const extractedText = data.text.trim();
+    console.log(`Extracted text (${extractedText.length} chars) from ${filename} using pdf-parse`);
+    if (!extractedText || extractedText.length < 50) {
+      console.warn(`Insufficient text extracted from ${filename}: ${extractedText.length} characters.`);
+      throw new Error(`Insufficient or invalid text content extracted from ${filename}`);
+    }
+    return { text: extractedText, pages: data.numpages };
+  } catch (error) {
+    console.error(`pdf-parse error for ${filename}:`, error.message);
+    if (error.message.includes('Invalid PDF structure') || error.message.includes('Corrupted')) {
+      throw new Error(`Invalid or corrupted PDF file: ${filename}`);
+    }
+    throw new Error(`Failed to parse PDF with pdf-parse: ${error.message}`);
+  }
+};
+
+// Combined Text Extraction with Fallback: pdf-parse, then local OCR for everyone, then Adobe for premium users
+const extractTextWithFallback = async (filePath, filename, isPremium) => {
+  let pdfParseFailed = false;
+  try {
+    const { text, pages } = await extractTextFromPdf(filePath, filename);
+    return { text, pdfParseFailed, extractor: 'pdf-parse', pages };
+  } catch (error) {
+    console.warn(`pdf-parse failed for ${filename}: ${error.message}`);
+    pdfParseFailed = true;
+    const failures = [error.message];
+    if (OCR_OPTIONS.mode !== 'off') {
+      console.log(`Falling back to local OCR: ${filename}`);
+      try {
+        const { text: ocrText, pages } = await extractTextWithOcr(filePath, filename);
+        return { text: ocrText, pdfParseFailed, extractor: 'ocr', pages };
+      } catch (ocrError) {
+        console.error(`OCR also failed for ${filename}: ${ocrError.message}`);
+        failures.push(ocrError.message);
+      }
+    }
+    if (isPremium && OCR_OPTIONS.mode !== 'instead-of-adobe') {
+      console.log(`Falling back to Adobe PDF Services for premium user: ${filename}`);
+      try {
+        const { text: adobeText, pages } = await extractTextFromPDF(filePath, filename);
+        return { text: adobeText, pdfParseFailed, extractor: 'adobe', pages };
+      } catch (adobeError) {
+        console.error(`Adobe parsing also failed for ${filename}: ${adobeError.message}`);
+        failures.push(adobeError.message);
+      }
+    } else if (!isPremium) {
+      console.log(`Not using Adobe fallback for free user: ${filename}`);
+    }
+    if (failures.length === 1) throw error;
+    throw new Error(`All PDF extractors failed (pdf-parse first): ${failures.join(' | ')}`);
+  }
+};
+
+// Run one named PDF extractor with no fallback, e.g. when retrying a failure with a different extractor
+const PDF_EXTRACTORS = ['pdf-parse', 'ocr', 'adobe'];
+const extractPdfWith = async (extractor, filePath, filename, isPremium) => {
+  switch (extractor) {
+    case 'pdf-parse': {
+      const { text, pages } = await extractTextFromPdf(filePath, filename);
+      return { text, pdfParseFailed: false, extractor, pages };
+    }
+    case 'ocr': {
+      const { text, pages } = await extractTextWithOcr(filePath, filename);
+      return { text, pdfParseFailed: false, extractor, pages };
+    }
+    case 'adobe': {
+      if (!isPremium) {
+        throw new Error('Adobe PDF Services extraction is only available to premium users');
+      }
+      const { text, pages } = await extractTextFromPDF(filePath, filename);
+      return { text, pdfParseFailed: false, extractor, pages };
+    }
+    default:
+      throw new Error(`Unknown PDF extractor '${extractor}'. Supported extractors: ${PDF_EXTRACTORS.join(', ')}`);
+  }
+};
+
+// Fail extraction the same way for every format when too little text came out
+const requireSufficientText = (text, filename, extractor) => {
+  const trimmed = (text || '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  console.log(`Extracted text (${trimmed.length} chars) from ${filename} using ${extractor}`);
+  if (trimmed.length < MIN_TEXT_LENGTH) {
+    throw new Error(`Insufficient or invalid text content extracted from ${filename} with ${extractor}`);
+  }
+  return trimmed;
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeXmlEntities = (value) =>
+  value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+// Convert WordprocessingML to plain text, keeping paragraph, line break and tab boundaries
+const wordXmlToText = (xml) =>
+  decodeXmlEntities(
+    xml
+      .replace(/<w:tab\/>/g, '\t')
+      .replace(/<w:(br|cr)\b[^>]*\/>/g, '\n')
+      .replace(/<\/w:p>/g, '\n')
+      .replace(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>/g, '\u0000$1\u0000')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\u0000/g, '')
+  );
+
+// DOCX Text Extraction (OOXML zip: headers first, since contact details often live there)
+const extractTextFromDocx = async (filePath, filename) => {
+  console.log(`Processing temp file: ${filePath} for ${filename} as DOCX`);
+  try {
+    const directory = await unzipper.Open.file(filePath);
+    const documentEntry = directory.files.find((file) => file.path === 'word/document.xml');
+    if (!documentEntry) throw new Error('word/document.xml not found in DOCX');
+    const headerEntries = directory.files
+      .filter((file) => /^word\/header\d*\.xml$/.test(file.path))
+      .sort((a, b) => a.path.localeCompare(b.path));
+    const parts = [];
+    for (const entry of [...headerEntries, documentEntry]) {
+      parts.push(wordXmlToText((await entry.buffer()).toString('utf8')));
+    }
+    return requireSufficientText(parts.join('\n'), filename, 'docx');
+  } catch (error) {
+    console.error(`DOCX extraction error for ${filename}:`, error.message);
+    throw new Error(`Failed to parse DOCX: ${error.message}`);
+  }
+};
+
+// Legacy Word 97-2003 (.doc) Text Extraction
+const extractTextFromDoc = async (filePath, filename) => {
+  console.log(`Processing temp file: ${filePath} for ${filename} as DOC`);
+  try {
+    const document = await new WordExtractor().extract(filePath);
+    const text = [document.getHeaders({ includeFooters: false }), document.getBody()].join('\n');
+    return requireSufficientText(text, filename, 'word-extractor');
+  } catch (error) {
+    console.error(`DOC extraction error for ${filename}:`, error.message);
+    throw new Error(`Failed to parse DOC: ${error.message}`);
+  }
+};
+
+// RTF groups whose content is metadata rather than document text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'filetbl', 'revtbl', 'mmathPr', 'pgdsctbl', 'footnote', 'fldinst',
+]);
+const RTF_SPECIAL_WORDS = { par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n', cell: '\t', tab: '\t', emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”' };
+
+// Minimal RTF to text converter: tracks group skipping, \'hh escapes and \uN unicode with its fallback characters
+const rtfToText = (rtf) => {
+  const stack = [];
+  let skipping = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let output = '';
+  const tokenRegex = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+  let match;
+  while ((match = tokenRegex.exec(rtf)) !== null) {
+    const [, word, param, hex, symbol, brace, plain] = match;
+    if (brace === '{') {
+      stack.push({ skipping, unicodeSkip });
+    } else if (brace === '}') {
+      const previous = stack.pop();
+      if (previous) ({ skipping, unicodeSkip } = previous);
+    } else if (symbol) {
+      if (symbol === '*') skipping = true;
+      else if (!skipping && pendingSkip === 0) output += symbol === '~' ? ' ' : symbol === '-' || symbol === '_' ? '' : symbol;
+      else if (pendingSkip > 0) pendingSkip -= 1;
+    } else if (hex) {
+      if (pendingSkip > 0) pendingSkip -= 1;
+      else if (!skipping) output += Buffer.from(hex, 'hex').toString('latin1');
+    } else if (word) {
+      if (RTF_SKIP_DESTINATIONS.has(word)) {
+        skipping = true;
+      } else if (word === 'uc') {
+        unicodeSkip = parseInt(param, 10) || 0;
+      } else if (word === 'u' && param !== undefined) {
+        const code = parseInt(param, 10);
+        if (!skipping) output += String.fromCharCode(code < 0 ? code + 65536 : code);
+        pendingSkip = unicodeSkip;
+      } else if (!skipping && RTF_SPECIAL_WORDS[word]) {
+        output += RTF_SPECIAL_WORDS[word];
+      }
+    } else if (plain) {
+      if (pendingSkip > 0) {
+        const skipped = Math.min(pendingSkip, plain.length);
+        pendingSkip -= skipped;
+        if (!skipping) output += plain.slice(skipped);
+      } else if (!skipping) {
+        output += plain;
+      }
+    }
+  }
+  return output;
+};
+
+// RTF Text Extraction
+const extractTextFromRtf = async (filePath, filename) => {
+  console.log(`Processing temp file: ${filePath} for ${filename} as RTF`);
+  try {
+    const rtf = (await fsPromises.readFile(filePath)).toString('latin1');
+    return requireSufficientText(rtfToText(rtf), filename, 'rtf');
+  } catch (error) {
+    console.error(`RTF extraction error for ${filename}:`, error.message);
+    throw new Error(`Failed to parse RTF: ${error.message}`);
+  }
+};
+
+// Plain Text Extraction (UTF-8, or UTF-16 when a byte order mark is present)
+const extractTextFromTxt = async (filePath, filename) => {
+  console.log(`Processing temp file: ${filePath} for ${filename} as plain text`);
+  const buffer = await fsPromises.readFile(filePath);
+  let text;
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    text = buffer.subarray(2).toString('utf16le');
+  } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    text = Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  } else {
+    text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  }
+  return requireSufficientText(text, filename, 'text');
+};
+
+// Extraction Registry
+// Each entry is keyed by file type and matched by MIME type, extension and leading file signature.
+const EXTRACTORS = {
+  pdf: {
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    contentType: 'application/pdf',
+    extract: async (filePath, filename, options) =>
+      options.extractor
+        ? extractPdfWith(options.extractor, filePath, filename, options.isPremium)
+        : extractTextWithFallback(filePath, filename, options.isPremium),
+  },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extract: async (filePath, filename) => ({ text: await extractTextFromDocx(filePath, filename), pdfParseFailed: false, extractor: 'docx' }),
+  },
+  doc: {
+    mimeTypes: ['application/msword'],
+    extensions: ['.doc'],
+    contentType: 'application/msword',
+    extract: async (filePath, filename) => ({ text: await extractTextFromDoc(filePath, filename), pdfParseFailed: false, extractor: 'word-extractor' }),
+  },
+  rtf: {
+    mimeTypes: ['application/rtf', 'text/rtf'],
+    extensions: ['.rtf'],
+    contentType: 'application/rtf',
+    extract: async (filePath, filename) => ({ text: await extractTextFromRtf(filePath, filename), pdfParseFailed: false, extractor: 'rtf' }),
+  },
+  txt: {
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt'],
+    contentType: 'text/plain; charset=utf-8',
+    extract: async (filePath, filename) => ({ text: await extractTextFromTxt(filePath, filename), pdfParseFailed: false, extractor: 'text' }),
+  },
+};
+
+const SUPPORTED_MIME_TYPES = Object.values(EXTRACTORS).flatMap((entry) => entry.mimeTypes);
+const SUPPORTED_EXTENSIONS = Object.values(EXTRACTORS).flatMap((entry) => entry.extensions);
+
+// Quick check used by multer before the file body is available
+const isSupportedUpload = (mimetype, filename) =>
+  SUPPORTED_MIME_TYPES.includes(mimetype) || SUPPORTED_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+
+const readFileHeader = async (filePath, length = 8) => {
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const isZipWithEntry = async (filePath, entryPath) => {
+  try {
+    const directory = await unzipper.Open.file(filePath);
+    return directory.files.some((file) => file.path === entryPath);
+  } catch (error) {
+    return false;
+  }
+};
+
+const looksLikeText = async (filePath) => {
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(4096);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const sample = buffer.subarray(0, bytesRead);
+    if (sample[0] === 0xff && sample[1] === 0xfe) return true;
+    if (sample[0] === 0xfe && sample[1] === 0xff) return true;
+    return !sample.includes(0);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Detect the real file type from its signature, falling back to MIME type and extension only for plain text.
+// Returns a key of EXTRACTORS, 'zip' for a non-Word ZIP archive, or null when unsupported.
+const detectFileType = async (filePath, mimetype, filename) => {
+  const header = await readFileHeader(filePath);
+  const ascii = header.toString('latin1');
+  if (ascii.startsWith('%PDF')) return 'pdf';
+  if (ascii.startsWith('{\\rtf')) return 'rtf';
+  if (header.length >= 8 && header.equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) return 'doc';
+  if (ascii.startsWith('PK\u0003\u0004')) {
+    return (await isZipWithEntry(filePath, 'word/document.xml')) ? 'docx' : 'zip';
+  }
+  const declaredText = EXTRACTORS.txt.mimeTypes.includes(mimetype) || path.extname(filename || '').toLowerCase() === '.txt';
+  if (declaredText && (await looksLikeText(filePath))) return 'txt';
+  return null;
+};
+
+const getContentType = (fileType) => (EXTRACTORS[fileType] ? EXTRACTORS[fileType].contentType : 'application/octet-stream');
+
+// Extract text from any supported resume. options: { fileType, isPremium, extractor } where extractor forces one PDF extractor
+const extractText = async (filePath, filename, options = {}) => {
+  const entry = EXTRACTORS[options.fileType];
+  if (!entry) {
+    throw new Error(`Unsupported file type for ${filename}`);
+  }
+  return entry.extract(filePath, filename, options);
+};
+
+module.exports = {
+  EXTRACTORS,
+  PDF_EXTRACTORS,
+  SUPPORTED_MIME_TYPES,
+  SUPPORTED_EXTENSIONS,
+  isSupportedUpload,
+  detectFileType,
+  getContentType,
+  extractText,
+};
@@ -0,0 +1,188 @@
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { withoutUndefined } = require('./storageBackend');
+
+const FAILURES_PATH = 'failed_pdf_parse';
+const QUARANTINE_PREFIX = process.env.QUARANTINE_PREFIX || 'Quarantine/';
+const FAILURE_SCAN_LIMIT = 1000;
+
+// Error categories recorded on every failure
+const FAILURE_CATEGORIES = [
+  'unsupported_type', // not a supported resume format
+  'archive_entry', // rejected while expanding a ZIP upload
+  'extraction', // no usable text came out of the file
+  'pdf_parse_recovered', // pdf-parse failed but a fallback extractor recovered the text
+  'quota', // LLM provider rate limit or quota
+  'usage_quota', // the account's or organization's usage quota (USAGE_QUOTAS) was used up
+  'content_blocked', // LLM provider refused the content
+  'schema_validation', // LLM output was unusable after repair attempts
+  'llm_error', // any other LLM provider error
+  'processing_error', // upload, save or unexpected pipeline errors
+];
+
+// Map a failed evaluateResume result to a category
+const categorizeEvaluationFailure = (result) => {
+  if (result.status === 429) return 'quota';
+  if (result.status === 403) return 'content_blocked';
+  if (result.validationErrors) return 'schema_validation';
+  return 'llm_error';
+};
+
+// Records written before quarantine existed only have { filename, reason, timestamp }
+const toPublicFailure = (id, record) => ({
+  id,
+  filename: record.filename,
+  reason: record.reason,
+  category: record.category || 'unknown',
+  stage: record.stage || null,
+  status: record.status || 'open',
+  retryable: Boolean(record.quarantinePath) && (record.status || 'open') === 'open',
+  jobId: record.jobId || null,
+  archive: record.archive || record.sourceArchive || null,
+  fileType: record.fileType || null,
+  extractor: record.extractor || null,
+  provider: record.provider || null,
+  model: record.model || null,
+  jobDescription: record.jobDescription || '',
+  recruiterSuggestion: record.recruiterSuggestion || '',
+  weights: record.weights || null,
+  blindScreening: record.blindScreening === true,
+  validationErrors: record.validationErrors || null,
+  retryCount: record.retryCount || 0,
+  resolvedCandidateId: record.resolvedCandidateId || null,
+  timestamp: record.timestamp || null,
+  lastFailedAt: record.lastFailedAt || record.timestamp || null,
+});
+
+// Failure Records and Quarantined Files
+// Records live under failed_pdf_parse/<id>; the failed file's bytes are kept privately under QUARANTINE_PREFIX in the
+// blob store, below storagePrefix when the store belongs to one organization.
+const createFailureStore = ({ database, blobStore, storagePrefix = '' }) => {
+  const quarantineFile = async (file, failureId, contentType) => {
+    const sanitizedFileName = path.basename(file.originalname || 'resume').replace(/[^a-zA-Z0-9.\-_]/g, '_');
+    const destination = `${storagePrefix}${QUARANTINE_PREFIX}${failureId}_${sanitizedFileName}`;
+    await blobStore.upload(file.path, destination, { contentType, metadata: { failureId, originalName: file.originalname } });
+    console.log(`Quarantined ${file.originalname} at ${blobStore.uri(destination)}`);
+    return destination;
+  };
+
+  // Write a failure record. details: { id?, reason, category, stage, status?, quarantine?, contentType?, context? }
+  // Passing the id of an existing record (a retry that failed again) updates it and reuses its quarantined file.
+  const record = async (file, details) => {
+    const id = details.id || uuidv4();
+    const ref = database.ref(`${FAILURES_PATH}/${id}`);
+    const existing = details.id ? (await ref.once('value')).val() : null;
+    let quarantinePath = existing ? existing.quarantinePath || null : null;
+    if (!quarantinePath && details.quarantine !== false && file.path) {
+      quarantinePath = await quarantineFile(file, id, details.contentType).catch((error) => {
+        console.error(`Failed to quarantine ${file.originalname}: ${error.message}`);
+        return null;
+      });
+    }
+    const now = Date.now();
+    // Fields left undefined on a repeat failure keep the values recorded the first time
+    await ref.set({
+      ...(existing || {}),
+      ...withoutUndefined({
+        ...(details.context || {}),
+        id,
+        filename: file.originalname,
+        reason: details.reason,
+        category: details.category,
+        stage: details.stage,
+        status: details.status || 'open',
+        fileType: file.fileType || undefined,
+        sourceArchive: file.sourceArchive || undefined,
+        contentType: details.contentType,
+        quarantinePath,
+        timestamp: existing ? existing.timestamp : now,
+        lastFailedAt: now,
+      }),
+    });
+    return id;
+  };
+
+  const get = async (id) => {
+    const snapshot = await database.ref(`${FAILURES_PATH}/${id}`).once('value');
+    return snapshot.val();
+  };
+
+  // Newest first. Filters: { status, category, jobId, limit }
+  const list = async ({ status, category, jobId, limit = 50 } = {}) => {
+    const query = jobId
+      ? database.ref(FAILURES_PATH).orderByChild('jobId').equalTo(jobId)
+      : database.ref(FAILURES_PATH).orderByChild('timestamp').limitToLast(FAILURE_SCAN_LIMIT);
+    const snapshot = await query.once('value');
+    return Object.entries(snapshot.val() || {})
+      .map(([id, value]) => toPublicFailure(id, value))
+      .filter((failure) => (!status || failure.status === status) && (!category || failure.category === category))
+      .sort((a, b) => (b.lastFailedAt || 0) - (a.lastFailedAt || 0))
+      .slice(0, limit);
+  };
+
+  const update = (id, changes) => database.ref(`${FAILURES_PATH}/${id}`).update(withoutUndefined(changes));
+
+  // Raw records about one person: failures a retry resolved into the candidate, and failures of the same resume files
+  const listForCandidate = async (candidateId, contentHashes = []) => {
+    const queries = [
+      database.ref(FAILURES_PATH).orderByChild('resolvedCandidateId').equalTo(candidateId),
+      ...contentHashes.map((contentHash) => database.ref(FAILURES_PATH).orderByChild('contentHash').equalTo(contentHash)),
+    ];
+    const records = new Map();
+    for (const query of queries) {
+      for (const [id, value] of Object.entries((await query.once('value')).val() || {})) records.set(id, { ...value, id });
+    }
+    return [...records.values()];
+  };
+
+  // Raw records that last failed at or before the timestamp
+  const listFailedBefore = async (timestamp) => {
+    const snapshot = await database.ref(FAILURES_PATH).orderByChild('lastFailedAt').endAt(timestamp).once('value');
+    return Object.entries(snapshot.val() || {}).map(([id, value]) => ({ ...value, id }));
+  };
+
+  // Delete a record together with its quarantined file
+  const remove = async (id, failure) => {
+    if (failure && failure.quarantinePath) await blobStore.delete(failure.quarantinePath);
+    await database.ref(`${FAILURES_PATH}/${id}`).remove();
+  };
+
+  // Copy a quarantined file back to local disk as a multer-like file object for the pipeline
+  const restoreFile = async (id, failure) => {
+    const tempName = uuidv4();
+    const destination = path.join(os.tmpdir(), tempName);
+    await blobStore.download(failure.quarantinePath, destination);
+    const { size } = await fsPromises.stat(destination);
+    return {
+      fieldname: 'file',
+      originalname: failure.filename,
+      mimetype: failure.contentType || 'application/octet-stream',
+      path: destination,
+      filename: tempName,
+      destination: os.tmpdir(),
+      size,
+      sourceArchive: failure.sourceArchive || undefined,
+    };
+  };
+
+  // Mark a failure resolved by a successful retry and drop its quarantined file
+  const resolve = async (id, failure, candidateId) => {
+    if (failure.quarantinePath) {
+      await blobStore.delete(failure.quarantinePath).catch((error) =>
+        console.error(`Failed to delete quarantined file ${failure.quarantinePath}: ${error.message}`)
+      );
+    }
+    await update(id, { status: 'resolved', resolvedCandidateId: candidateId, resolvedAt: Date.now(), quarantinePath: null });
+  };
+
+  return { record, get, list, update, restoreFile, resolve, listForCandidate, listFailedBefore, remove };
+};
+
+module.exports = {
+  FAILURE_CATEGORIES,
+  categorizeEvaluationFailure,
+  createFailureStore,
+  toPublicFailure,
+};
@@ -0,0 +1,331 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { withoutUndefined, toArray } = require('./storageBackend');
+
+const ACTIVE_STATUSES = ['queued', 'running', 'cancelling'];
+const ACTIVE_JOBS_PATH = 'active_jobs';
+
+const normalizeJob = (job) => (job ? {
+  ...job,
+  files: toArray(job.files),
+  candidates: toArray(job.candidates),
+  errors: toArray(job.errors),
+  pdfParseFailedFiles: toArray(job.pdfParseFailedFiles),
+} : null);
+
+// Realtime Database Job Store
+// A job is kept with its organization's data at <rootOf(orgId)>/parse_jobs/<id>. active_jobs/<id> at the database root
+// maps the jobs still queued or running to their organization, so a restart can find them; it holds nothing else.
+const createFirebaseJobStore = (database, { rootOf = () => '', rootPath = 'parse_jobs' } = {}) => {
+  const jobPath = (orgId, id) => [rootOf(orgId), rootPath, id].filter(Boolean).join('/');
+
+  const get = async (orgId, id) => {
+    const snapshot = await database.ref(jobPath(orgId, id)).once('value');
+    return normalizeJob(snapshot.val());
+  };
+
+  return {
+    name: 'firebase',
+    save: async (job) => {
+      await database.ref().update({
+        [jobPath(job.orgId, job.id)]: withoutUndefined(job),
+        [`${ACTIVE_JOBS_PATH}/${job.id}`]: ACTIVE_STATUSES.includes(job.status) ? { orgId: job.orgId || null } : null,
+      });
+    },
+    get,
+    list: async (orgId) => {
+      const snapshot = await database.ref([rootOf(orgId), rootPath].filter(Boolean).join('/')).once('value');
+      return Object.values(snapshot.val() || {}).map(normalizeJob);
+    },
+    listActive: async () => {
+      const snapshot = await database.ref(ACTIVE_JOBS_PATH).once('value');
+      const jobs = await Promise.all(Object.entries(snapshot.val() || {}).map(([id, entry]) => get(entry.orgId, id)));
+      return jobs.filter((job) => job && ACTIVE_STATUSES.includes(job.status));
+    },
+  };
+};
+
+// Local JSON File Job Store
+// Jobs are grouped by organization in the file: { <orgId>: { <jobId>: job } }
+const createLocalJobStore = (filePath) => {
+  let jobs = null;
+  let writeChain = Promise.resolve();
+
+  const load = async () => {
+    if (jobs) return jobs;
+    try {
+      jobs = JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read job store ${filePath}, starting empty: ${error.message}`);
+      }
+      jobs = {};
+    }
+    return jobs;
+  };
+
+  // Writes are chained so concurrent saves never interleave on disk
+  const persist = () => {
+    writeChain = writeChain.then(async () => {
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fsPromises.writeFile(tmpPath, JSON.stringify(jobs, null, 2));
+      await fsPromises.rename(tmpPath, filePath);
+    }).catch((error) => console.error(`Failed to write job store ${filePath}: ${error.message}`));
+    return writeChain;
+  };
+
+  return {
+    name: 'local',
+    save: async (job) => {
+      await load();
+      const orgKey = job.orgId || '';
+      jobs[orgKey] = { ...(jobs[orgKey] || {}), [job.id]: JSON.parse(JSON.stringify(job)) };
+      await persist();
+    },
+    get: async (orgId, id) => {
+      await load();
+      return normalizeJob((jobs[orgId || ''] || {})[id]);
+    },
+    list: async (orgId) => {
+      await load();
+      return Object.values(jobs[orgId || ''] || {}).map(normalizeJob);
+    },
+    listActive: async () => {
+      await load();
+      return Object.values(jobs)
+        .flatMap((orgJobs) => Object.values(orgJobs || {}))
+        .filter((job) => job && ACTIVE_STATUSES.includes(job.status))
+        .map(normalizeJob);
+    },
+  };
+};
+
+// rootOf(orgId) is the organization's database root (see lib/tenants.js)
+const createJobStore = (type, { database, filePath, rootOf }) => {
+  if (type === 'local') {
+    console.log(`Using local job store at ${filePath}`);
+    return createLocalJobStore(filePath);
+  }
+  return createFirebaseJobStore(database, { rootOf });
+};
+
+// Background Job Manager
+// processFiles(files, params, hooks) runs the resume pipeline; params (including the API key) stay in memory only.
+// params.orgId, when set, is stored on the job as the organization that owns it.
+// progress (optional) is a progress bus that receives every pipeline event on the job's channel.
+const createJobManager = ({ store, processFiles, cleanupFiles, progress, concurrency = 1 }) => {
+  const queue = [];
+  const running = new Map();
+  const cancelRequested = new Set();
+  let activeCount = 0;
+
+  const publish = (job, type, data = {}) => {
+    if (progress) progress.publish(job.id, { type, timestamp: Date.now(), jobId: job.id, ...data });
+  };
+
+  const finish = (job) => {
+    publish(job, 'job_finished', { status: job.status, processedFiles: job.processedFiles, totalFiles: job.totalFiles, message: job.message });
+    if (progress) progress.close(job.id);
+  };
+
+  const touch = (job) => {
+    job.updatedAt = Date.now();
+    return store.save(job).catch((error) => console.error(`Failed to persist job ${job.id}: ${error.message}`));
+  };
+
+  const runJob = async ({ job, files, params }) => {
+    activeCount += 1;
+    running.set(job.id, job);
+    job.status = 'running';
+    job.startedAt = Date.now();
+    await touch(job);
+    console.log(`--- Job ${job.id} started with ${files.length} file(s) ---`);
+    publish(job, 'job_started', { totalFiles: job.totalFiles });
+
+    try {
+      const results = await processFiles(files, params, {
+        jobId: job.id,
+        isCancelled: () => cancelRequested.has(job.id),
+        onEvent: (event) => publish(job, event.type, event),
+        onFileStart: (file) => {
+          const entry = job.files.find((f) => f.tempName === file.filename);
+          if (entry) entry.status = 'processing';
+          return touch(job);
+        },
+        onFilesExpanded: (archiveFile, innerFiles, failures) => {
+          const index = job.files.findIndex((f) => f.tempName === archiveFile.filename);
+          const innerEntries = [
+            ...innerFiles.map((file) => ({ name: file.originalname, tempName: file.filename, size: file.size, status: 'pending', archive: archiveFile.originalname })),
+            ...failures.map((failure) => ({ name: failure.filename, status: 'failed', error: failure.reason, archive: archiveFile.originalname })),
+          ];
+          job.files.splice(index === -1 ? job.files.length : index, index === -1 ? 0 : 1, ...innerEntries);
+          job.totalFiles = job.files.length;
+          job.processedFiles += failures.length;
+          failures.forEach((failure) => job.errors.push({ error: { status: 422, message: failure.reason, filename: failure.filename, archive: failure.archive } }));
+          return touch(job);
+        },
+        onFileProcessed: (file, result) => {
+          const entry = job.files.find((f) => f.tempName === file.filename);
+          job.processedFiles += 1;
+          if (result && !result.error) {
+            job.candidates.push(result);
+            if (entry) Object.assign(entry, { status: 'done', candidateId: result.id, score: result.score });
+          } else if (result && result.error.requeued) {
+            job.errors.push({ error: result.error });
+            if (entry) Object.assign(entry, { status: 'requeued', retryId: result.error.retryId, error: result.error.message });
+          } else {
+            const error = result ? result.error : { status: 422, message: 'Text extraction failed', filename: file.originalname };
+            job.errors.push({ error });
+            if (entry) Object.assign(entry, { status: 'failed', error: error.message });
+          }
+          return touch(job);
+        },
+      });
+
+      job.pdfParseFailedFiles = results.pdfParseFailedFiles || [];
+      job.candidates.sort((a, b) => b.score - a.score);
+      job.message = results.message;
+      if (cancelRequested.has(job.id)) {
+        job.status = 'cancelled';
+        job.files.filter((f) => f.status === 'pending').forEach((f) => { f.status = 'cancelled'; });
+      } else {
+        job.status = results.candidates.length === 0 && job.errors.length > 0 ? 'failed' : 'completed';
+      }
+    } catch (error) {
+      console.error(`Job ${job.id} failed: ${error.message}`);
+      job.status = 'failed';
+      job.message = error.message;
+    } finally {
+      job.finishedAt = Date.now();
+      await touch(job);
+      await cleanupFiles(files);
+      cancelRequested.delete(job.id);
+      running.delete(job.id);
+      activeCount -= 1;
+      console.log(`--- Job ${job.id} finished with status ${job.status} ---`);
+      finish(job);
+      next();
+    }
+  };
+
+  const next = () => {
+    while (activeCount < concurrency && queue.length > 0) {
+      runJob(queue.shift());
+    }
+  };
+
+  const submit = async (files, params) => {
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      totalFiles: files.length,
+      processedFiles: 0,
+      files: files.map((file) => ({ name: file.originalname, tempName: file.filename, size: file.size, status: 'pending' })),
+      candidates: [],
+      errors: [],
+      pdfParseFailedFiles: [],
+      message: 'Job queued.',
+      orgId: params.orgId || null,
+    };
+    await store.save(job);
+    queue.push({ job, files, params });
+    console.log(`Job ${job.id} queued with ${files.length} file(s). Queue length: ${queue.length}`);
+    next();
+    return job;
+  };
+
+  // Jobs are looked up within the organization that submitted them
+  const get = async (orgId, id) => {
+    const job = running.get(id);
+    if (job) return job.orgId === orgId ? job : null;
+    return store.get(orgId, id);
+  };
+
+  const cancel = async (orgId, id) => {
+    const queuedIndex = queue.findIndex((item) => item.job.id === id && item.job.orgId === orgId);
+    if (queuedIndex !== -1) {
+      const [{ job, files }] = queue.splice(queuedIndex, 1);
+      job.status = 'cancelled';
+      job.finishedAt = Date.now();
+      job.message = 'Job cancelled before processing started.';
+      job.files.forEach((f) => { f.status = 'cancelled'; });
+      await touch(job);
+      await cleanupFiles(files);
+      finish(job);
+      return job;
+    }
+    const job = running.get(id);
+    if (job && job.orgId === orgId) {
+      cancelRequested.add(id);
+      job.status = 'cancelling';
+      job.message = 'Cancellation requested. Stopping after the current file.';
+      publish(job, 'job_cancelling');
+      await touch(job);
+      return job;
+    }
+    return store.get(orgId, id);
+  };
+
+  // Drops a candidate from the results of every job of the organization, e.g. when their data is erased.
+  // Returns the number of jobs changed.
+  const removeCandidate = async (orgId, candidateId) => {
+    const stored = await store.list(orgId);
+    let changed = 0;
+    for (const storedJob of stored) {
+      const job = running.get(storedJob.id) || storedJob;
+      const mentioned = job.candidates.some((candidate) => candidate && candidate.id === candidateId) ||
+        job.files.some((file) => file.candidateId === candidateId);
+      if (!mentioned) continue;
+      job.candidates = job.candidates.filter((candidate) => !candidate || candidate.id !== candidateId);
+      job.files = job.files.map((file) => (file.candidateId === candidateId ? { ...file, name: null, candidateId: null, score: null, erased: true } : file));
+      await store.save(job);
+      changed += 1;
+    }
+    return changed;
+  };
+
+  // Jobs left active by a previous process cannot resume: their temp files and API keys are gone
+  const recoverInterrupted = async () => {
+    const stale = await store.listActive();
+    for (const job of stale) {
+      if (running.has(job.id) || queue.some((item) => item.job.id === job.id)) continue;
+      job.status = 'interrupted';
+      job.message = 'Server restarted before the job finished. Resubmit the remaining files.';
+      job.files.filter((f) => f.status === 'pending' || f.status === 'processing').forEach((f) => { f.status = 'interrupted'; });
+      job.finishedAt = Date.now();
+      await touch(job);
+    }
+    if (stale.length > 0) console.log(`Marked ${stale.length} stale job(s) as interrupted.`);
+  };
+
+  return { submit, get, cancel, removeCandidate, recoverInterrupted };
+};
+
+// Drop internal fields before sending a job to the client
+const toPublicJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt || null,
+  finishedAt: job.finishedAt || null,
+  updatedAt: job.updatedAt,
+  totalFiles: job.totalFiles,
+  processedFiles: job.processedFiles,
+  progress: job.totalFiles > 0 ? Math.round((job.processedFiles / job.totalFiles) * 100) : 100,
+  files: job.files.map(({ tempName, ...file }) => file),
+  candidates: job.candidates,
+  errors: job.errors,
+  pdfParseFailedFiles: job.pdfParseFailedFiles,
+  message: job.message,
+});
+
+module.exports = {
+  ACTIVE_STATUSES,
+  createJobStore,
+  createJobManager,
+  toPublicJob,
+};
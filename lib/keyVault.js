@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { registerSecret, forgetSecret } = require('./redact');
+
+const KEYS_PATH = 'api_keys';
+const ALGORITHM = 'aes-256-gcm';
+
+// 32-byte encryption key given as base64 or hex; null when unset or the wrong length
+const parseEncryptionKey = (value) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  return key.length === 32 ? key : null;
+};
+
+const vaultError = (message, status) => Object.assign(new Error(message), { status });
+
+// What clients may see about a stored key: never the key itself
+const toPublicKey = (record) => ({
+  provider: record.provider,
+  last4: record.last4,
+  createdAt: record.createdAt,
+  rotatedAt: record.rotatedAt || null,
+  lastTestedAt: record.lastTestedAt || null,
+  lastTestOk: record.lastTestOk ?? null,
+  lastTestMessage: record.lastTestMessage || null,
+});
+
+// Provider Key Vault
+// api_keys/<uid>/<provider> holds each user's provider key encrypted with AES-256-GCM under the server-held
+// encryptionKey. The user id and provider are bound in as associated data, so a record copied to another user or provider
+// fails to decrypt. Every decrypted key is registered for log redaction until it is deleted or rotated.
+const createKeyVault = ({ database, encryptionKey }) => {
+  const keyId = encryptionKey ? crypto.createHash('sha256').update(encryptionKey).digest('hex').substring(0, 16) : null;
+
+  const requireKey = () => {
+    if (!encryptionKey) throw vaultError('Provider key storage is not configured on the server (API_KEY_ENCRYPTION_KEY).', 503);
+  };
+
+  const ref = (uid, provider) => database.ref(provider ? `${KEYS_PATH}/${uid}/${provider}` : `${KEYS_PATH}/${uid}`);
+
+  const encrypt = (apiKey, uid, provider) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey, iv);
+    cipher.setAAD(Buffer.from(`${uid}:${provider}`));
+    const ciphertext = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+    return { ciphertext: ciphertext.toString('base64'), iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), keyId };
+  };
+
+  const decrypt = (record, uid, provider) => {
+    if (record.keyId !== keyId) {
+      throw vaultError(`The stored ${provider} key was encrypted with a different server key. Register it again.`, 409);
+    }
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey, Buffer.from(record.iv, 'base64'));
+      decipher.setAAD(Buffer.from(`${uid}:${provider}`));
+      decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(record.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw vaultError(`The stored ${provider} key could not be decrypted. Register it again.`, 409);
+    }
+  };
+
+  // A key that is no longer stored needs no redaction from now on; records that cannot be decrypted were never registered
+  const forgetStored = (record, uid, provider) => {
+    try {
+      forgetSecret(decrypt(record, uid, provider));
+    } catch (error) {
+      // Nothing to forget
+    }
+  };
+
+  // Store a new key, or replace the existing one when rotating. Returns the public record.
+  const save = async (uid, provider, apiKey, { rotate = false } = {}) => {
+    requireKey();
+    const existing = (await ref(uid, provider).once('value')).val();
+    if (rotate && !existing) throw vaultError(`No ${provider} key is registered. Register one first.`, 404);
+    if (!rotate && existing) throw vaultError(`A ${provider} key is already registered. Rotate or delete it instead.`, 409);
+    const now = Date.now();
+    const record = {
+      provider,
+      ...encrypt(apiKey, uid, provider),
+      last4: apiKey.slice(-4),
+      createdAt: existing ? existing.createdAt : now,
+      rotatedAt: existing ? now : null,
+    };
+    await ref(uid, provider).set(record);
+    if (existing) forgetStored(existing, uid, provider);
+    registerSecret(apiKey);
+    return toPublicKey(record);
+  };
+
+  // Decrypted key, or null when none is registered
+  const get = async (uid, provider) => {
+    requireKey();
+    const record = (await ref(uid, provider).once('value')).val();
+    if (!record) return null;
+    const apiKey = decrypt(record, uid, provider);
+    registerSecret(apiKey);
+    return apiKey;
+  };
+
+  const list = async (uid) => {
+    const snapshot = await ref(uid).once('value');
+    return Object.values(snapshot.val() || {}).map(toPublicKey);
+  };
+
+  // Returns false when no key was registered
+  const remove = async (uid, provider) => {
+    const record = (await ref(uid, provider).once('value')).val();
+    if (!record) return false;
+    await ref(uid, provider).remove();
+    forgetStored(record, uid, provider);
+    return true;
+  };
+
+  const recordTest = (uid, provider, { ok, message }) =>
+    ref(uid, provider).update({ lastTestedAt: Date.now(), lastTestOk: ok, lastTestMessage: message || null });
+
+  return { isConfigured: () => Boolean(encryptionKey), save, get, list, remove, recordTest };
+};
+
+module.exports = {
+  parseEncryptionKey,
+  createKeyVault,
+  toPublicKey,
+};
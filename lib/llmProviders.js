@@ -0,0 +1,259 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { toJsonSchema, toGeminiSchema } = require('./evaluationSchema');
+
+// generate() reports token counts through onUsage({ inputTokens, outputTokens }) when the provider returns them
+
+// Errors thrown by providers carry an HTTP-like status so the evaluator can map them the same way for every backend
+const providerError = (message, status, extra = {}) => Object.assign(new Error(message), { status }, extra);
+
+const parseRetryDelay = (details) =>
+  (Array.isArray(details) ? details : []).find(
+    (detail) => detail['@type'] === 'type.googleapis.com/google.rpc.RetryInfo'
+  )?.retryDelay;
+
+// Send a JSON request and surface non-2xx responses as provider errors
+const requestJson = async (url, { method = 'GET', headers = {}, body, timeoutMs }) => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const payload = await response.json().catch(() => null);
+  if (!response.ok) {
+    const message = payload?.error?.message || payload?.message || response.statusText;
+    throw providerError(`${response.status} ${message}`, response.status, {
+      retryDelay: response.headers.get('retry-after') ? `${response.headers.get('retry-after')}s` : undefined,
+    });
+  }
+  return payload;
+};
+
+const postJson = (url, headers, body, timeoutMs) => requestJson(url, { method: 'POST', headers, body, timeoutMs });
+
+// Key checks list models, which every provider serves without spending tokens
+const getJson = (url, headers, timeoutMs) => requestJson(url, { headers, timeoutMs });
+
+// Google Gemini
+const geminiProvider = {
+  name: 'gemini',
+  requiresApiKey: true,
+  defaultModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+  generate: async ({ prompt, model, apiKey, timeoutMs, schema, onUsage }) => {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({
+      model,
+      generationConfig: schema ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) } : undefined,
+    });
+    const signal = timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined;
+    try {
+      const result = await generativeModel.generateContent(prompt, { timeout: timeoutMs, signal });
+      if (!result || !result.response || typeof result.response.text !== 'function') {
+        return null;
+      }
+      const usage = result.response.usageMetadata;
+      if (usage && onUsage) onUsage({ inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount });
+      return result.response.text();
+    } catch (error) {
+      // Reported like the fetch-based providers' timeouts so the call is retried the same way
+      if (signal && signal.aborted) {
+        throw Object.assign(new Error(`gemini did not answer within ${timeoutMs} ms.`), { name: 'TimeoutError' });
+      }
+      if (error.status) {
+        error.retryDelay = parseRetryDelay(error.errorDetails) || parseRetryDelay(error.response?.data?.error?.details);
+      }
+      throw error;
+    }
+  },
+  validateKey: ({ apiKey, timeoutMs }) =>
+    getJson('https://generativelanguage.googleapis.com/v1beta/models?pageSize=1', { 'x-goog-api-key': apiKey }, timeoutMs),
+};
+
+// response_format for an OpenAI-compatible server: 'json_schema' (strict structured output), 'json_object' or 'off'
+const buildResponseFormat = (responseFormat, schema) => {
+  if (!schema || responseFormat === 'off') return undefined;
+  if (responseFormat === 'json_object') return { type: 'json_object' };
+  return { type: 'json_schema', json_schema: { name: 'resume_evaluation', schema: toJsonSchema(schema) } };
+};
+
+// Any server speaking the OpenAI chat completions API (OpenAI, Ollama, llama.cpp, vLLM, ...)
+const createOpenAICompatibleProvider = ({ name, baseUrl, defaultModel, requiresApiKey, responseFormat = 'json_schema' }) => ({
+  name,
+  requiresApiKey,
+  defaultModel,
+  generate: async ({ prompt, model, apiKey, timeoutMs, schema, onUsage }) => {
+    const payload = await postJson(
+      `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      {
+        model,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }],
+        response_format: buildResponseFormat(responseFormat, schema),
+      },
+      timeoutMs
+    );
+    if (payload?.usage && onUsage) onUsage({ inputTokens: payload.usage.prompt_tokens, outputTokens: payload.usage.completion_tokens });
+    return payload?.choices?.[0]?.message?.content || null;
+  },
+  validateKey: ({ apiKey, timeoutMs }) =>
+    getJson(`${baseUrl.replace(/\/$/, '')}/models`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, timeoutMs),
+});
+
+// Anthropic Messages API; there is no response schema parameter, so output is held to the schema by validation and repair only
+const anthropicProvider = {
+  name: 'anthropic',
+  requiresApiKey: true,
+  defaultModel: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+  generate: async ({ prompt, model, apiKey, timeoutMs, onUsage }) => {
+    const payload = await postJson(
+      `${(process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1').replace(/\/$/, '')}/messages`,
+      { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+      {
+        model,
+        max_tokens: 4096,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }],
+      },
+      timeoutMs
+    );
+    if (payload?.usage && onUsage) onUsage({ inputTokens: payload.usage.input_tokens, outputTokens: payload.usage.output_tokens });
+    return (payload?.content || []).filter((block) => block.type === 'text').map((block) => block.text).join('') || null;
+  },
+  validateKey: ({ apiKey, timeoutMs }) =>
+    getJson(
+      `${(process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1').replace(/\/$/, '')}/models?limit=1`,
+      { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+      timeoutMs
+    ),
+};
+
+// Deterministic offline stand-in: scores by keyword overlap between the resume and the JD/RS
+const STOP_WORDS = new Set(['and', 'the', 'with', 'for', 'you', 'are', 'our', 'will', 'have', 'this', 'that', 'from', 'your', 'who', 'years', 'experience', 'work', 'team']);
+const tokenize = (value) => new Set((value || '').toLowerCase().match(/[a-z][a-z0-9+#.]{2,}/g)?.filter((word) => !STOP_WORDS.has(word)) || []);
+
+const mockProvider = {
+  name: 'mock',
+  requiresApiKey: false,
+  defaultModel: 'mock-evaluator',
+  // Stand-in for key checks in development: any key of plausible length is accepted
+  validateKey: async ({ apiKey }) => {
+    if (apiKey && apiKey.length < 8) throw providerError('401 API key is too short.', 401);
+    return { ok: true };
+  },
+  generate: async ({ input }) => {
+    const { text, jobDescription, recruiterSuggestion, weights = { jd: 0.5, rs: 0.5 } } = input;
+    const resumeWords = tokenize(text);
+    const overlap = (words) => [...words].filter((word) => resumeWords.has(word));
+    const jdWords = tokenize(jobDescription);
+    const rsWords = tokenize(recruiterSuggestion);
+    const jdScore = jdWords.size ? Math.round((overlap(jdWords).length / jdWords.size) * 100) : 0;
+    const rsScore = rsWords.size ? Math.round((overlap(rsWords).length / rsWords.size) * 100) : jdScore;
+    const lines = text.split('\n').map((line) => line.trim()).filter(Boolean);
+    const email = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/)?.[0] || 'N/A';
+    const phone = text.match(/\+?\d[\d ().-]{7,}\d/)?.[0] || 'N/A';
+    // One requirement per keyword, with the first resume line mentioning it as evidence
+    const requirements = (source, words) => [...words].slice(0, 20).map((word) => {
+      const evidence = lines.find((line) => line.toLowerCase().includes(word)) || '';
+      return { source, requirement: word, status: resumeWords.has(word) ? 'met' : 'missing', evidence: resumeWords.has(word) ? evidence : '' };
+    });
+    const years = [...text.matchAll(/(\d{1,2})\+?\s*years?/gi)].map((match) => parseInt(match[1], 10));
+    return JSON.stringify({
+      name: lines[0] || 'N/A',
+      email,
+      phone,
+      location: 'N/A',
+      score: Math.round(jdScore * weights.jd + rsScore * weights.rs),
+      jdScore,
+      rsScore,
+      requirements: [...requirements('JD', jdWords), ...requirements('RS', rsWords)],
+      parsedText: `Mock evaluation: matched ${overlap(jdWords).length}/${jdWords.size} JD keywords and ${overlap(rsWords).length}/${rsWords.size} RS keywords.`,
+      skills: [...new Set([...overlap(jdWords), ...overlap(rsWords)])].slice(0, 30),
+      experienceYears: years.length ? Math.max(...years) : 0,
+      jobTitle: lines[1] || 'N/A',
+      education: 'N/A',
+      positions: [],
+      educationHistory: [],
+      certifications: [],
+      languages: [],
+      links: {
+        linkedin: text.match(/(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[^\s,;)]+/i)?.[0] || 'N/A',
+        github: text.match(/(?:https?:\/\/)?github\.com\/[^\s,;)/]+/i)?.[0] || 'N/A',
+        portfolio: 'N/A',
+        other: [],
+      },
+    });
+  },
+};
+
+// The mock provider needs no key and its evaluations are made up, so it is only offered when enabled explicitly
+// (MOCK_LLM_ENABLED=true) or under NODE_ENV=test
+const mockEnabled = process.env.MOCK_LLM_ENABLED === 'true' || process.env.NODE_ENV === 'test';
+if (process.env.MOCK_LLM_ENABLED === 'true') {
+  console.warn('WARNING: MOCK_LLM_ENABLED is set. provider=mock saves made-up evaluations without an API key.');
+}
+
+const providers = {
+  gemini: geminiProvider,
+  openai: createOpenAICompatibleProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    requiresApiKey: true,
+  }),
+  // Self-hosted OpenAI-compatible server; the base URL is server configuration, never taken from the request
+  local: createOpenAICompatibleProvider({
+    name: 'local',
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    requiresApiKey: false,
+    // Not every local server implements json_schema; json_object is the widely supported fallback
+    responseFormat: process.env.LOCAL_LLM_RESPONSE_FORMAT || 'json_object',
+  }),
+  anthropic: anthropicProvider,
+  ...(mockEnabled ? { mock: mockProvider } : {}),
+};
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+const getProvider = (name) => {
+  const key = name || DEFAULT_PROVIDER;
+  return Object.prototype.hasOwnProperty.call(providers, key) ? providers[key] : null;
+};
+
+// Provider named in a request body, falling back to LLM_PROVIDER; null when unknown
+const requestedProvider = (body = {}) => getProvider((body.provider || DEFAULT_PROVIDER).toString().trim().toLowerCase());
+
+// Check a stored key without spending tokens. Resolves with the provider that checked it; while the mock provider is
+// enabled it stands in for every provider, so tests and development never reach a real API.
+const validateKey = async (name, options) => {
+  const provider = mockEnabled ? providers.mock : getProvider(name);
+  await provider.validateKey(options);
+  return provider.name;
+};
+
+// Read { provider, model, apiKey } from a request body and the caller's stored key for that provider.
+// error is set when the provider is unknown or needs a key that is not registered.
+const resolveLlmOptions = (body = {}, apiKey = '') => {
+  const providerName = (body.provider || DEFAULT_PROVIDER).toString().trim().toLowerCase();
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { error: `Unknown LLM provider '${providerName}'. Supported providers: ${Object.keys(providers).join(', ')}.` };
+  }
+  if (provider.requiresApiKey && !apiKey) {
+    return { error: `No ${provider.name} API key is registered for your account. Register one with POST /api-keys.` };
+  }
+  return {
+    provider: provider.name,
+    model: (body.model || '').toString().trim() || provider.defaultModel,
+    apiKey,
+  };
+};
+
+module.exports = {
+  providers,
+  getProvider,
+  requestedProvider,
+  resolveLlmOptions,
+  validateKey,
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const splitPath = (refPath) => String(refPath || '').split('/').filter(Boolean);
+
+// Stored the way the Realtime Database stores it: null and undefined delete, empty objects disappear,
+// and arrays with holes come back as objects keyed by index
+const normalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return value;
+  const entries = Object.entries(value)
+    .map(([key, child]) => [key, normalize(child)])
+    .filter(([, child]) => child !== null);
+  if (entries.length === 0) return null;
+  if (Array.isArray(value) && entries.length === value.length) return entries.map(([, child]) => child);
+  return Object.fromEntries(entries);
+};
+
+const clone = (value) => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Realtime Database ordering: null, false, true, numbers, strings, then objects; ties are broken by key
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === 'number') return 3;
+  if (typeof value === 'string') return 4;
+  return 5;
+};
+
+const compareValues = (a, b) => {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference !== 0) return rankDifference;
+  if (typeof a === 'number' || typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+};
+
+// Push keys sort by creation time like Firebase's: a millisecond timestamp followed by random characters
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+let lastPushTime = 0;
+let pushSequence = 0;
+const generatePushKey = () => {
+  const now = Date.now();
+  pushSequence = now === lastPushTime ? pushSequence + 1 : 0;
+  lastPushTime = now;
+  let time = now;
+  let timeChars = '';
+  for (let i = 0; i < 8; i += 1) {
+    timeChars = PUSH_CHARS.charAt(time % 64) + timeChars;
+    time = Math.floor(time / 64);
+  }
+  const sequenceChars = pushSequence.toString(36).padStart(4, '0');
+  const randomChars = Array.from(crypto.randomBytes(8), (byte) => PUSH_CHARS.charAt(byte % 64)).join('');
+  return `${timeChars}${sequenceChars}${randomChars}`;
+};
+
+const createSnapshot = (key, value) => ({
+  key,
+  val: () => clone(value),
+  exists: () => value !== null && value !== undefined,
+  forEach: (callback) => {
+    if (!value || typeof value !== 'object') return false;
+    return Object.entries(value).some(([childKey, child]) => callback(createSnapshot(childKey, child)) === true);
+  },
+  numChildren: () => (value && typeof value === 'object' ? Object.keys(value).length : 0),
+});
+
+// Local Realtime Database
+// The part of the firebase-admin Database API the stores use (ref, once('value'), set, update, remove, push,
+// transaction and orderByChild/orderByKey queries with startAt, endAt, equalTo and limits), kept in memory.
+// With filePath the data is loaded from and written back to one JSON file, so it survives restarts.
+const createLocalDatabase = ({ filePath } = {}) => {
+  let data = null;
+  let writeChain = Promise.resolve();
+  let pendingWrite = null;
+
+  if (filePath) {
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read local database ${filePath}, starting empty: ${error.message}`);
+      }
+    }
+  }
+
+  // Writes made while one is waiting are saved together; the file is replaced atomically
+  const persist = () => {
+    if (!filePath) return Promise.resolve();
+    if (!pendingWrite) {
+      pendingWrite = writeChain = writeChain.then(async () => {
+        pendingWrite = null;
+        await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fsPromises.writeFile(tmpPath, JSON.stringify(data || {}));
+        await fsPromises.rename(tmpPath, filePath);
+      }).catch((error) => console.error(`Failed to write local database ${filePath}: ${error.message}`));
+    }
+    return pendingWrite;
+  };
+
+  const read = (segments) => segments.reduce((node, segment) => (node && typeof node === 'object' ? node[segment] ?? null : null), data);
+
+  const write = (segments, value) => {
+    const normalized = normalize(clone(value));
+    if (segments.length === 0) {
+      data = normalized;
+      return;
+    }
+    if (normalized === null && read(segments) === null) return;
+    data = data && typeof data === 'object' ? data : {};
+    const parents = [data];
+    let node = data;
+    for (const segment of segments.slice(0, -1)) {
+      if (!node[segment] || typeof node[segment] !== 'object') node[segment] = {};
+      node = node[segment];
+      parents.push(node);
+    }
+    const leaf = segments[segments.length - 1];
+    if (normalized === null) {
+      delete node[leaf];
+      // Parents left empty disappear as well
+      for (let depth = segments.length - 1; depth > 0 && Object.keys(parents[depth]).length === 0; depth -= 1) {
+        delete parents[depth - 1][segments[depth - 1]];
+      }
+      if (Object.keys(data).length === 0) data = null;
+    } else {
+      node[leaf] = normalized;
+    }
+  };
+
+  const runQuery = (value, query) => {
+    if (!value || typeof value !== 'object' || !query.orderBy) return value;
+    const sortValue = query.orderBy === '$key'
+      ? ([key]) => key
+      : ([, child]) => (child && typeof child === 'object' ? child[query.orderBy] ?? null : null);
+    let entries = Object.entries(value).sort((a, b) => compareValues(sortValue(a), sortValue(b)) || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    if (query.startAt !== undefined) entries = entries.filter((entry) => compareValues(sortValue(entry), query.startAt) >= 0);
+    if (query.endAt !== undefined) entries = entries.filter((entry) => compareValues(sortValue(entry), query.endAt) <= 0);
+    if (query.equalTo !== undefined) entries = entries.filter((entry) => compareValues(sortValue(entry), query.equalTo) === 0);
+    if (query.limitToFirst !== undefined) entries = entries.slice(0, query.limitToFirst);
+    if (query.limitToLast !== undefined) entries = entries.slice(-query.limitToLast);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  };
+
+  const createQuery = (segments, query) => {
+    const refine = (changes) => createQuery(segments, { ...query, ...changes });
+    return {
+      orderByChild: (child) => refine({ orderBy: child }),
+      orderByKey: () => refine({ orderBy: '$key' }),
+      startAt: (value) => refine({ startAt: value }),
+      endAt: (value) => refine({ endAt: value }),
+      equalTo: (value) => refine({ equalTo: value }),
+      limitToFirst: (limit) => refine({ limitToFirst: limit }),
+      limitToLast: (limit) => refine({ limitToLast: limit }),
+      once: async (eventType = 'value') => {
+        if (eventType !== 'value') throw new Error(`The local database only supports 'value' reads, not '${eventType}'.`);
+        return createSnapshot(segments[segments.length - 1] || null, runQuery(read(segments), query));
+      },
+    };
+  };
+
+  const ref = (refPath) => {
+    const segments = splitPath(refPath);
+    const key = segments[segments.length - 1] || null;
+    const reference = {
+      ...createQuery(segments, {}),
+      key,
+      child: (childPath) => ref([...segments, ...splitPath(childPath)].join('/')),
+      set: async (value) => {
+        write(segments, value);
+        await persist();
+      },
+      // Keys may be paths relative to this reference; null removes
+      update: async (values) => {
+        for (const [childPath, value] of Object.entries(values || {})) {
+          write([...segments, ...splitPath(childPath)], value);
+        }
+        await persist();
+      },
+      remove: async () => {
+        write(segments, null);
+        await persist();
+      },
+      // Without a value only the new reference is returned, as in firebase-admin
+      push: (value) => {
+        const child = ref([...segments, generatePushKey()].join('/'));
+        if (value === undefined) return child;
+        const written = child.set(value).then(() => child);
+        return Object.assign(written, { key: child.key, ref: child });
+      },
+      // Runs synchronously against the in-memory data, so no other write can interleave
+      transaction: async (update) => {
+        const result = update(clone(read(segments)));
+        if (result === undefined) {
+          return { committed: false, snapshot: createSnapshot(key, read(segments)) };
+        }
+        write(segments, result);
+        await persist();
+        return { committed: true, snapshot: createSnapshot(key, read(segments)) };
+      },
+    };
+    return reference;
+  };
+
+  // Resolves once every write made so far is on disk
+  const flush = () => writeChain;
+
+  return { ref, flush };
+};
+
+module.exports = {
+  createLocalDatabase,
+};
@@ -0,0 +1,118 @@
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+
+// English traineddata ships with @tesseract.js-data/eng, so the default setup never downloads anything
+const bundledLangPath = (lang) => {
+  if (lang !== 'eng') return undefined;
+  try {
+    return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const OCR_OPTIONS = {
+  mode: (process.env.OCR_MODE || 'before-adobe').toLowerCase(), // 'before-adobe' | 'instead-of-adobe' | 'off'
+  maxPages: parseInt(process.env.OCR_MAX_PAGES, 10) || 5,
+  timeoutMs: parseInt(process.env.OCR_TIMEOUT_MS, 10) || 60000,
+  scale: parseFloat(process.env.OCR_RENDER_SCALE) || 2,
+  lang: process.env.OCR_LANG || 'eng',
+  // Directory holding <lang>.traineddata.gz for languages other than the bundled English data
+  langPath: process.env.OCR_LANG_PATH || bundledLangPath(process.env.OCR_LANG || 'eng'),
+  cachePath: process.env.OCR_CACHE_PATH || path.join(os.tmpdir(), 'resume-parser-ocr'),
+};
+
+// pdfjs-dist only ships as an ES module; in Node it renders through @napi-rs/canvas
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+};
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+// Render one PDF page to a PNG buffer
+const renderPage = async (pdfDocument, pageNumber, scale) => {
+  const page = await pdfDocument.getPage(pageNumber);
+  const viewport = page.getViewport({ scale });
+  const { canvas, context } = pdfDocument.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+  page.cleanup();
+  return canvas.encode('png');
+};
+
+// Local OCR Text Extraction: renders PDF pages and recognizes them with Tesseract (WASM), within page and time budgets
+const extractTextWithOcr = async (filePath, filename, options = OCR_OPTIONS) => {
+  const startTime = performance.now();
+  const deadline = Date.now() + options.timeoutMs;
+  let pdfDocument;
+  let worker;
+  try {
+    const pdfjs = await loadPdfjs();
+    const data = new Uint8Array(await fsPromises.readFile(filePath));
+    pdfDocument = await pdfjs.getDocument({ data, isEvalSupported: false, verbosity: 0 }).promise;
+    const pageCount = Math.min(pdfDocument.numPages, options.maxPages);
+    if (pdfDocument.numPages > options.maxPages) {
+      console.warn(`OCR for ${filename} limited to ${options.maxPages} of ${pdfDocument.numPages} pages.`);
+    }
+
+    worker = await withTimeout(
+      createWorker(options.lang, 1, {
+        langPath: options.langPath,
+        cachePath: options.cachePath,
+        // Without a handler tesseract.js rethrows worker errors and takes the whole process down
+        errorHandler: (error) => console.error(`OCR worker error for ${filename}: ${error.message || error}`),
+      }),
+      Math.max(deadline - Date.now(), 1),
+      `OCR engine did not start within ${options.timeoutMs}ms`
+    );
+
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber += 1) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        console.warn(`OCR time budget of ${options.timeoutMs}ms exhausted for ${filename} after ${pages.length} page(s).`);
+        break;
+      }
+      const image = await renderPage(pdfDocument, pageNumber, options.scale);
+      const { data: result } = await withTimeout(worker.recognize(image), remaining, `OCR timed out on page ${pageNumber}`);
+      pages.push(result.text || '');
+    }
+
+    const extractedText = pages.join('\n').trim();
+    const duration = (performance.now() - startTime) / 1000;
+    console.log(`OCR extracted ${extractedText.length} chars from ${pages.length} page(s) of ${filename} in ${duration.toFixed(2)}s`);
+    if (!extractedText || extractedText.length < 50) {
+      throw new Error(`Insufficient text extracted: ${extractedText.length} chars`);
+    }
+    return { text: extractedText, pages: pages.length };
+  } catch (err) {
+    const duration = (performance.now() - startTime) / 1000;
+    console.error(`OCR error for ${filename} after ${duration.toFixed(2)}s: ${err.message}`);
+    throw new Error(`Failed to extract text with OCR: ${err.message}`);
+  } finally {
+    if (worker) {
+      await worker.terminate().catch((error) => console.error(`Error stopping OCR worker for ${filename}: ${error.message}`));
+    }
+    if (pdfDocument) {
+      await pdfDocument.destroy().catch(() => {});
+    }
+  }
+};
+
+module.exports = {
+  OCR_OPTIONS,
+  extractTextWithOcr,
+};
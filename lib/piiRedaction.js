@@ -0,0 +1,227 @@
+// PII Redaction for Blind Screening
+// Deterministic masking of everything that identifies a candidate or hints at a protected characteristic before the
+// resume text reaches the evaluator. Masking errs on the side of removing too much: a masked word costs a little
+// context, an unmasked one defeats the point of screening blind.
+
+// Span type -> placeholder written into the redacted text
+const PII_PLACEHOLDERS = {
+  name: '[NAME]',
+  email: '[EMAIL]',
+  phone: '[PHONE]',
+  url: '[URL]',
+  address: '[ADDRESS]',
+  photo: '[PHOTO]',
+  gender: '[GENDER]',
+  age: '[AGE]',
+  graduation_year: '[YEAR]',
+};
+const PII_TYPES = Object.keys(PII_PLACEHOLDERS);
+
+// Lines at the top of a resume that are searched for the name and the home location
+const HEADER_LINES = 8;
+
+// Capitalized words that make a header line a title or heading rather than a name
+const NOT_NAME_WORDS = new Set([
+  'resume', 'résumé', 'curriculum', 'vitae', 'cv', 'profile', 'summary', 'objective', 'contact', 'about', 'me',
+  'engineer', 'developer', 'manager', 'designer', 'analyst', 'consultant', 'scientist', 'architect', 'director',
+  'specialist', 'senior', 'junior', 'lead', 'principal', 'staff', 'software', 'data', 'product', 'project', 'intern',
+  'officer', 'assistant', 'teacher', 'nurse', 'accountant', 'executive', 'administrator', 'technician', 'full', 'stack',
+  'experience', 'education', 'skills', 'professional', 'personal', 'details', 'information', 'the', 'and', 'of', 'at',
+]);
+
+const EDUCATION_HEADING = /^(?:education|academic(?:s| background| history)?|qualifications?|degrees?)\b/i;
+const OTHER_HEADING = /^(?:experience|work|employment|professional|career|skills|projects|certifications?|licenses|languages|summary|profile|objective|interests|hobbies|references|awards|achievements|publications|volunteer(?:ing)?|activities|contact)\b/i;
+const DEGREE_WORDS = /\b(?:bachelor|master|b\.?\s?sc|m\.?\s?sc|b\.?\s?a\b|m\.?\s?a\b|b\.?\s?eng|m\.?\s?eng|b\.?\s?tech|m\.?\s?tech|mba|ph\.?\s?d|doctorate|diploma|degree|high school|secondary school|graduated|graduation|class of|gpa|university|college|institute of)\b/i;
+
+const PATTERNS = [
+  ['email', /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g],
+  ['url', /\b(?:https?:\/\/|www\.)[^\s<>()"']+|\b(?:linkedin\.com|github\.com|gitlab\.com|behance\.net|dribbble\.com|medium\.com|twitter\.com|x\.com|stackoverflow\.com)\/[^\s<>()"']+/gi],
+  ['phone', /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?![\w])/g],
+  ['address', /^[ \t]*(?:address|home address|residence|location|lives in)[ \t]*[:-][ \t]*(.+)$/gim],
+  ['address', /\b\d{1,5}[ ]+(?:[A-Z][A-Za-z'.-]*[ ]+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent|Highway|Hwy|Parkway|Pkwy|Square|Sq)\b\.?(?:,?[ ]*(?:Apt|Apartment|Suite|Unit|Flat)\.?[ ]*[\w-]+)?/g],
+  ['address', /\b[A-Z][A-Za-z]+(?:[ ][A-Z][A-Za-z]+){0,2},[ ]*[A-Z]{2}[ ]+\d{5}(?:-\d{4})?\b/g],
+  ['address', /\b[A-Z]{1,2}\d[A-Z\d]?[ ]?\d[A-Z]{2}\b/g],
+  ['photo', /\bdata:image\/[a-z+.-]+;base64,[A-Za-z0-9+/=]+/gi],
+  ['photo', /\b[\w.-]+\.(?:jpe?g|png|gif|bmp|heic|webp|tiff?)\b/gi],
+  ['photo', /^[ \t]*(?:photo|photograph|picture|headshot|exif|camera model|gps (?:latitude|longitude|position)|image description)\b.*$/gim],
+  ['gender', /^[ \t]*(?:gender|sex|pronouns)[ \t]*[:-][ \t]*(.+)$/gim],
+  ['gender', /\b(?:Mr|Mrs|Ms|Miss|Mx|Sir|Madam)\b\.?/g],
+  ['gender', /\b(?:he|she|him|her|his|hers|himself|herself|male|female|woman|women|man|men|girl|girls|boy|boys|mother|father|wife|husband|sorority|fraternity|maiden name)\b/gi],
+  ['age', /^[ \t]*(?:age|date of birth|birth ?date|d\.?o\.?b\.?|born)[ \t]*[:-][ \t]*(.+)$/gim],
+  ['age', /\b\d{1,3}[ ]*(?:years?|yrs?)[ ]*old\b/gi],
+  ['age', /\bborn (?:in|on) [^\n,;]+/gi],
+];
+
+const YEAR_PATTERN = /\b(?:19|20)\d{2}\b|(?:'|’)\d{2}\b/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const digitCount = (value) => (value.match(/\d/g) || []).length;
+
+// A phone number has 9 to 15 digits, or at least 8 after an international prefix; year ranges such as 2015-2019 are not phones
+const isPhone = (value) => {
+  const digits = digitCount(value);
+  if (/^(?:19|20)\d{2}[ ]*[-–][ ]*(?:19|20)\d{2}$/.test(value.trim())) return false;
+  return (digits >= 9 && digits <= 15) || (value.trim().startsWith('+') && digits >= 8 && digits <= 15);
+};
+
+// Lines with their offsets in the text
+const splitLines = (text) => {
+  const lines = [];
+  let start = 0;
+  for (const line of text.split('\n')) {
+    lines.push({ line, start });
+    start += line.length + 1;
+  }
+  return lines;
+};
+
+// Header lines are often "Name | City, Country | email"; each part is looked at on its own
+const headerSegments = (lines) =>
+  lines
+    .filter(({ line }) => line.trim() !== '')
+    .slice(0, HEADER_LINES)
+    .flatMap(({ line, start }) => {
+      const segments = [];
+      const separator = /[|•·]/g;
+      let from = 0;
+      let match;
+      while ((match = separator.exec(line)) !== null) {
+        segments.push({ text: line.substring(from, match.index), start: start + from });
+        from = match.index + 1;
+      }
+      segments.push({ text: line.substring(from), start: start + from });
+      return segments
+        .map((segment) => {
+          const leading = segment.text.length - segment.text.trimStart().length;
+          return { text: segment.text.trim(), start: segment.start + leading };
+        })
+        .filter((segment) => segment.text !== '');
+    });
+
+const looksLikeName = (value) => {
+  const words = value.split(/\s+/);
+  return words.length >= 2 && words.length <= 4 &&
+    words.every((word) => /^(?:[A-Z][A-Za-z'’-]*\.?|[A-Z][A-Z'’-]+)$/.test(word) && !NOT_NAME_WORDS.has(word.toLowerCase().replace(/\.$/, '')));
+};
+
+// The candidate's name: a "Name:" label anywhere, otherwise the first header part that reads like a name
+const detectName = (text, lines) => {
+  const labelled = /^[ \t]*(?:full )?name[ \t]*:[ \t]*(.+)$/im.exec(text);
+  if (labelled && looksLikeName(labelled[1].trim())) return labelled[1].trim();
+  const segment = headerSegments(lines).find(({ text: value }) => looksLikeName(value));
+  return segment ? segment.text : null;
+};
+
+// Home location written on its own in the header, e.g. "Berlin, Germany" or "Austin, TX"
+const headerLocations = (lines) =>
+  headerSegments(lines)
+    .filter(({ text }) => /^[A-Z][A-Za-z.'-]+(?:[ -][A-Z][A-Za-z.'-]+)*,[ ]*[A-Z][A-Za-z.'-]+(?:[ ][A-Z][A-Za-z.'-]+)*$/.test(text) && !looksLikeName(text))
+    .map(({ text, start }) => ({ type: 'address', start, end: start + text.length }));
+
+// Years on education lines and everywhere in the education section reveal age
+const graduationYearSpans = (lines) => {
+  const spans = [];
+  let inEducation = false;
+  for (const { line, start } of lines) {
+    const trimmed = line.trim();
+    if (trimmed.length > 0 && trimmed.length <= 40 && !/\d/.test(trimmed)) {
+      if (EDUCATION_HEADING.test(trimmed)) inEducation = true;
+      else if (OTHER_HEADING.test(trimmed)) inEducation = false;
+    }
+    if (!inEducation && !DEGREE_WORDS.test(line)) continue;
+    for (const match of line.matchAll(YEAR_PATTERN)) {
+      spans.push({ type: 'graduation_year', start: start + match.index, end: start + match.index + match[0].length });
+    }
+  }
+  return spans;
+};
+
+const patternSpans = (text) => {
+  const spans = [];
+  for (const [type, pattern] of PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      // Labelled lines ("Gender: ...") mask only the value, which is the first group
+      const value = match[1] !== undefined ? match[1] : match[0];
+      const offset = match[1] !== undefined ? match[0].indexOf(match[1]) : 0;
+      let end = match.index + offset + value.length;
+      if (type === 'url') end -= (value.match(/[.,;:!?)]+$/) || [''])[0].length;
+      if (type === 'phone' && !isPhone(value)) continue;
+      spans.push({ type, start: match.index + offset, end });
+    }
+  }
+  return spans;
+};
+
+// Every occurrence of the full name and of each of its words (initials excepted), in any case
+const nameSpans = (text, name) => {
+  if (!name) return [];
+  const words = name.split(/\s+/).map((word) => word.replace(/\.$/, '')).filter((word) => word.length >= 2);
+  const pattern = new RegExp(`\\b(?:${[name, ...words].map(escapeRegExp).join('|')})(?:'s|’s)?\\b`, 'gi');
+  return [...text.matchAll(pattern)].map((match) => ({ type: 'name', start: match.index, end: match.index + match[0].length }));
+};
+
+// Earlier spans win; at the same start the longer one does
+const resolveOverlaps = (spans) => {
+  const sorted = [...spans].sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  for (const span of sorted) {
+    if (span.end <= span.start) continue;
+    if (kept.length > 0 && span.start < kept[kept.length - 1].end) continue;
+    kept.push(span);
+  }
+  return kept;
+};
+
+// Redact a resume. Returns { text, spans, identity }: spans are { type, start, end, replacement } with offsets into the
+// original text, and identity holds what was found of the candidate's name, email, phone, location and links.
+const redactPii = (text) => {
+  const source = typeof text === 'string' ? text : '';
+  const lines = splitLines(source);
+  const name = detectName(source, lines);
+  const spans = resolveOverlaps([
+    ...patternSpans(source),
+    ...headerLocations(lines),
+    ...graduationYearSpans(lines),
+    ...nameSpans(source, name),
+  ]).map((span) => ({ ...span, replacement: PII_PLACEHOLDERS[span.type] }));
+
+  let redacted = '';
+  let cursor = 0;
+  for (const span of spans) {
+    redacted += source.substring(cursor, span.start) + span.replacement;
+    cursor = span.end;
+  }
+  redacted += source.substring(cursor);
+
+  const first = (type) => {
+    const span = spans.find((entry) => entry.type === type);
+    return span ? source.substring(span.start, span.end).trim() : null;
+  };
+  const email = first('email');
+  return {
+    text: redacted,
+    spans,
+    identity: {
+      name,
+      email: email ? email.toLowerCase() : null,
+      phone: first('phone'),
+      location: first('address'),
+      links: [...new Set(spans.filter((span) => span.type === 'url').map((span) => source.substring(span.start, span.end)))],
+    },
+  };
+};
+
+// Count of spans per type, for reports that must not repeat the masked text
+const summarizeSpans = (spans) =>
+  (spans || []).reduce((counts, span) => ({ ...counts, [span.type]: (counts[span.type] || 0) + 1 }), {});
+
+module.exports = {
+  PII_TYPES,
+  PII_PLACEHOLDERS,
+  redactPii,
+  summarizeSpans,
+  splitLines,
+  headerSegments,
+  detectName,
+};
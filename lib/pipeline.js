@@ -0,0 +1,93 @@
+const CANDIDATES_PATH = 'talent_pool';
+const HISTORY_PATH = 'pipeline_history';
+
+const PIPELINE_STAGES = ['new', 'screened', 'shortlisted', 'interview', 'offer', 'rejected'];
+
+// Allowed moves from each stage. Candidates can step back one stage, and a rejected candidate can be reopened.
+const STAGE_TRANSITIONS = {
+  new: ['screened', 'shortlisted', 'rejected'],
+  screened: ['shortlisted', 'rejected', 'new'],
+  shortlisted: ['interview', 'rejected', 'screened'],
+  interview: ['offer', 'rejected', 'shortlisted'],
+  offer: ['rejected', 'interview'],
+  rejected: ['new', 'screened'],
+};
+
+// Stages that count as approved, kept in the candidate's approved flag for existing readers
+const APPROVED_STAGES = ['shortlisted', 'interview', 'offer'];
+
+// Records saved before stages existed have none and start at 'new'
+const stageOf = (candidate) => (candidate && PIPELINE_STAGES.includes(candidate.stage) ? candidate.stage : 'new');
+
+const canTransition = (from, to) => (STAGE_TRANSITIONS[from] || []).includes(to);
+
+// Candidate Pipeline
+// The stage lives on talent_pool/<id>/stage and is changed in a transaction on the candidate so two recruiters cannot
+// both move a candidate out of the same stage, and a move cannot bring back an erased candidate. Every move is recorded under pipeline_history/<candidateId>.
+const createPipeline = (database) => {
+  // Returns { from, to, entry } or { error, status }
+  const transition = async (candidateId, { to, actor, note }) => {
+    if (!PIPELINE_STAGES.includes(to)) {
+      return { error: `stage must be one of ${PIPELINE_STAGES.join(', ')}.`, status: 400 };
+    }
+    const exists = (await database.ref(`${CANDIDATES_PATH}/${candidateId}/id`).once('value')).exists();
+    if (!exists) {
+      return { error: `Candidate ${candidateId} not found.`, status: 404 };
+    }
+
+    // The move is checked against the stage read here, and the transaction only commits while the stage is still that one
+    const candidateRef = database.ref(`${CANDIDATES_PATH}/${candidateId}`);
+    const expected = (await candidateRef.child('stage').once('value')).val();
+    const from = PIPELINE_STAGES.includes(expected) ? expected : 'new';
+    if (!canTransition(from, to)) {
+      return {
+        error: from === to
+          ? `Candidate ${candidateId} is already ${to}.`
+          : `Cannot move candidate ${candidateId} from ${from} to ${to}. Allowed: ${STAGE_TRANSITIONS[from].join(', ')}.`,
+        status: 409,
+      };
+    }
+    const at = Date.now();
+    const { committed, snapshot } = await candidateRef.transaction((current) => {
+      // Firebase first runs this with its cached value, which is usually null. Returning null then writes nothing: the
+      // server rejects it while the candidate exists and runs the function again with the record, and a candidate
+      // erased in the meantime is not recreated.
+      if (current === null) return null;
+      if ((current.stage ?? null) !== expected) return undefined;
+      return { ...current, stage: to, approved: APPROVED_STAGES.includes(to), stageUpdatedAt: at, stageUpdatedBy: actor };
+    });
+    if (!committed) {
+      return { error: `Candidate ${candidateId} was moved by someone else in the meantime. Reload and try again.`, status: 409 };
+    }
+    if (!snapshot.exists()) {
+      return { error: `Candidate ${candidateId} not found.`, status: 404 };
+    }
+
+    const entry = { from, to, actor, note: note || '', at };
+    const key = database.ref(`${HISTORY_PATH}/${candidateId}`).push().key;
+    await database.ref(`${HISTORY_PATH}/${candidateId}/${key}`).set(entry);
+    console.log(`Candidate ${candidateId} moved from ${from} to ${to} by ${actor}`);
+    return { from, to, entry: { id: key, ...entry } };
+  };
+
+  // Oldest first
+  const history = async (candidateId) => {
+    const snapshot = await database.ref(`${HISTORY_PATH}/${candidateId}`).orderByChild('at').once('value');
+    return Object.entries(snapshot.val() || {})
+      .map(([id, entry]) => ({ id, ...entry }))
+      .sort((a, b) => a.at - b.at);
+  };
+
+  const removeHistory = (candidateId) => database.ref(`${HISTORY_PATH}/${candidateId}`).remove();
+
+  return { transition, history, removeHistory };
+};
+
+module.exports = {
+  PIPELINE_STAGES,
+  STAGE_TRANSITIONS,
+  APPROVED_STAGES,
+  stageOf,
+  canTransition,
+  createPipeline,
+};
@@ -0,0 +1,64 @@
+const { EventEmitter } = require('events');
+
+// In-memory progress bus keyed by channel (job id).
+// Recent events are kept per channel so late subscribers can replay what they missed.
+const createProgressBus = ({ historyLimit = 500, retentionMs = 10 * 60 * 1000 } = {}) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const channels = new Map();
+
+  const getChannel = (channel) => {
+    if (!channels.has(channel)) {
+      channels.set(channel, { seq: 0, history: [], closed: false });
+    }
+    return channels.get(channel);
+  };
+
+  const publish = (channel, event) => {
+    const state = getChannel(channel);
+    const entry = { id: ++state.seq, ...event };
+    state.history.push(entry);
+    if (state.history.length > historyLimit) state.history.shift();
+    emitter.emit(channel, entry);
+    return entry;
+  };
+
+  const subscribe = (channel, listener) => {
+    emitter.on(channel, listener);
+    return () => emitter.off(channel, listener);
+  };
+
+  const history = (channel, afterId = 0) => {
+    const state = channels.get(channel);
+    return state ? state.history.filter((entry) => entry.id > afterId) : [];
+  };
+
+  const isClosed = (channel) => Boolean(channels.get(channel)?.closed);
+
+  // Marks the channel finished and forgets its history once late subscribers have had time to catch up
+  const close = (channel) => {
+    const state = getChannel(channel);
+    state.closed = true;
+    emitter.emit(`${channel}:closed`);
+    setTimeout(() => channels.delete(channel), retentionMs).unref();
+  };
+
+  const onClose = (channel, listener) => {
+    emitter.once(`${channel}:closed`, listener);
+    return () => emitter.off(`${channel}:closed`, listener);
+  };
+
+  return { publish, subscribe, history, isClosed, close, onClose };
+};
+
+// Write a single Server-Sent Event frame
+const writeSseEvent = (res, event) => {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+};
+
+module.exports = {
+  createProgressBus,
+  writeSseEvent,
+};
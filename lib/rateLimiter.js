@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const RATE_LIMIT_OPTIONS = {
+  requestsPerMinute: parseFloat(process.env.LLM_REQUESTS_PER_MINUTE) || 15,
+  burst: parseInt(process.env.LLM_RATE_LIMIT_BURST, 10) || 3,
+};
+
+const RETRY_OPTIONS = {
+  maxRetries: Math.max(0, parseInt(process.env.LLM_MAX_RETRIES ?? '3', 10) || 0),
+  baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_MS, 10) || 2000,
+  // Longest single wait; a server asking for more (e.g. a daily quota) ends the retries so the file can be reprocessed later
+  maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_MS, 10) || 60000,
+};
+
+// "30s", "1.5s", "250ms" (RetryInfo / Retry-After) or a bare number of seconds, in milliseconds; 0 when unknown
+const parseRetryDelayMs = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return Math.max(0, value * 1000);
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+  if (!match) return 0;
+  const amount = parseFloat(match[1]);
+  return Math.round(match[2] && match[2].toLowerCase() === 'ms' ? amount : amount * 1000);
+};
+
+// Token bucket per key. acquire(key) resolves once a request may be sent;
+// pause(key, ms) empties the bucket and holds every caller for that key, e.g. for a provider's RetryInfo delay.
+const createRateLimiter = ({ requestsPerMinute, burst } = RATE_LIMIT_OPTIONS) => {
+  const buckets = new Map();
+  const refillPerMs = requestsPerMinute / 60000;
+
+  const getBucket = (key) => {
+    if (!buckets.has(key)) {
+      buckets.set(key, { tokens: burst, updatedAt: Date.now(), blockedUntil: 0, turn: Promise.resolve() });
+    }
+    return buckets.get(key);
+  };
+
+  const refill = (bucket) => {
+    const now = Date.now();
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+  };
+
+  const acquire = (key) => {
+    const bucket = getBucket(key);
+    // Callers for the same key wait in line so tokens are handed out in arrival order
+    const turn = bucket.turn.then(async () => {
+      for (;;) {
+        const blockedFor = bucket.blockedUntil - Date.now();
+        if (blockedFor > 0) {
+          await delay(blockedFor);
+          continue;
+        }
+        refill(bucket);
+        if (bucket.tokens >= 1) {
+          bucket.tokens -= 1;
+          return;
+        }
+        await delay(Math.ceil((1 - bucket.tokens) / refillPerMs));
+      }
+    });
+    bucket.turn = turn.catch(() => {});
+    return turn;
+  };
+
+  const pause = (key, ms) => {
+    const bucket = getBucket(key);
+    refill(bucket);
+    bucket.tokens = 0;
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+  };
+
+  return { acquire, pause };
+};
+
+// Limiter key for a provider account; API keys are hashed so they never sit in the limiter's map
+const limiterKey = (provider, apiKey) => `${provider}:${crypto.createHash('sha256').update(apiKey || '').digest('hex').substring(0, 16)}`;
+
+// 429s, 5xx responses, timeouts and dropped connections are worth another attempt; everything else is final
+const isRetryableError = (error) => {
+  const status = error.status || (error.response && error.response.status);
+  if (status) return status === 429 || status >= 500;
+  return error.name === 'TimeoutError' || error.name === 'AbortError' || /fetch failed|ECONNRESET|ETIMEDOUT|socket hang up/i.test(error.message || '');
+};
+
+// Exponential backoff with full jitter, never shorter than the delay the server asked for
+const backoffDelay = (attempt, options, retryDelayMs = 0) => {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.max(Math.round(Math.random() * ceiling), retryDelayMs);
+};
+
+// Run fn under the limiter and retry retryable errors until the retry budget is spent.
+// The final error is rethrown with retriesAttempted set.
+const callWithRetry = async (fn, { limiter, key, options = RETRY_OPTIONS, label = 'Request' } = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    if (limiter) await limiter.acquire(key);
+    try {
+      return await fn();
+    } catch (error) {
+      if (!isRetryableError(error)) throw error;
+      const retryDelayMs = parseRetryDelayMs(error.retryDelay);
+      if (limiter && retryDelayMs > 0) limiter.pause(key, retryDelayMs);
+      if (attempt >= options.maxRetries || retryDelayMs > options.maxDelayMs) {
+        error.retriesAttempted = attempt;
+        throw error;
+      }
+      const waitMs = backoffDelay(attempt, options, retryDelayMs);
+      console.warn(`${label} failed with ${error.status || error.name}: ${error.message}. Retrying in ${waitMs}ms (retry ${attempt + 1}/${options.maxRetries}).`);
+      await delay(waitMs);
+    }
+  }
+};
+
+module.exports = {
+  RATE_LIMIT_OPTIONS,
+  RETRY_OPTIONS,
+  parseRetryDelayMs,
+  createRateLimiter,
+  limiterKey,
+  isRetryableError,
+  backoffDelay,
+  callWithRetry,
+};
@@ -0,0 +1,93 @@
+const REDACTED = '[REDACTED]';
+
+// Provider key formats and credential-carrying fragments that are redacted even when the exact value is not known
+const SECRET_PATTERNS = [
+  [/AIza[0-9A-Za-z_-]{35}/g, REDACTED], // Google API keys
+  [/\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g, REDACTED], // OpenAI and Anthropic keys
+  [/(Bearer\s+)[A-Za-z0-9._~+/=-]{16,}/gi, `$1${REDACTED}`],
+  [/([?&](?:key|api_key|access_token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+];
+// Field names whose string values are credentials whatever they look like
+const SECRET_FIELDS = new Set(['apikey', 'api_key', 'accesstoken', 'access_token', 'authorization', 'password']);
+const MAX_DEPTH = 8;
+
+// Exact values registered at runtime, e.g. every provider key decrypted for a request. Keys are forgotten again when
+// they are deleted or rotated, so the set only holds keys that are still stored.
+const knownSecrets = new Set();
+
+const registerSecret = (value) => {
+  if (typeof value === 'string' && value.length >= 8) knownSecrets.add(value);
+};
+
+const forgetSecret = (value) => {
+  knownSecrets.delete(value);
+};
+
+const redactKnownSecrets = (text) => {
+  if (typeof text !== 'string' || text === '') return text;
+  let result = text;
+  for (const secret of knownSecrets) {
+    if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+  }
+  return result;
+};
+
+const redactText = (text) => {
+  if (typeof text !== 'string' || text === '') return text;
+  let result = redactKnownSecrets(text);
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+};
+
+const redactError = (error) => {
+  const copy = new Error(redactText(error.message));
+  copy.name = error.name;
+  copy.stack = redactText(error.stack);
+  for (const key of ['status', 'code']) {
+    if (error[key] !== undefined) copy[key] = error[key];
+  }
+  return copy;
+};
+
+// Copy of value with every string passed through redactString. Only plain objects, arrays and errors are walked; other
+// objects pass through. Values of fields named in SECRET_FIELDS are replaced whole.
+const walkStrings = (value, redactString, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object' || depth > MAX_DEPTH || seen.has(value)) return value;
+  if (value instanceof Error) return redactError(value);
+  const isPlain = Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null;
+  if (!isPlain) return value;
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((item) => walkStrings(item, redactString, depth + 1, seen));
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = typeof item === 'string' && SECRET_FIELDS.has(key.toLowerCase()) ? REDACTED : walkStrings(item, redactString, depth + 1, seen);
+  }
+  return copy;
+};
+
+const redactValue = (value) => walkStrings(value, redactText);
+
+// Response bodies carry candidate data that has to come back byte-exact, such as data-subject exports and file
+// contents, so they are only cleared of registered keys and secret fields; pattern matching is left to logs and errors.
+const redactResponse = (value) => walkStrings(value, redactKnownSecrets);
+
+// Route every console method through redactValue so keys never reach the logs
+const installConsoleRedaction = (target = console) => {
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = target[method].bind(target);
+    target[method] = (...args) => original(...args.map((arg) => redactValue(arg)));
+  }
+};
+
+module.exports = {
+  REDACTED,
+  registerSecret,
+  forgetSecret,
+  redactText,
+  redactValue,
+  redactResponse,
+  installConsoleRedaction,
+};
@@ -0,0 +1,193 @@
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { parseRetryDelayMs } = require('./rateLimiter');
+
+const REPROCESS_OPTIONS = {
+  // Total evaluation attempts per file, counting the one that first failed; 0 disables reprocessing
+  maxAttempts: Math.max(0, parseInt(process.env.REPROCESS_MAX_ATTEMPTS ?? '3', 10) || 0),
+  baseDelayMs: parseInt(process.env.REPROCESS_DELAY_MS, 10) || 5 * 60 * 1000,
+  directory: process.env.REPROCESS_DIR || path.join(os.tmpdir(), 'resume-reprocess'),
+  retentionMs: 60 * 60 * 1000,
+};
+
+// rename() cannot cross filesystems; fall back to copy and delete
+const moveFile = async (from, to) => {
+  try {
+    await fsPromises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fsPromises.copyFile(from, to);
+    await fsPromises.unlink(from);
+  }
+};
+
+// Drop internal fields (held file path, API key) before an entry leaves the queue
+const toPublicEntry = (entry) => ({
+  id: entry.id,
+  filename: entry.file.originalname,
+  status: entry.status,
+  attempts: entry.attempts,
+  maxAttempts: entry.maxAttempts,
+  nextAttemptAt: entry.status === 'queued' ? entry.nextAttemptAt : null,
+  lastError: entry.lastError,
+  candidateId: entry.candidateId || null,
+  failureId: entry.failureId || null,
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt,
+});
+
+// Automatic Reprocessing Queue
+// Files whose evaluation still fails with a retryable error once the retry budget is spent are parked here and run again later.
+// processFiles(files, params, hooks) runs the resume pipeline. Entries and their params (including the API key) live in memory
+// only, so files still waiting when the process stops are discarded at the next start; params.failureId names the open
+// failure record the caller keeps for the file, which /failures/:id/retry can still run. params.orgId, when set, owns the entry.
+const createReprocessQueue = ({ processFiles, options = REPROCESS_OPTIONS }) => {
+  const entries = new Map();
+  let timer = null;
+  let draining = false;
+
+  const nextDelay = (attempts, failure) =>
+    Math.max(options.baseDelayMs * 2 ** (attempts - 1), parseRetryDelayMs(failure && failure.retryDelay));
+
+  const recordFailure = (entry, failure) => {
+    entry.lastError = { status: failure.status, message: failure.parsedText || failure.message || 'Unknown error' };
+    entry.updatedAt = Date.now();
+  };
+
+  const schedule = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const waiting = [...entries.values()].filter((entry) => entry.status === 'queued');
+    if (waiting.length === 0 || draining) return;
+    const dueAt = Math.min(...waiting.map((entry) => entry.nextAttemptAt));
+    timer = setTimeout(drain, Math.max(0, dueAt - Date.now()));
+    timer.unref();
+  };
+
+  const prune = () => {
+    const cutoff = Date.now() - options.retentionMs;
+    for (const [id, entry] of entries) {
+      if ((entry.status === 'succeeded' || entry.status === 'failed') && entry.updatedAt < cutoff) entries.delete(id);
+    }
+  };
+
+  const runEntry = async (entry) => {
+    entry.status = 'processing';
+    entry.updatedAt = Date.now();
+    console.log(`--- Reprocessing ${entry.file.originalname} (${entry.id}), attempt ${entry.attempts + 1}/${entry.maxAttempts} ---`);
+    let requeued = false;
+    let fileResult = null;
+    try {
+      await processFiles([entry.file], entry.params, {
+        requeue: async (file, failure) => {
+          entry.attempts += 1;
+          recordFailure(entry, failure);
+          if (entry.attempts >= entry.maxAttempts) return null;
+          requeued = true;
+          entry.status = 'queued';
+          entry.nextAttemptAt = Date.now() + nextDelay(entry.attempts, failure);
+          return toPublicEntry(entry);
+        },
+        onFileProcessed: (file, result) => {
+          fileResult = result;
+        },
+      });
+    } catch (error) {
+      console.error(`Reprocessing ${entry.id} failed: ${error.message}`);
+      fileResult = { error: { status: 500, message: error.message } };
+    }
+    if (requeued) {
+      console.log(`Reprocessing of ${entry.file.originalname} deferred until ${new Date(entry.nextAttemptAt).toISOString()}`);
+      return;
+    }
+    if (fileResult && !fileResult.error) {
+      entry.status = 'succeeded';
+      entry.candidateId = fileResult.id;
+      entry.attempts += 1;
+    } else {
+      entry.status = 'failed';
+      if (fileResult && fileResult.error && entry.attempts < entry.maxAttempts) {
+        entry.attempts += 1;
+        recordFailure(entry, fileResult.error);
+      }
+    }
+    entry.params = null;
+    entry.updatedAt = Date.now();
+    console.log(`Reprocessing of ${entry.file.originalname} finished with status ${entry.status}`);
+  };
+
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+    timer = null;
+    try {
+      for (;;) {
+        const due = [...entries.values()]
+          .filter((entry) => entry.status === 'queued' && entry.nextAttemptAt <= Date.now())
+          .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+        if (!due) break;
+        await runEntry(due);
+      }
+      prune();
+    } finally {
+      draining = false;
+      schedule();
+    }
+  };
+
+  // Park a file after a retryable failure. The file is moved out of the upload's temp location so normal
+  // cleanup leaves it alone. Returns the public entry, or null when reprocessing is disabled.
+  const enqueue = async (file, params, failure) => {
+    if (options.maxAttempts <= 1) return null;
+    await fsPromises.mkdir(options.directory, { recursive: true });
+    const id = uuidv4();
+    const heldPath = path.join(options.directory, id);
+    await moveFile(file.path, heldPath);
+    const now = Date.now();
+    const entry = {
+      id,
+      status: 'queued',
+      attempts: 1,
+      maxAttempts: options.maxAttempts,
+      file: { ...file, path: heldPath, filename: id, destination: options.directory },
+      params,
+      orgId: params.orgId || null,
+      failureId: params.failureId || null,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now + nextDelay(1, failure),
+    };
+    recordFailure(entry, failure);
+    entries.set(id, entry);
+    schedule();
+    return toPublicEntry(entry);
+  };
+
+  // orgId (optional) hides entries owned by other organizations
+  const get = (id, orgId) => {
+    const entry = entries.get(id);
+    return entry && (!orgId || entry.orgId === orgId) ? toPublicEntry(entry) : null;
+  };
+
+  // Held files from a previous process have no API key to run with; clear them out
+  const discardOrphans = async () => {
+    try {
+      const names = await fsPromises.readdir(options.directory);
+      const orphans = names.filter((name) => !entries.has(name));
+      await Promise.all(orphans.map((name) => fsPromises.unlink(path.join(options.directory, name)).catch(() => {})));
+      if (orphans.length > 0) console.log(`Discarded ${orphans.length} file(s) left in the reprocessing queue by a previous run.`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Could not clear reprocessing directory ${options.directory}: ${error.message}`);
+    }
+  };
+
+  return { enabled: options.maxAttempts > 1, enqueue, get, discardOrphans };
+};
+
+module.exports = {
+  REPROCESS_OPTIONS,
+  createReprocessQueue,
+  toPublicEntry,
+};
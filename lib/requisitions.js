@@ -0,0 +1,77 @@
+const { v4: uuidv4 } = require('uuid');
+const { withoutUndefined } = require('./storageBackend');
+
+const REQUISITIONS_PATH = 'requisitions';
+const SCORES_PATH = 'requisition_scores';
+const REQUISITION_STATUSES = ['open', 'on_hold', 'closed'];
+
+// Score of one candidate against one requisition, stored on the candidate and under the requisition
+const buildRequisitionScore = (candidate, application) => withoutUndefined({
+  candidateId: candidate.id,
+  applicationId: application.id,
+  score: candidate.score,
+  jdScore: candidate.jdScore,
+  rsScore: candidate.rsScore,
+  requirements: candidate.requirements,
+  scoreWeights: candidate.scoreWeights,
+  llmProvider: candidate.llmProvider,
+  llmModel: candidate.llmModel,
+  evaluatedAt: application.appliedAt,
+});
+
+// Requisition Store
+// requisitions/<id> holds the opening; requisition_scores/<requisitionId>/<candidateId> holds each candidate's latest score for it
+const createRequisitionStore = (database) => {
+  const get = async (id) => {
+    const snapshot = await database.ref(`${REQUISITIONS_PATH}/${id}`).once('value');
+    return snapshot.val();
+  };
+
+  const create = async (fields) => {
+    const now = Date.now();
+    const requisition = withoutUndefined({ ...fields, id: uuidv4(), status: fields.status || 'open', createdAt: now, updatedAt: now });
+    await database.ref(`${REQUISITIONS_PATH}/${requisition.id}`).set(requisition);
+    return requisition;
+  };
+
+  const list = async ({ status } = {}) => {
+    const query = status
+      ? database.ref(REQUISITIONS_PATH).orderByChild('status').equalTo(status)
+      : database.ref(REQUISITIONS_PATH);
+    const snapshot = await query.once('value');
+    return Object.values(snapshot.val() || {}).sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  };
+
+  const update = async (id, changes) => {
+    await database.ref(`${REQUISITIONS_PATH}/${id}`).update(withoutUndefined({ ...changes, updatedAt: Date.now() }));
+    return get(id);
+  };
+
+  // Scores stay on the candidates' records as history; only the requisition and its score index are removed
+  const remove = async (id) => {
+    await database.ref().update({ [`${REQUISITIONS_PATH}/${id}`]: null, [`${SCORES_PATH}/${id}`]: null });
+  };
+
+  const recordScore = (requisitionId, score) => database.ref(`${SCORES_PATH}/${requisitionId}/${score.candidateId}`).set(score);
+
+  const getScore = async (requisitionId, candidateId) => {
+    const snapshot = await database.ref(`${SCORES_PATH}/${requisitionId}/${candidateId}`).once('value');
+    return snapshot.val();
+  };
+
+  const removeScore = (requisitionId, candidateId) => database.ref(`${SCORES_PATH}/${requisitionId}/${candidateId}`).remove();
+
+  // Highest score first
+  const listScores = async (requisitionId, limit = 100) => {
+    const snapshot = await database.ref(`${SCORES_PATH}/${requisitionId}`).orderByChild('score').limitToLast(limit).once('value');
+    return Object.values(snapshot.val() || {}).sort((a, b) => (b.score || 0) - (a.score || 0));
+  };
+
+  return { get, create, list, update, remove, recordScore, getScore, removeScore, listScores };
+};
+
+module.exports = {
+  REQUISITION_STATUSES,
+  buildRequisitionScore,
+  createRequisitionStore,
+};
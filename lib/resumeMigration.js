@@ -0,0 +1,75 @@
+const { resumeEndpoint } = require('./candidates');
+const { isTenantStoragePath } = require('./tenants');
+const { toArray } = require('./storageBackend');
+
+// Private Resume Migration
+// Resumes used to be uploaded as public objects with their permanent public URL stored in resumeUrl, on the candidate
+// and on each application. For one organization this makes every such object private, records its storage path in
+// resumePath and points resumeUrl at the resume endpoint instead. Records that were already migrated are left alone,
+// so the migration can be run again. With dryRun nothing is changed and the report says what would be.
+const migratePrivateResumes = async ({ candidates, blobStore, storagePrefix, dryRun = false }) => {
+  const report = {
+    dryRun,
+    candidatesScanned: 0,
+    candidatesUpdated: 0,
+    objectsMadePrivate: 0,
+    missingObjects: [],
+    skipped: [],
+    errors: [],
+  };
+  const madePrivate = new Map();
+
+  // Resolves to false when the object no longer exists; its link is rewritten all the same
+  const makePrivate = (storagePath) => {
+    if (!madePrivate.has(storagePath)) {
+      madePrivate.set(storagePath, dryRun
+        ? Promise.resolve(true)
+        : blobStore.makePrivate(storagePath).then(() => true, (error) => {
+          if (error.code === 404) return false;
+          throw error;
+        }));
+    }
+    return madePrivate.get(storagePath);
+  };
+
+  // The migrated copy of a record or application, or null when it needs no change
+  const migrateEntry = async (candidateId, entry, applicationId) => {
+    if (entry.resumePath) return null;
+    const storagePath = blobStore.pathFromUrl(entry.resumeUrl);
+    if (!storagePath) return null;
+    if (!isTenantStoragePath(storagePrefix, storagePath)) {
+      report.skipped.push({ candidateId, applicationId, storagePath, reason: 'The object is outside the organization\'s storage.' });
+      return null;
+    }
+    if (!(await makePrivate(storagePath)) && !report.missingObjects.includes(storagePath)) {
+      report.missingObjects.push(storagePath);
+    }
+    return { ...entry, resumePath: storagePath, resumeUrl: resumeEndpoint(candidateId, applicationId) };
+  };
+
+  for (const candidate of await candidates.list()) {
+    report.candidatesScanned += 1;
+    try {
+      const record = (await migrateEntry(candidate.id, candidate)) || { ...candidate };
+      let changed = record.resumePath !== candidate.resumePath;
+      if (candidate.applications) {
+        record.applications = await Promise.all(toArray(candidate.applications).map(async (application) => {
+          const migrated = await migrateEntry(candidate.id, application, application.id);
+          if (migrated) changed = true;
+          return migrated || application;
+        }));
+      }
+      if (!changed) continue;
+      report.candidatesUpdated += 1;
+      if (!dryRun) await candidates.save(record);
+    } catch (error) {
+      report.errors.push({ candidateId: candidate.id, error: error.message });
+    }
+  }
+  report.objectsMadePrivate = madePrivate.size - report.missingObjects.length;
+  return report;
+};
+
+module.exports = {
+  migratePrivateResumes,
+};
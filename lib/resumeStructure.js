@@ -0,0 +1,172 @@
+// Normalization of the structured resume sections returned by the evaluator
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5, jun: 6, june: 6,
+  jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11,
+  dec: 12, december: 12,
+};
+const SEASONS = { spring: 3, summer: 6, fall: 9, autumn: 9, winter: 12 };
+const PRESENT_WORDS = /^(present|current|currently|now|today|ongoing|till date|to date)$/i;
+
+const pad = (value) => String(value).padStart(2, '0');
+const isValidYear = (year) => year >= 1950 && year <= new Date().getFullYear() + 10;
+
+const cleanString = (value) => (typeof value === 'string' && value.trim() !== '' && value.trim().toLowerCase() !== 'n/a' ? value.trim() : null);
+
+// Normalize a resume date to ISO 8601 at the precision it was written with: YYYY, YYYY-MM or YYYY-MM-DD.
+// Returns 'present' for ongoing roles and null when the value cannot be understood.
+const normalizeDate = (value) => {
+  if (typeof value === 'number' && isValidYear(value)) return String(value);
+  const raw = cleanString(value);
+  if (!raw) return null;
+  const text = raw.replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (PRESENT_WORDS.test(text)) return 'present';
+
+  let match = text.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?/);
+  if (match) {
+    const [, year, month, day] = match;
+    if (!isValidYear(+year) || +month < 1 || +month > 12) return null;
+    return day ? `${year}-${pad(month)}-${pad(day)}` : `${year}-${pad(month)}`;
+  }
+  match = text.match(/^(\d{1,2})[/-](\d{4})$/);
+  if (match) {
+    const [, month, year] = match;
+    return isValidYear(+year) && +month >= 1 && +month <= 12 ? `${year}-${pad(month)}` : null;
+  }
+  match = text.match(/^([a-z]+) (\d{1,2} )?(\d{4})$/i) || text.match(/^(\d{1,2}) ([a-z]+) (\d{4})$/i);
+  if (match) {
+    const monthWord = (isNaN(match[1]) ? match[1] : match[2]).toLowerCase();
+    const day = isNaN(match[1]) ? match[2] : match[1];
+    const year = match[3];
+    const month = MONTHS[monthWord] || SEASONS[monthWord];
+    if (!month || !isValidYear(+year)) return null;
+    return day && MONTHS[monthWord] ? `${year}-${pad(month)}-${pad(day.trim())}` : `${year}-${pad(month)}`;
+  }
+  match = text.match(/^(?:'|’)?(\d{4})$/);
+  if (match && isValidYear(+match[1])) return match[1];
+  return null;
+};
+
+// Month index (years * 12 + month - 1) for interval arithmetic; year-only dates count from January or through December
+const toMonthIndex = (isoDate, isEnd) => {
+  if (!isoDate) return null;
+  if (isoDate === 'present') {
+    const now = new Date();
+    return now.getFullYear() * 12 + now.getMonth();
+  }
+  const [year, month] = isoDate.split('-').map(Number);
+  return year * 12 + (month ? month - 1 : isEnd ? 11 : 0);
+};
+
+// Total experience in years from position date ranges, counting overlapping roles once
+const computeExperienceYears = (positions) => {
+  const intervals = positions
+    .map((position) => [toMonthIndex(position.startDate, false), toMonthIndex(position.current ? 'present' : position.endDate, true)])
+    .filter(([start, end]) => start !== null && end !== null && end >= start)
+    .sort((a, b) => a[0] - b[0]);
+  if (intervals.length === 0) return null;
+
+  let totalMonths = 0;
+  let [currentStart, currentEnd] = intervals[0];
+  for (const [start, end] of intervals.slice(1)) {
+    if (start <= currentEnd + 1) {
+      currentEnd = Math.max(currentEnd, end);
+    } else {
+      totalMonths += currentEnd - currentStart + 1;
+      [currentStart, currentEnd] = [start, end];
+    }
+  }
+  totalMonths += currentEnd - currentStart + 1;
+  return Math.round((totalMonths / 12) * 10) / 10;
+};
+
+const toStringList = (value) =>
+  (Array.isArray(value) ? value : []).map(cleanString).filter(Boolean);
+
+const normalizePositions = (value) =>
+  (Array.isArray(value) ? value : [])
+    .filter((position) => position && typeof position === 'object')
+    .map((position) => {
+      const endDate = normalizeDate(position.endDate);
+      return {
+        company: cleanString(position.company) || 'N/A',
+        title: cleanString(position.title) || 'N/A',
+        startDate: normalizeDate(position.startDate),
+        endDate: endDate === 'present' ? null : endDate,
+        current: endDate === 'present' || position.current === true,
+        location: cleanString(position.location) || 'N/A',
+        highlights: toStringList(position.highlights),
+      };
+    })
+    .filter((position) => position.company !== 'N/A' || position.title !== 'N/A')
+    .sort((a, b) => (b.current - a.current) || String(b.startDate || '').localeCompare(String(a.startDate || '')));
+
+const normalizeEducationHistory = (value) =>
+  (Array.isArray(value) ? value : [])
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => {
+      const graduation = normalizeDate(entry.graduationYear);
+      const year = graduation && graduation !== 'present' ? parseInt(graduation, 10) : null;
+      return {
+        institution: cleanString(entry.institution) || 'N/A',
+        degree: cleanString(entry.degree) || 'N/A',
+        field: cleanString(entry.field) || 'N/A',
+        graduationYear: year,
+      };
+    })
+    .filter((entry) => entry.institution !== 'N/A' || entry.degree !== 'N/A');
+
+const normalizeCertifications = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map((entry) => (typeof entry === 'string' ? { name: entry } : entry))
+    .filter((entry) => entry && cleanString(entry.name))
+    .map((entry) => {
+      const date = normalizeDate(entry.date);
+      return {
+        name: cleanString(entry.name),
+        issuer: cleanString(entry.issuer) || 'N/A',
+        date: date === 'present' ? null : date,
+      };
+    });
+
+const normalizeLanguages = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map((entry) => (typeof entry === 'string' ? { language: entry } : entry))
+    .filter((entry) => entry && cleanString(entry.language))
+    .map((entry) => ({
+      language: cleanString(entry.language),
+      proficiency: cleanString(entry.proficiency) || 'N/A',
+    }));
+
+const normalizeUrl = (value) => {
+  const raw = cleanString(value);
+  if (!raw) return null;
+  const withScheme = /^https?:\/\//i.test(raw) ? raw : `https://${raw}`;
+  try {
+    const url = new URL(withScheme);
+    return url.hostname.includes('.') ? url.toString().replace(/\/$/, '') : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeLinks = (value) => {
+  const links = value && typeof value === 'object' ? value : {};
+  return {
+    linkedin: normalizeUrl(links.linkedin),
+    github: normalizeUrl(links.github),
+    portfolio: normalizeUrl(links.portfolio),
+    other: [...new Set(toStringList(links.other).map(normalizeUrl).filter(Boolean))],
+  };
+};
+
+module.exports = {
+  normalizeDate,
+  computeExperienceYears,
+  normalizePositions,
+  normalizeEducationHistory,
+  normalizeCertifications,
+  normalizeLanguages,
+  normalizeLinks,
+  normalizeUrl,
+};
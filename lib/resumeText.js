@@ -0,0 +1,46 @@
+const RESUME_TEXT_PATH = 'resume_text';
+const REDACTED_SUFFIX = '_redacted';
+
+// Extracted Resume Text Store
+// resume_text/<contentHash> keeps the text extracted from each distinct resume file, so candidates can be scored
+// again without downloading and re-extracting their resumes. Identical files share one entry.
+// Text with personal details masked for blind screening is kept beside it under resume_text/<contentHash>_redacted,
+// so a blind and a normal upload of the same file never replace each other's text.
+const createResumeTextStore = (database) => {
+  const refOf = (contentHash, redacted) => database.ref(`${RESUME_TEXT_PATH}/${contentHash}${redacted ? REDACTED_SUFFIX : ''}`);
+
+  const save = (contentHash, { text, extractor, fileName, redacted = false }) =>
+    refOf(contentHash, redacted).set({
+      text,
+      extractor: extractor || 'N/A',
+      fileName: fileName || 'N/A',
+      characters: text.length,
+      redacted,
+      extractedAt: Date.now(),
+    });
+
+  // { text, extractor, fileName, characters, redacted, extractedAt } in the requested version, or null.
+  // Entries from before the versions were split hold whichever was stored last under the plain key.
+  const get = async (contentHash, { redacted = false } = {}) => {
+    if (!contentHash) return null;
+    const stored = (await refOf(contentHash, redacted).once('value')).val();
+    if (stored || !redacted) return stored && Boolean(stored.redacted) === redacted ? stored : null;
+    const legacy = (await refOf(contentHash, false).once('value')).val();
+    return legacy && legacy.redacted ? legacy : null;
+  };
+
+  // Every stored version of one file
+  const versions = async (contentHash) => {
+    const stored = await Promise.all([false, true].map(async (redacted) => (await refOf(contentHash, redacted).once('value')).val()));
+    return stored.filter(Boolean);
+  };
+
+  const remove = (contentHash) =>
+    database.ref(RESUME_TEXT_PATH).update({ [contentHash]: null, [`${contentHash}${REDACTED_SUFFIX}`]: null });
+
+  return { save, get, versions, remove };
+};
+
+module.exports = {
+  createResumeTextStore,
+};
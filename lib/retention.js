@@ -0,0 +1,119 @@
+const { PIPELINE_STAGES, stageOf } = require('./pipeline');
+const { toArray } = require('./storageBackend');
+
+const POLICIES_PATH = 'retention_policies';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RETENTION_DAYS = 3650;
+
+// { policy: { days, exemptStages } } or { error }. days is how long a candidate is kept after their last activity;
+// candidates in exempt_stages (comma-separated or an array) are kept however old they are.
+const parseRetentionPolicy = (body = {}) => {
+  const days = Number(body.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    return { error: `days must be a whole number from 1 to ${MAX_RETENTION_DAYS}.` };
+  }
+  const exemptStages = [...new Set((Array.isArray(body.exempt_stages) ? body.exempt_stages : String(body.exempt_stages || '').split(','))
+    .map((stage) => String(stage).trim())
+    .filter(Boolean))];
+  const unknown = exemptStages.filter((stage) => !PIPELINE_STAGES.includes(stage));
+  if (unknown.length > 0) {
+    return { error: `exempt_stages must be among ${PIPELINE_STAGES.join(', ')}; got ${unknown.join(', ')}.` };
+  }
+  return { policy: { days, exemptStages } };
+};
+
+// Latest upload or stage change; 0 when the record carries no dates at all
+const lastActivityAt = (candidate) => Math.max(
+  candidate.processedAt || 0,
+  candidate.stageUpdatedAt || 0,
+  ...toArray(candidate.applications).map((application) => application.appliedAt || 0)
+);
+
+// Retention Policy Store
+// retention_policies/<orgId> sits outside the organizations' own data so the sweep can find every policy with one read
+const createRetentionPolicyStore = (database) => {
+  const get = async (orgId) => {
+    const snapshot = await database.ref(`${POLICIES_PATH}/${orgId}`).once('value');
+    return snapshot.val();
+  };
+
+  const set = async (orgId, policy, actor) => {
+    const record = { ...policy, updatedAt: Date.now(), updatedBy: actor || null };
+    await database.ref(`${POLICIES_PATH}/${orgId}`).set(record);
+    return record;
+  };
+
+  const remove = (orgId) => database.ref(`${POLICIES_PATH}/${orgId}`).remove();
+
+  const list = async () => {
+    const snapshot = await database.ref(POLICIES_PATH).once('value');
+    return Object.entries(snapshot.val() || {}).map(([orgId, policy]) => ({ orgId, ...policy }));
+  };
+
+  return { get, set, remove, list };
+};
+
+// Retention Run
+// Finds the candidates and failure records older than the policy allows and, unless dryRun, erases them through the
+// data-subject service. Candidates without any dates are never purged and are only counted, so they can be checked by hand.
+const runRetention = async ({ candidates, failureStore, dataSubject, policy, dryRun = true, now = Date.now() }) => {
+  const cutoff = now - policy.days * DAY_MS;
+  const exemptStages = toArray(policy.exemptStages);
+  const stale = await candidates.listProcessedBefore(cutoff);
+  const expired = stale.filter((candidate) => {
+    const at = lastActivityAt(candidate);
+    return at > 0 && at <= cutoff && !exemptStages.includes(stageOf(candidate));
+  });
+  const failures = (await failureStore.listFailedBefore(cutoff)).filter((failure) => {
+    const at = failure.lastFailedAt || failure.timestamp || 0;
+    return at > 0 && at <= cutoff;
+  });
+
+  const report = {
+    dryRun,
+    policy: { days: policy.days, exemptStages },
+    cutoff,
+    candidates: expired.map((candidate) => ({
+      id: candidate.id,
+      name: candidate.name || null,
+      stage: stageOf(candidate),
+      lastActivityAt: lastActivityAt(candidate),
+    })),
+    failures: failures.map((failure) => ({
+      id: failure.id,
+      filename: failure.filename || null,
+      category: failure.category || 'unknown',
+      lastFailedAt: failure.lastFailedAt || failure.timestamp,
+    })),
+    undatedCandidates: stale.filter((candidate) => lastActivityAt(candidate) === 0).length,
+    candidatesErased: 0,
+    failuresRemoved: 0,
+    errors: [],
+  };
+  if (dryRun) return report;
+
+  for (const failure of failures) {
+    try {
+      await failureStore.remove(failure.id, failure);
+      report.failuresRemoved += 1;
+    } catch (error) {
+      report.errors.push({ failureId: failure.id, error: error.message });
+    }
+  }
+  for (const candidate of expired) {
+    try {
+      await dataSubject.erase(candidate, { actor: 'retention-policy', reason: 'retention' });
+      report.candidatesErased += 1;
+    } catch (error) {
+      report.errors.push({ candidateId: candidate.id, error: error.message });
+    }
+  }
+  return report;
+};
+
+module.exports = {
+  parseRetentionPolicy,
+  lastActivityAt,
+  createRetentionPolicyStore,
+  runRetention,
+};
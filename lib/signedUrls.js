@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+const toBase64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (value) => Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+// Signed Download Tokens
+// For blob stores that cannot sign URLs themselves (local and memory), the server hands out its own expiring links.
+// A token is the base64url JSON payload and its HMAC-SHA256, so nothing has to be stored to check it.
+// Without a secret a random one is used, and links stop working when the process restarts.
+const createUrlSigner = (secret = crypto.randomBytes(32)) => {
+  const mac = (payload) => toBase64Url(crypto.createHmac('sha256', secret).update(payload).digest());
+
+  // payload must be JSON-serializable; expiresAt is a millisecond timestamp
+  const sign = (payload, expiresAt) => {
+    const encoded = toBase64Url(Buffer.from(JSON.stringify({ ...payload, exp: expiresAt })));
+    return `${encoded}.${mac(encoded)}`;
+  };
+
+  // The payload when the token is authentic and unexpired, otherwise null
+  const verify = (token) => {
+    const [encoded, signature] = String(token || '').split('.');
+    if (!encoded || !signature) return null;
+    const expected = Buffer.from(mac(encoded));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    let payload;
+    try {
+      payload = JSON.parse(fromBase64Url(encoded).toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    return payload && Number.isFinite(payload.exp) && payload.exp > Date.now() ? payload : null;
+  };
+
+  return { sign, verify };
+};
+
+module.exports = {
+  createUrlSigner,
+};
@@ -0,0 +1,72 @@
+const path = require('path');
+const { createLocalDatabase } = require('./localDatabase');
+const { createBlobStore } = require('./blobStore');
+
+const STORAGE_BACKENDS = ['firebase', 'local', 'memory'];
+
+// Record Helpers
+// Firebase rejects undefined values anywhere in a record
+const withoutUndefined = (value) => JSON.parse(JSON.stringify(value));
+
+// Firebase returns arrays with sparse indexes as objects
+const toArray = (value) => (Array.isArray(value) ? value.filter(Boolean) : Object.values(value || {}));
+
+// Firebase Initialization
+// Returns firebase-admin with its app initialized. Throws when the credentials are not configured, so only the parts
+// that need Firebase (the firebase backend and ID token checks) fail without them.
+const initializeFirebase = () => {
+  const admin = require('firebase-admin');
+  if (admin.apps.length > 0) return admin;
+  if (!process.env.FIREBASE_SERVICE_ACCOUNT_BASE64 || !process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID || !process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET) {
+    throw new Error(
+      'FIREBASE_SERVICE_ACCOUNT_BASE64, NEXT_PUBLIC_FIREBASE_PROJECT_ID and NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET must be set in your .env file ' +
+      'for Admin SDK initialization. To run without Firebase, set STORAGE_BACKEND=local or memory and AUTH_DISABLED=true.'
+    );
+  }
+  const serviceAccount = JSON.parse(Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT_BASE64, 'base64').toString('utf8'));
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    storageBucket: 'jobform-automator-website.appspot.com',
+    databaseURL: 'https://jobform-automator-website-default-rtdb.firebaseio.com',
+  });
+  console.log('Firebase Admin SDK initialized successfully.');
+  return admin;
+};
+
+// Storage Backend
+// { name, database, blobStore } for STORAGE_BACKEND. Every store is written against the Realtime Database ref API and the
+// blob store interface in lib/blobStore.js, so they run unchanged on any backend:
+// firebase: the Realtime Database and the Cloud Storage bucket.
+// local: <dataDir>/database.json and files under <dataDir>/storage, for running on a laptop without Google credentials.
+// memory: nothing is written to disk and everything is lost on restart, for CI and tests.
+const createStorageBackend = (type, { dataDir }) => {
+  if (!STORAGE_BACKENDS.includes(type)) {
+    throw new Error(`Unknown STORAGE_BACKEND '${type}'. Supported backends: ${STORAGE_BACKENDS.join(', ')}.`);
+  }
+  if (type === 'local') {
+    console.log(`Using local storage backend in ${dataDir}`);
+    return {
+      name: 'local',
+      database: createLocalDatabase({ filePath: path.join(dataDir, 'database.json') }),
+      blobStore: createBlobStore('local', { directory: path.join(dataDir, 'storage') }),
+    };
+  }
+  if (type === 'memory') {
+    console.log('Using in-memory storage backend. Nothing is kept after a restart.');
+    return { name: 'memory', database: createLocalDatabase(), blobStore: createBlobStore('memory') };
+  }
+  const admin = initializeFirebase();
+  return {
+    name: 'firebase',
+    database: admin.database(),
+    blobStore: createBlobStore('firebase', { bucket: admin.storage().bucket() }),
+  };
+};
+
+module.exports = {
+  STORAGE_BACKENDS,
+  withoutUndefined,
+  toArray,
+  initializeFirebase,
+  createStorageBackend,
+};
@@ -0,0 +1,31 @@
+const ORGS_PATH = 'orgs';
+
+// Organization ids become Realtime Database keys and Storage path segments
+const ORG_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Where an organization's data lives. Everything is under orgs/<orgId>/ in the Realtime Database and in Storage,
+// except for legacyOrgId, which keeps the unprefixed paths written before organizations existed.
+const tenantPaths = (orgId, legacyOrgId) =>
+  legacyOrgId && orgId === legacyOrgId
+    ? { databaseRoot: '', storagePrefix: '' }
+    : { databaseRoot: `${ORGS_PATH}/${orgId}`, storagePrefix: `${ORGS_PATH}/${orgId}/` };
+
+// Realtime Database view rooted at a path: ref('talent_pool/x') resolves to <root>/talent_pool/x and ref() to the root.
+// Stores built on it need no knowledge of organizations.
+const scopeDatabase = (database, root) => ({
+  ref: (childPath) => {
+    if (!root) return childPath ? database.ref(childPath) : database.ref();
+    return database.ref(childPath ? `${root}/${childPath}` : root);
+  },
+});
+
+// Whether a Storage object belongs to the organization with this prefix; the unprefixed legacy tenant owns everything outside orgs/
+const isTenantStoragePath = (storagePrefix, storagePath) =>
+  storagePrefix ? storagePath.startsWith(storagePrefix) : !storagePath.startsWith(`${ORGS_PATH}/`);
+
+module.exports = {
+  ORG_ID_PATTERN,
+  tenantPaths,
+  scopeDatabase,
+  isTenantStoragePath,
+};
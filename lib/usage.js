@@ -0,0 +1,206 @@
+const { withoutUndefined } = require('./storageBackend');
+
+const EVENTS_PATH = 'usage_events';
+const TOTALS_PATH = 'usage_totals';
+
+const USAGE_PERIODS = ['daily', 'monthly'];
+const QUOTA_SCOPES = ['user', 'org'];
+// tokens counts input and output tokens together
+const QUOTA_METRICS = ['evaluations', 'llmCalls', 'tokens', 'extractions', 'adobeExtractions', 'adobePages'];
+
+// USAGE_QUOTAS is JSON keyed by scope, period and metric, e.g.
+// {"user":{"daily":{"evaluations":200}},"org":{"monthly":{"tokens":5000000,"adobePages":2000}}}
+// Unknown keys and non-positive limits are ignored; no quotas means usage is metered but never limited.
+const parseUsageQuotas = (value) => {
+  if (!value) return [];
+  let config;
+  try {
+    config = JSON.parse(value);
+  } catch (error) {
+    console.warn(`USAGE_QUOTAS is not valid JSON and is ignored: ${error.message}`);
+    return [];
+  }
+  const quotas = [];
+  for (const scope of QUOTA_SCOPES) {
+    for (const period of USAGE_PERIODS) {
+      const limits = (config && config[scope] && config[scope][period]) || {};
+      for (const metric of QUOTA_METRICS) {
+        const limit = Number(limits[metric]);
+        if (Number.isFinite(limit) && limit > 0) quotas.push({ scope, period, metric, limit: Math.floor(limit) });
+      }
+    }
+  }
+  return quotas;
+};
+
+const USAGE_QUOTAS = parseUsageQuotas(process.env.USAGE_QUOTAS);
+
+// Quota periods are UTC days and months
+const periodKeys = (at = Date.now()) => {
+  const iso = new Date(at).toISOString();
+  return { daily: iso.substring(0, 10), monthly: iso.substring(0, 7) };
+};
+
+const periodResetAt = (period, at = Date.now()) => {
+  const date = new Date(at);
+  return period === 'daily'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+};
+
+// Rough token count for providers that do not report usage, matching the prompt sizing in evaluateResume
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const count = (value) => (Number.isFinite(value) && value > 0 ? Math.round(value) : 0);
+
+// Counter increments for one event. Extraction events: { kind: 'extraction', extractor, pages, characters, latencyMs }.
+// LLM events: { kind: 'llm', provider, model, inputTokens, outputTokens, latencyMs, evaluation } where evaluation marks
+// the first call for a resume, so repair calls count as calls but not as extra evaluations.
+const usageIncrements = (event) => {
+  if (event.kind === 'extraction') {
+    const extractor = event.extractor || 'unknown';
+    const adobe = extractor === 'adobe';
+    return {
+      extractions: 1,
+      pages: count(event.pages),
+      characters: count(event.characters),
+      extractionMs: count(event.latencyMs),
+      adobeExtractions: adobe ? 1 : 0,
+      adobePages: adobe ? count(event.pages) : 0,
+      [`byExtractor/${extractor}/extractions`]: 1,
+      [`byExtractor/${extractor}/pages`]: count(event.pages),
+    };
+  }
+  const provider = event.provider || 'unknown';
+  return {
+    evaluations: event.evaluation ? 1 : 0,
+    llmCalls: 1,
+    inputTokens: count(event.inputTokens),
+    outputTokens: count(event.outputTokens),
+    llmMs: count(event.latencyMs),
+    [`byProvider/${provider}/calls`]: 1,
+    [`byProvider/${provider}/inputTokens`]: count(event.inputTokens),
+    [`byProvider/${provider}/outputTokens`]: count(event.outputTokens),
+  };
+};
+
+const addIncrements = (totals, increments) => {
+  const result = totals || {};
+  for (const [key, amount] of Object.entries(increments)) {
+    if (!amount) continue;
+    const segments = key.split('/');
+    const parent = segments.slice(0, -1).reduce((node, segment) => {
+      node[segment] = node[segment] || {};
+      return node[segment];
+    }, result);
+    const leaf = segments[segments.length - 1];
+    parent[leaf] = (parent[leaf] || 0) + amount;
+  }
+  return result;
+};
+
+const metricValue = (totals, metric) =>
+  metric === 'tokens' ? (totals.inputTokens || 0) + (totals.outputTokens || 0) : totals[metric] || 0;
+
+// Usage Metering
+// Every extraction and LLM call is kept under usage_events, and per-day and per-month counters are kept for the
+// organization and each of its users under usage_totals/<daily|monthly>/<period>/{org,users/<uid>}.
+// check() compares the counters with the configured quotas before more work is accepted.
+const createUsageMeter = ({ database, quotas = USAGE_QUOTAS }) => {
+  const totalsRef = (period, key, uid) =>
+    database.ref(uid ? `${TOTALS_PATH}/${period}/${key}/users/${uid}` : `${TOTALS_PATH}/${period}/${key}/org`);
+
+  const record = async (uid, event) => {
+    const at = Date.now();
+    const keys = periodKeys(at);
+    const increments = usageIncrements(event);
+    const entry = withoutUndefined({ ...event, uid: uid || null, at });
+    await database.ref(EVENTS_PATH).push(entry);
+    const targets = USAGE_PERIODS.flatMap((period) => [
+      totalsRef(period, keys[period]),
+      ...(uid ? [totalsRef(period, keys[period], uid)] : []),
+    ]);
+    await Promise.all(targets.map((ref) => ref.transaction((current) => addIncrements(current, increments))));
+  };
+
+  const readTotals = async (period, key, uid) => (await totalsRef(period, key, uid).once('value')).val() || {};
+
+  // Quotas that apply to metrics (all configured quotas when omitted), with current use
+  const quotaStatus = async (uid, metrics, at = Date.now()) => {
+    const keys = periodKeys(at);
+    const relevant = quotas.filter((quota) => (!metrics || metrics.includes(quota.metric)) && (quota.scope === 'org' || uid));
+    const cache = new Map();
+    const totalsFor = (scope, period) => {
+      const cacheKey = `${scope}:${period}`;
+      if (!cache.has(cacheKey)) cache.set(cacheKey, readTotals(period, keys[period], scope === 'user' ? uid : null));
+      return cache.get(cacheKey);
+    };
+    return Promise.all(relevant.map(async (quota) => {
+      const used = metricValue(await totalsFor(quota.scope, quota.period), quota.metric);
+      return { ...quota, used, remaining: Math.max(0, quota.limit - used), resetAt: periodResetAt(quota.period, at) };
+    }));
+  };
+
+  // null while within quota, otherwise { status, error, quota }. An exhausted monthly quota is reported before a daily one,
+  // as 402 since it needs a plan change, while a daily quota is 429 and clears at the next UTC midnight.
+  const check = async (uid, metrics) => {
+    if (quotas.length === 0) return null;
+    const exceeded = (await quotaStatus(uid, metrics))
+      .filter((quota) => quota.used >= quota.limit)
+      .sort((a, b) => (a.period === b.period ? 0 : a.period === 'monthly' ? -1 : 1));
+    if (exceeded.length === 0) return null;
+    const quota = exceeded[0];
+    const owner = quota.scope === 'user' ? 'your account' : 'your organization';
+    const resets = new Date(quota.resetAt).toISOString();
+    return quota.period === 'monthly'
+      ? {
+        status: 402,
+        error: `The monthly ${quota.metric} quota of ${quota.limit} for ${owner} is used up. Upgrade the plan or wait until ${resets}.`,
+        quota,
+      }
+      : {
+        status: 429,
+        error: `The daily ${quota.metric} quota of ${quota.limit} for ${owner} is used up. It resets at ${resets}.`,
+        quota,
+      };
+  };
+
+  // Usage for the billing page: the user's and the organization's totals for a day and a month, the user's daily
+  // breakdown within that month, and the quotas with what is left of them
+  const summary = async (uid, { month } = {}) => {
+    const keys = periodKeys();
+    const monthKey = month || keys.monthly;
+    const current = monthKey === keys.monthly;
+    const dailySnapshot = await database.ref(`${TOTALS_PATH}/daily`).orderByKey().startAt(`${monthKey}-01`).endAt(`${monthKey}-31`).once('value');
+    const days = Object.entries(dailySnapshot.val() || {})
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([day, totals]) => ({ day, user: (totals.users && totals.users[uid]) || {}, org: totals.org || {} }));
+    const today = days.find((entry) => entry.day === keys.daily);
+    return {
+      month: monthKey,
+      day: current ? keys.daily : null,
+      user: {
+        daily: current && today ? today.user : {},
+        monthly: await readTotals('monthly', monthKey, uid),
+      },
+      org: {
+        daily: current && today ? today.org : {},
+        monthly: await readTotals('monthly', monthKey),
+      },
+      history: days.map(({ day, user }) => ({ day, ...user })),
+      quotas: current ? await quotaStatus(uid) : [],
+    };
+  };
+
+  return { record, check, quotaStatus, summary };
+};
+
+module.exports = {
+  USAGE_PERIODS,
+  QUOTA_METRICS,
+  parseUsageQuotas,
+  periodKeys,
+  estimateTokens,
+  usageIncrements,
+  createUsageMeter,
+};
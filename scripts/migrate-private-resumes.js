@@ -0,0 +1,59 @@
+// Make resumes uploaded as public objects private and replace their public URLs with the resume endpoint.
+// Usage: npm run migrate:private-resumes -- [--dry-run] [--org=orgA,orgB]
+// Without --org every organization named in users/ is migrated, plus LEGACY_ORG_ID. Uses the same STORAGE_BACKEND,
+// DATA_DIR and Firebase settings as the server.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createStorageBackend } = require('../lib/storageBackend');
+const { tenantPaths, scopeDatabase, ORG_ID_PATTERN } = require('../lib/tenants');
+const { createCandidateRepository } = require('../lib/candidates');
+const { migratePrivateResumes } = require('../lib/resumeMigration');
+
+const parseArgs = (argv) => {
+  const orgArg = argv.find((arg) => arg.startsWith('--org='));
+  return {
+    dryRun: argv.includes('--dry-run'),
+    orgIds: orgArg ? orgArg.substring('--org='.length).split(',').map((id) => id.trim()).filter(Boolean) : null,
+  };
+};
+
+// Organizations that have members, and the legacy organization holding the data from before organizations existed
+const listOrgIds = async (database) => {
+  const snapshot = await database.ref('users').once('value');
+  const orgIds = new Set(Object.values(snapshot.val() || {}).map((profile) => profile && profile.orgId));
+  if (process.env.LEGACY_ORG_ID) orgIds.add(process.env.LEGACY_ORG_ID);
+  return [...orgIds].filter((orgId) => typeof orgId === 'string' && ORG_ID_PATTERN.test(orgId));
+};
+
+const main = async () => {
+  const { dryRun, orgIds: requestedOrgIds } = parseArgs(process.argv.slice(2));
+  const { name, database, blobStore } = createStorageBackend(process.env.STORAGE_BACKEND || 'firebase', {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+  });
+  const orgIds = requestedOrgIds || (await listOrgIds(database));
+  const invalid = orgIds.filter((orgId) => !ORG_ID_PATTERN.test(orgId));
+  if (invalid.length > 0) throw new Error(`Invalid organization id(s): ${invalid.join(', ')}`);
+  console.log(`${dryRun ? 'Dry run: checking' : 'Migrating'} resumes of ${orgIds.length} organization(s) on the ${name} backend`);
+
+  let failed = false;
+  for (const orgId of orgIds) {
+    const { databaseRoot, storagePrefix } = tenantPaths(orgId, process.env.LEGACY_ORG_ID);
+    const report = await migratePrivateResumes({
+      candidates: createCandidateRepository(scopeDatabase(database, databaseRoot)),
+      blobStore,
+      storagePrefix,
+      dryRun,
+    });
+    console.log(`Organization ${orgId}: ${JSON.stringify(report, null, 2)}`);
+    if (report.errors.length > 0) failed = true;
+  }
+  if (database.flush) await database.flush();
+  return failed ? 1 : 0;
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('Resume migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request } = require('./helpers');
+
+// Read when index.js is loaded
+process.env.API_KEY_ENCRYPTION_KEY = 'a'.repeat(64);
+const { providers } = require('../lib/llmProviders');
+
+test('a stored key is tested by the mock provider standing in for the real one', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const validateKey = providers.mock.validateKey;
+  t.after(() => {
+    providers.mock.validateKey = validateKey;
+  });
+  const checked = [];
+  providers.mock.validateKey = async (options) => {
+    checked.push(options.apiKey);
+    return validateKey(options);
+  };
+
+  assert.equal((await request(server.baseUrl, 'POST', '/api-keys', { provider: 'openai', api_key: 'sk-test-key-0001' })).status, 201);
+  const { status, body } = await request(server.baseUrl, 'POST', '/api-keys/openai/test', {});
+  assert.equal(status, 200);
+  assert.equal(body.valid, true);
+  assert.deepEqual(checked, ['sk-test-key-0001']);
+
+  providers.mock.validateKey = async () => {
+    throw Object.assign(new Error('401 Incorrect API key sk-test-key-0001'), { status: 401 });
+  };
+  const { body: rejected } = await request(server.baseUrl, 'POST', '/api-keys/openai/test', {});
+  assert.equal(rejected.valid, false);
+  assert.doesNotMatch(rejected.message, /sk-test-key-0001/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, uploadResume, resumeText } = require('./helpers');
+const { maskedProfile, revealedProfile } = require('../lib/blindScreening');
+
+test('maskedProfile hides every identifying field behind a stable alias', () => {
+  const masked = maskedProfile('3f2a9c10-0000-4000-8000-000000000000', 'jane-doe.pdf');
+  assert.equal(masked.name, maskedProfile('3f2a9c10-0000-4000-8000-000000000000', 'other.pdf').name);
+  assert.doesNotMatch(JSON.stringify(masked), /jane/i);
+  assert.equal(masked.contactConfidence, null);
+});
+
+test('revealedProfile restores the sealed identity', () => {
+  const profile = revealedProfile({ name: 'Jane Doe', email: 'jane@example.com', phone: '+14155552671', links: ['https://github.com/janedoe'] });
+  assert.equal(profile.name, 'Jane Doe');
+  assert.equal(profile.email, 'jane@example.com');
+  assert.equal(profile.links.github, 'https://github.com/janedoe');
+});
+
+test('a blind candidate stays anonymous until revealed', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const text = resumeText({ name: 'Jane Doe', email: 'jane.blind@example.com', phone: '+1 646 555 0147' });
+  const { status, body } = await uploadResume(server.baseUrl, text, { fileName: 'Jane_Doe_CV.txt', fields: { blind_screening: 'true' } });
+  assert.equal(status, 200);
+  const { id } = body.candidate;
+  assert.equal(body.candidate.blind.active, true);
+  assert.doesNotMatch(JSON.stringify(body.candidate), /jane|646 555/i);
+
+  await t.test('the original file cannot be downloaded', async () => {
+    assert.equal((await request(server.baseUrl, 'GET', `/candidates/${id}/resume`)).status, 403);
+  });
+
+  await t.test('the redaction audit lists what was hidden without showing it', async () => {
+    const { body: audit } = await request(server.baseUrl, 'GET', `/candidates/${id}/redactions`);
+    assert.equal(audit.blind, true);
+    assert.ok(audit.redactions[0].counts.email >= 1);
+    assert.doesNotMatch(JSON.stringify(audit), /jane\.blind@example\.com/);
+  });
+
+  await t.test('a re-upload of the same person is matched on the sealed identity', async () => {
+    const again = await uploadResume(server.baseUrl, resumeText({ name: 'Jane Doe', email: 'jane.blind@example.com', summary: 'Now also Go.' }), {
+      fileName: 'Jane_Doe_CV_2.txt',
+      fields: { blind_screening: 'true' },
+    });
+    assert.equal(again.body.candidate.id, id);
+    assert.equal(again.body.candidate.duplicate.matchedOn, 'email');
+  });
+
+  await t.test('the original and the masked text of the file are stored side by side', async () => {
+    const candidate = await server.tenant.candidates.get(id);
+    const original = await server.tenant.resumeTextStore.get(candidate.resumeTextHash);
+    const masked = await server.tenant.resumeTextStore.get(candidate.resumeTextHash, { redacted: true });
+    assert.match(original.text, /jane\.blind@example\.com/);
+    assert.equal(masked.redacted, true);
+    assert.doesNotMatch(masked.text, /jane\.blind@example\.com/);
+  });
+
+  await t.test('reveal restores the identity and records who asked', async () => {
+    const revealed = await request(server.baseUrl, 'POST', `/candidates/${id}/reveal`, { reason: 'Invited to interview' });
+    assert.equal(revealed.status, 200);
+    assert.equal(revealed.body.candidate.name, 'Jane Doe');
+    assert.equal(revealed.body.candidate.email, 'jane.blind@example.com');
+    assert.equal(revealed.body.candidate.blind.active, false);
+    assert.equal(revealed.body.candidate.blind.revealReason, 'Invited to interview');
+
+    const { body: audit } = await request(server.baseUrl, 'GET', `/candidates/${id}/redactions`);
+    assert.equal(audit.reveals.length, 1);
+    assert.equal((await request(server.baseUrl, 'POST', `/candidates/${id}/reveal`, {})).status, 409);
+    assert.equal((await request(server.baseUrl, 'GET', `/candidates/${id}/resume`)).status, 200);
+  });
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { startServer, request, uploadResume, waitForJob, resumeText } = require('./helpers');
+const { parseRetentionPolicy, lastActivityAt, runRetention } = require('../lib/retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const submitJob = async (baseUrl, files) => {
+  const form = new FormData();
+  for (const [fileName, text] of Object.entries(files)) form.append('files', new Blob([text], { type: 'text/plain' }), fileName);
+  for (const [name, value] of Object.entries({ provider: 'mock', jd: 'Node.js engineer', rs: 'TypeScript' })) form.append(name, value);
+  const response = await fetch(`${baseUrl}/jobs`, { method: 'POST', body: form });
+  const { jobId } = await response.json();
+  return waitForJob(baseUrl, jobId);
+};
+
+test('parseRetentionPolicy accepts whole days and known exempt stages', () => {
+  assert.deepEqual(parseRetentionPolicy({ days: 180, exempt_stages: 'offer, interview' }).policy, { days: 180, exemptStages: ['offer', 'interview'] });
+  assert.ok(parseRetentionPolicy({ days: 0 }).error);
+  assert.ok(parseRetentionPolicy({ days: 1.5 }).error);
+  assert.ok(parseRetentionPolicy({ days: 30, exempt_stages: ['hired'] }).error);
+});
+
+test('lastActivityAt is the latest upload or stage change', () => {
+  assert.equal(lastActivityAt({ processedAt: 100, stageUpdatedAt: 300, applications: [{ appliedAt: 200 }] }), 300);
+  assert.equal(lastActivityAt({}), 0);
+});
+
+test('erasing a candidate removes them everywhere, including finished job results', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const job = await submitJob(server.baseUrl, {
+    'erase-me.txt': resumeText({ name: 'Erin Ease', email: 'erin@example.com', phone: '+44 20 7946 0018' }),
+    'keep-me.txt': resumeText({ name: 'Kim Keep', email: 'kim@example.com', phone: '+44 20 7946 0019' }),
+  });
+  assert.equal(job.status, 'completed');
+  const erased = job.candidates.find((candidate) => candidate.email === 'erin@example.com');
+  const kept = job.candidates.find((candidate) => candidate.email === 'kim@example.com');
+
+  const exported = await request(server.baseUrl, 'GET', `/candidates/${erased.id}/export`);
+  assert.equal(exported.status, 200);
+  assert.equal(exported.body.candidate.email, 'erin@example.com');
+  assert.equal(exported.body.files.length, 1);
+
+  const { status, body } = await request(server.baseUrl, 'DELETE', `/candidates/${erased.id}`);
+  assert.equal(status, 200);
+  assert.equal(body.erasure.removed.files, 1);
+  assert.equal(body.erasure.removed.jobResults, 1);
+
+  assert.equal((await request(server.baseUrl, 'GET', `/candidates/${erased.id}/export`)).status, 404);
+  const { body: after } = await request(server.baseUrl, 'GET', `/jobs/${job.id}`);
+  assert.deepEqual(after.job.candidates.map((candidate) => candidate.id), [kept.id]);
+  assert.equal(JSON.stringify(after.job).includes('erin'), false);
+  assert.ok(after.job.files.some((file) => file.erased));
+  assert.equal(await server.tenant.candidateIndex.findByIdentity({ email: 'erin@example.com' }), null);
+});
+
+test('an export returns resume text and files byte for byte, even where they look like credentials', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const { storageBackend } = require('../index');
+  const text = `${resumeText({ email: 'exact@example.com', phone: '+1 206 555 0131' })}\nPortfolio: https://x.example/?key=abc`;
+  const { body: uploaded } = await uploadResume(server.baseUrl, text, { fileName: 'exact.txt' });
+  const { id } = uploaded.candidate;
+
+  // Replace the stored file with binary content whose base64 contains a Google key format
+  const content = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.from([0x00, 0xff, 0xfe]), Buffer.from(`AIza${'x'.repeat(36)}`, 'base64')]);
+  const localPath = path.join(os.tmpdir(), `export-${id}.pdf`);
+  await fs.writeFile(localPath, content);
+  t.after(() => fs.rm(localPath, { force: true }));
+  const candidate = await server.tenant.candidates.get(id);
+  await storageBackend.blobStore.upload(localPath, candidate.resumePath, { contentType: 'application/pdf' });
+
+  const { status, body } = await request(server.baseUrl, 'GET', `/candidates/${id}/export`);
+  assert.equal(status, 200);
+  assert.equal(body.resumeTexts[0].text, text);
+  assert.ok(Buffer.from(body.files[0].contentBase64, 'base64').equals(content));
+});
+
+test('the retention run erases candidates past the policy unless their stage is exempt', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const { body: stale } = await uploadResume(server.baseUrl, resumeText({ email: 'stale@example.com', phone: '+1 312 555 0101' }), { fileName: 'stale.txt' });
+  const { body: offered } = await uploadResume(server.baseUrl, resumeText({ email: 'offered@example.com', phone: '+1 312 555 0102' }), { fileName: 'offered.txt' });
+  for (const stage of ['shortlisted', 'interview', 'offer']) {
+    await request(server.baseUrl, 'POST', `/candidates/${offered.candidate.id}/stage`, { stage });
+  }
+  const policy = { days: 30, exemptStages: ['offer'] };
+  const now = Date.now() + 31 * DAY_MS;
+
+  // The server is shared with the other tests in this file, so their candidates are past the cutoff as well
+  const dryRun = await runRetention({ ...server.tenant, policy, now });
+  const expired = dryRun.candidates.map((candidate) => candidate.id);
+  assert.ok(expired.includes(stale.candidate.id));
+  assert.ok(!expired.includes(offered.candidate.id));
+  assert.equal(dryRun.candidatesErased, 0);
+  assert.equal((await request(server.baseUrl, 'GET', `/candidates/${stale.candidate.id}/export`)).status, 200);
+
+  const report = await runRetention({ ...server.tenant, policy, now, dryRun: false });
+  assert.equal(report.candidatesErased, expired.length);
+  assert.deepEqual(report.errors, []);
+  assert.equal((await request(server.baseUrl, 'GET', `/candidates/${stale.candidate.id}/export`)).status, 404);
+  assert.equal((await request(server.baseUrl, 'GET', `/candidates/${offered.candidate.id}/export`)).status, 200);
+
+  const saved = await request(server.baseUrl, 'PUT', '/retention-policy', { days: 30, exempt_stages: ['offer'] });
+  assert.equal(saved.status, 200);
+  const { body } = await request(server.baseUrl, 'POST', '/retention-policy/run', {});
+  assert.equal(body.report.dryRun, true);
+  assert.deepEqual(body.report.candidates, []);
+});
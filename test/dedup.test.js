@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, uploadResume, resumeText } = require('./helpers');
+const { normalizeEmailKey, normalizePhoneKey, indexKeysOf, createCandidateIndex } = require('../lib/dedup');
+const { createLocalDatabase } = require('../lib/localDatabase');
+
+test('contact details are normalized before they are compared', () => {
+  assert.equal(normalizeEmailKey('  Jane.Doe@Example.COM '), 'jane.doe@example.com');
+  assert.equal(normalizeEmailKey('N/A'), null);
+  assert.equal(normalizePhoneKey('+1 (415) 555-2671'), normalizePhoneKey('415.555.2671'));
+  assert.equal(normalizePhoneKey('12-34'), null);
+});
+
+test('the candidate index removes the entries a record was indexed under, not its current contact details', async () => {
+  const candidateIndex = createCandidateIndex(createLocalDatabase());
+  // A blind record is indexed under its sealed identity while its own email and phone are masked
+  const record = { id: 'c1', email: 'Email Not Found', phone: 'N/A', contentHashes: ['hash-1'], indexKeys: indexKeysOf({ email: 'jane@example.com', phone: '+1 415 555 2671' }, 'hash-1') };
+  await candidateIndex.index(record);
+  assert.deepEqual(await candidateIndex.findByIdentity({ email: 'JANE@example.com' }), { candidateId: 'c1', matchedOn: 'email' });
+  assert.deepEqual(await candidateIndex.findByIdentity({ phone: '(415) 555-2671' }), { candidateId: 'c1', matchedOn: 'phone' });
+
+  // Entries that another candidate has taken over since are left alone
+  await candidateIndex.index({ id: 'c2', indexKeys: indexKeysOf({ phone: '+1 415 555 2671' }) });
+  assert.equal(await candidateIndex.remove(record), 2);
+  assert.equal(await candidateIndex.findByContentHash('hash-1'), null);
+  assert.equal(await candidateIndex.findByIdentity({ email: 'jane@example.com' }), null);
+  assert.deepEqual(await candidateIndex.findByIdentity({ phone: '415 555 2671' }), { candidateId: 'c2', matchedOn: 'phone' });
+});
+
+test('uploads of the same person are merged into one candidate', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const text = resumeText({ email: 'dedup@example.com', phone: '+1 212 555 0199' });
+  const first = await uploadResume(server.baseUrl, text);
+  assert.equal(first.status, 200);
+  const { id } = first.body.candidate;
+
+  await t.test('the same file for the same JD and RS reuses the stored result', async () => {
+    const { status, body } = await uploadResume(server.baseUrl, text);
+    assert.equal(status, 200);
+    assert.deepEqual(body.candidate.duplicate, { candidateId: id, matchedOn: 'content', reused: true });
+  });
+
+  await t.test('another resume with the same email becomes a second application', async () => {
+    const updated = resumeText({ email: 'DEDUP@example.com', phone: 'N/A', summary: 'Node.js and TypeScript engineer, 7 years.' });
+    const { status, body } = await uploadResume(server.baseUrl, updated, { fileName: 'resume-2024.txt' });
+    assert.equal(status, 200);
+    assert.equal(body.candidate.id, id);
+    assert.equal(body.candidate.duplicate.matchedOn, 'email');
+    assert.equal(body.candidate.applications.length, 2);
+    assert.equal(body.candidate.contentHashes.length, 2);
+  });
+
+  await t.test('erasing the candidate clears every index entry it was stored under', async () => {
+    const { body } = await request(server.baseUrl, 'DELETE', `/candidates/${id}`);
+    assert.equal(body.erasure.removed.indexEntries, 4);
+    const again = await uploadResume(server.baseUrl, text);
+    assert.notEqual(again.body.candidate.id, id);
+    assert.equal(again.body.candidate.duplicate, undefined);
+  });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, uploadResume, resumeText } = require('./helpers');
+const { validateEvaluation } = require('../lib/evaluationSchema');
+const { providers } = require('../lib/llmProviders');
+
+const evaluation = (overrides = {}) => ({
+  name: 'Jane Doe',
+  email: 'jane.doe@example.com',
+  score: 80,
+  jdScore: 85,
+  rsScore: 75,
+  parsedText: 'Strong match.',
+  skills: ['node.js'],
+  experienceYears: 6,
+  jobTitle: 'Senior Engineer',
+  education: 'BSc',
+  ...overrides,
+});
+
+test('validateEvaluation coerces loose but unambiguous values', () => {
+  const { value, errors } = validateEvaluation(evaluation({
+    score: '80%',
+    experienceYears: '6',
+    skills: 'node.js',
+    requirements: [{ source: 'jd', requirement: 'Node.js', status: 'Partially Met' }],
+  }));
+  assert.deepEqual(errors, []);
+  assert.equal(value.score, 80);
+  assert.equal(value.experienceYears, 6);
+  assert.deepEqual(value.skills, ['node.js']);
+  assert.equal(value.requirements[0].source, 'JD');
+  assert.equal(value.requirements[0].status, 'partially_met');
+});
+
+test('validateEvaluation reports missing fields and out-of-range scores instead of defaulting them', () => {
+  const output = evaluation({ jdScore: 140 });
+  delete output.email;
+  const { errors } = validateEvaluation(output);
+  assert.deepEqual(errors.map((error) => error.path).sort(), ['$.email', '$.jdScore']);
+});
+
+test('output that fails the schema is sent back once for repair', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const generate = providers.mock.generate;
+  t.after(() => {
+    providers.mock.generate = generate;
+  });
+  const prompts = [];
+
+  await t.test('a repaired response is saved', async () => {
+    prompts.length = 0;
+    providers.mock.generate = async (options) => {
+      prompts.push(options.prompt);
+      const output = await generate(options);
+      return prompts.length === 1 ? JSON.stringify({ ...JSON.parse(output), jdScore: 'very high' }) : output;
+    };
+    const { status, body } = await uploadResume(server.baseUrl, resumeText({ email: 'repaired@example.com' }));
+    assert.equal(status, 200);
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /\$\.jdScore: expected number, got string 'very high'/);
+    assert.equal(typeof body.candidate.jdScore, 'number');
+  });
+
+  await t.test('a response that is still invalid after repair is recorded as a failure', async () => {
+    prompts.length = 0;
+    providers.mock.generate = async (options) => {
+      prompts.push(options.prompt);
+      return JSON.stringify({ ...JSON.parse(await generate(options)), score: 'n/a' });
+    };
+    const { status, body } = await uploadResume(server.baseUrl, resumeText({ email: 'broken@example.com' }), { fileName: 'broken.txt' });
+    assert.notEqual(status, 200);
+    assert.equal(body.success, false);
+    assert.equal(prompts.length, 2);
+    const failures = await request(server.baseUrl, 'GET', '/failures');
+    assert.ok(failures.body.failures.some((failure) => failure.filename === 'broken.txt' && failure.category === 'schema_validation'));
+  });
+});
@@ -0,0 +1,60 @@
+const { once } = require('events');
+const { setTimeout: delay } = require('timers/promises');
+const { ACTIVE_STATUSES } = require('../lib/jobs');
+
+// Test Server
+// The HTTP tests run the real app on the in-memory backend, as one local user with the mock provider, so they need no
+// credentials or network. Each test file runs in its own process and may set more env before calling startServer.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.AUTH_DISABLED = 'true';
+process.env.NODE_ENV = 'test';
+
+const startServer = async () => {
+  const { app, getTenant } = require('../index');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise((resolve) => server.close(resolve));
+  return { baseUrl, getTenant, tenant: getTenant(process.env.DEFAULT_ORG_ID || 'local'), close };
+};
+
+// { status, body } for a JSON endpoint
+const request = async (baseUrl, method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Uploads one plain-text resume to POST /parse-resumes and scores it with the mock provider
+const uploadResume = async (baseUrl, text, { fileName = 'resume.txt', fields = {} } = {}) => {
+  const form = new FormData();
+  form.append('file', new Blob([text], { type: 'text/plain' }), fileName);
+  const values = { provider: 'mock', jd: 'Node.js engineer with Express and PostgreSQL', rs: 'Prefers TypeScript', ...fields };
+  for (const [name, value] of Object.entries(values)) form.append(name, String(value));
+  const response = await fetch(`${baseUrl}/parse-resumes`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+};
+
+// The job once it has left the active statuses
+const waitForJob = async (baseUrl, jobId) => {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const { body } = await request(baseUrl, 'GET', `/jobs/${jobId}`);
+    if (!ACTIVE_STATUSES.includes(body.job.status)) return body.job;
+    await delay(100);
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+};
+
+const resumeText = ({ name = 'Jane Doe', email = 'jane.doe@example.com', phone = '+1 415 555 2671', summary = 'Node.js engineer, 6 years with Express and PostgreSQL.' } = {}) =>
+  [name, email, phone, 'San Francisco, CA', '', 'Summary', summary, '', 'Experience', 'Acme Corp, Senior Engineer, 2019 - present'].join('\n');
+
+module.exports = {
+  startServer,
+  request,
+  uploadResume,
+  waitForJob,
+  resumeText,
+};
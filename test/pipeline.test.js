@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, uploadResume, resumeText } = require('./helpers');
+const { canTransition, createPipeline } = require('../lib/pipeline');
+const { createLocalDatabase } = require('../lib/localDatabase');
+
+// Transactions the way Firebase runs them: the first call gets the locally cached value, usually null, and a write
+// made against a stale value is rejected and retried with the value on the server
+const withColdCache = (database) => ({
+  ...database,
+  ref: (refPath) => {
+    const reference = database.ref(refPath);
+    return {
+      ...reference,
+      transaction: async (update) => {
+        if (update(null) === undefined) return { committed: false, snapshot: await reference.once('value') };
+        return reference.transaction(update);
+      },
+    };
+  },
+});
+
+const seed = async (database, stage) => {
+  await database.ref('talent_pool/c1').set({ id: 'c1', name: 'Jane Doe', ...(stage ? { stage } : {}) });
+  return createPipeline(database);
+};
+
+test('canTransition follows STAGE_TRANSITIONS', () => {
+  assert.equal(canTransition('new', 'screened'), true);
+  assert.equal(canTransition('new', 'offer'), false);
+  assert.equal(canTransition('rejected', 'new'), true);
+  assert.equal(canTransition('offer', 'offer'), false);
+});
+
+test('transition moves a candidate and records the move', async () => {
+  const database = createLocalDatabase();
+  const pipeline = await seed(database);
+  const result = await pipeline.transition('c1', { to: 'screened', actor: 'recruiter', note: 'phone screen booked' });
+  assert.equal(result.from, 'new');
+  assert.equal(result.to, 'screened');
+  const stored = (await database.ref('talent_pool/c1').once('value')).val();
+  assert.equal(stored.stage, 'screened');
+  assert.equal(stored.approved, false);
+  const history = await pipeline.history('c1');
+  assert.deepEqual(history.map(({ from, to, note }) => ({ from, to, note })), [{ from: 'new', to: 'screened', note: 'phone screen booked' }]);
+});
+
+test('transition refuses unknown stages, illegal moves and missing candidates', async () => {
+  const pipeline = await seed(createLocalDatabase(), 'screened');
+  assert.equal((await pipeline.transition('c1', { to: 'hired', actor: 'recruiter' })).status, 400);
+  assert.equal((await pipeline.transition('c1', { to: 'offer', actor: 'recruiter' })).status, 409);
+  assert.equal((await pipeline.transition('c1', { to: 'screened', actor: 'recruiter' })).status, 409);
+  assert.equal((await pipeline.transition('missing', { to: 'screened', actor: 'recruiter' })).status, 404);
+});
+
+test('transition out of a later stage commits when the transaction first sees a cold cache', async () => {
+  const database = withColdCache(createLocalDatabase());
+  const pipeline = await seed(database, 'shortlisted');
+  const result = await pipeline.transition('c1', { to: 'interview', actor: 'recruiter' });
+  assert.equal(result.error, undefined);
+  assert.equal((await database.ref('talent_pool/c1/stage').once('value')).val(), 'interview');
+  assert.equal((await database.ref('talent_pool/c1/approved').once('value')).val(), true);
+});
+
+test('transition fails when someone else moved the candidate after it was read', async () => {
+  const database = createLocalDatabase();
+  const pipeline = await seed(database, 'screened');
+  const raced = {
+    ...database,
+    ref: (refPath) => {
+      const reference = database.ref(refPath);
+      if (refPath !== 'talent_pool/c1') return reference;
+      return {
+        ...reference,
+        transaction: async (update) => {
+          await reference.child('stage').set('rejected');
+          return reference.transaction(update);
+        },
+      };
+    },
+  };
+  const result = await createPipeline(raced).transition('c1', { to: 'shortlisted', actor: 'recruiter' });
+  assert.equal(result.status, 409);
+  assert.equal((await database.ref('talent_pool/c1/stage').once('value')).val(), 'rejected');
+  assert.deepEqual(await pipeline.history('c1'), []);
+});
+
+test('transition does not recreate a candidate erased after it was read', async () => {
+  const database = createLocalDatabase();
+  const pipeline = await seed(database, 'screened');
+  const erased = withColdCache({
+    ...database,
+    ref: (refPath) => {
+      const reference = database.ref(refPath);
+      if (refPath !== 'talent_pool/c1') return reference;
+      return {
+        ...reference,
+        transaction: async (update) => {
+          await reference.remove();
+          return reference.transaction(update);
+        },
+      };
+    },
+  });
+  const result = await createPipeline(erased).transition('c1', { to: 'shortlisted', actor: 'recruiter' });
+  assert.equal(result.status, 404);
+  assert.equal((await database.ref('talent_pool/c1').once('value')).exists(), false);
+  assert.deepEqual(await pipeline.history('c1'), []);
+});
+
+test('POST /candidates/:id/stage moves an uploaded candidate through the pipeline', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const { body: uploaded } = await uploadResume(server.baseUrl, resumeText({ email: 'pipeline@example.com' }));
+  const { id } = uploaded.candidate;
+
+  for (const stage of ['shortlisted', 'interview', 'offer']) {
+    const { status, body } = await request(server.baseUrl, 'POST', `/candidates/${id}/stage`, { stage });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.stage, stage);
+  }
+  const refused = await request(server.baseUrl, 'POST', `/candidates/${id}/stage`, { stage: 'screened' });
+  assert.equal(refused.status, 409);
+
+  const { body } = await request(server.baseUrl, 'GET', `/candidates/${id}/history`);
+  assert.deepEqual(body.history.map((entry) => entry.to), ['shortlisted', 'interview', 'offer']);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const { startServer, request, uploadResume, resumeText } = require('./helpers');
+
+// Read when lib/rateLimiter.js and lib/reprocessQueue.js are loaded
+process.env.LLM_MAX_RETRIES = '0';
+process.env.REPROCESS_DELAY_MS = '300';
+const { providers } = require('../lib/llmProviders');
+
+const rateLimited = async () => {
+  throw Object.assign(new Error('429 Too Many Requests'), { status: 429 });
+};
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const value = await check();
+    if (value) return value;
+    await delay(100);
+  }
+  throw new Error('Timed out');
+};
+
+test('a rate-limited file is queued with an open failure record that outlives the queue', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const generate = providers.mock.generate;
+  t.after(() => {
+    providers.mock.generate = generate;
+  });
+
+  await t.test('the queue resolves the record once the file goes through', async () => {
+    providers.mock.generate = rateLimited;
+    const { status, body } = await uploadResume(server.baseUrl, resumeText({ email: 'queued@example.com', phone: '+1 503 555 0110' }));
+    assert.equal(status, 202);
+    assert.ok(body.failureId);
+    const failure = await server.tenant.failureStore.get(body.failureId);
+    assert.equal(failure.status, 'open');
+    assert.ok(failure.quarantinePath);
+
+    providers.mock.generate = generate;
+    const entry = await waitFor(async () => {
+      const { body: queued } = await request(server.baseUrl, 'GET', body.statusUrl);
+      return queued.entry.status === 'succeeded' && queued.entry;
+    });
+    const resolved = await server.tenant.failureStore.get(body.failureId);
+    assert.equal(resolved.status, 'resolved');
+    assert.equal(resolved.resolvedCandidateId, entry.candidateId);
+  });
+
+  await t.test('a record retried by hand is not processed again by the queue', async () => {
+    providers.mock.generate = rateLimited;
+    const { body } = await uploadResume(server.baseUrl, resumeText({ email: 'retried@example.com', phone: '+1 503 555 0111' }), { fileName: 'retried.txt' });
+    providers.mock.generate = generate;
+    const retried = await request(server.baseUrl, 'POST', `/failures/${body.failureId}/retry`, {});
+    assert.equal(retried.status, 200);
+
+    const entry = await waitFor(async () => {
+      const { body: queued } = await request(server.baseUrl, 'GET', body.statusUrl);
+      return queued.entry.status !== 'queued' && queued.entry.status !== 'processing' && queued.entry;
+    });
+    assert.equal(entry.candidateId, null);
+    assert.equal((await server.tenant.failureStore.get(body.failureId)).resolvedCandidateId, retried.body.candidate.id);
+  });
+});
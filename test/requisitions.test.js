@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, uploadResume, waitForJob, resumeText } = require('./helpers');
+
+test('stored candidates are scored against another requisition without being uploaded again', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const { body: uploaded } = await uploadResume(server.baseUrl, resumeText({ email: 'opening@example.com' }));
+  const { id } = uploaded.candidate;
+  const { body: created } = await request(server.baseUrl, 'POST', '/requisitions', { title: 'Platform Engineer', jd: 'Go and Kubernetes platform engineer', rs: 'Node.js' });
+  const requisitionId = created.requisition.id;
+
+  const { status, body } = await request(server.baseUrl, 'POST', `/requisitions/${requisitionId}/evaluate`, { candidate_ids: [id, 'missing'], provider: 'mock' });
+  assert.equal(status, 202);
+  assert.deepEqual(body.skipped.map((entry) => entry.candidateId), ['missing']);
+  const job = await waitForJob(server.baseUrl, body.jobId);
+  assert.equal(job.status, 'completed');
+
+  const { body: exported } = await request(server.baseUrl, 'GET', `/candidates/${id}/export`);
+  assert.ok(exported.candidate.scores[requisitionId]);
+  assert.equal(exported.candidate.applications.length, 2);
+  assert.equal(exported.files.length, 1);
+  const { body: usage } = await request(server.baseUrl, 'GET', '/usage');
+  assert.equal(usage.user.daily.extractions, 1);
+  assert.equal(usage.user.daily.evaluations, 2);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, uploadResume, resumeText } = require('./helpers');
+const { createUrlSigner } = require('../lib/signedUrls');
+
+test('verify returns the payload of an authentic, unexpired token', () => {
+  const signer = createUrlSigner('secret');
+  const token = signer.sign({ path: 'Resume/a.pdf' }, Date.now() + 60000);
+  assert.equal(signer.verify(token).path, 'Resume/a.pdf');
+});
+
+test('verify rejects expired, tampered and foreign tokens', () => {
+  const signer = createUrlSigner('secret');
+  assert.equal(signer.verify(signer.sign({ path: 'Resume/a.pdf' }, Date.now() - 1)), null);
+
+  const [, signature] = signer.sign({ path: 'Resume/a.pdf' }, Date.now() + 60000).split('.');
+  const forged = Buffer.from(JSON.stringify({ path: 'Resume/b.pdf', exp: Date.now() + 60000 })).toString('base64url');
+  assert.equal(signer.verify(`${forged}.${signature}`), null);
+
+  assert.equal(createUrlSigner('other').verify(signer.sign({ path: 'Resume/a.pdf' }, Date.now() + 60000)), null);
+  assert.equal(signer.verify('not-a-token'), null);
+  assert.equal(signer.verify(undefined), null);
+});
+
+test('resume downloads go through a signed, expiring link', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const text = resumeText({ email: 'download@example.com' });
+  const { body: uploaded } = await uploadResume(server.baseUrl, text, { fileName: 'jane-doe.txt' });
+
+  const { status, body } = await request(server.baseUrl, 'GET', `/candidates/${uploaded.candidate.id}/resume`);
+  assert.equal(status, 200);
+  assert.equal(body.fileName, 'jane-doe.txt');
+  assert.ok(body.expiresAt > Date.now());
+
+  const download = await fetch(body.url);
+  assert.equal(download.status, 200);
+  assert.equal(await download.text(), text);
+  assert.match(download.headers.get('content-disposition'), /jane-doe\.txt/);
+
+  const token = new URL(body.url).searchParams.get('token');
+  const tampered = await fetch(`${server.baseUrl}/resume-file?token=${token.slice(0, -2)}xx`);
+  assert.equal(tampered.status, 403);
+  const missing = await fetch(`${server.baseUrl}/resume-file`);
+  assert.equal(missing.status, 403);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, uploadResume, resumeText } = require('./helpers');
+
+// Read when lib/usage.js is loaded
+process.env.USAGE_QUOTAS = JSON.stringify({ user: { daily: { evaluations: 1 } } });
+const { parseUsageQuotas, usageIncrements, createUsageMeter } = require('../lib/usage');
+const { createLocalDatabase } = require('../lib/localDatabase');
+
+test('parseUsageQuotas keeps known positive limits only', () => {
+  const quotas = parseUsageQuotas(JSON.stringify({
+    user: { daily: { evaluations: 10, unknown: 5 } },
+    org: { monthly: { tokens: 1000, adobePages: 0 } },
+    team: { daily: { evaluations: 1 } },
+  }));
+  assert.deepEqual(quotas, [
+    { scope: 'user', period: 'daily', metric: 'evaluations', limit: 10 },
+    { scope: 'org', period: 'monthly', metric: 'tokens', limit: 1000 },
+  ]);
+  assert.deepEqual(parseUsageQuotas('not json'), []);
+});
+
+test('repair calls count as LLM calls but not as evaluations', () => {
+  const event = { kind: 'llm', provider: 'mock', inputTokens: 100, outputTokens: 20 };
+  assert.equal(usageIncrements({ ...event, evaluation: true }).evaluations, 1);
+  assert.equal(usageIncrements({ ...event, evaluation: false }).evaluations, 0);
+  assert.equal(usageIncrements({ ...event, evaluation: false }).llmCalls, 1);
+});
+
+test('check reports a used-up monthly quota as 402 before a daily one as 429', async () => {
+  const usage = createUsageMeter({
+    database: createLocalDatabase(),
+    quotas: [
+      { scope: 'user', period: 'daily', metric: 'evaluations', limit: 1 },
+      { scope: 'org', period: 'monthly', metric: 'tokens', limit: 150 },
+    ],
+  });
+  assert.equal(await usage.check('u1', ['evaluations', 'tokens']), null);
+  await usage.record('u1', { kind: 'llm', provider: 'mock', inputTokens: 80, outputTokens: 20, evaluation: true });
+  assert.equal((await usage.check('u1', ['evaluations'])).status, 429);
+  // Another user has their own daily quota but shares the organization's
+  assert.equal(await usage.check('u2', ['evaluations', 'tokens']), null);
+  await usage.record('u2', { kind: 'llm', provider: 'mock', inputTokens: 50, outputTokens: 0, evaluation: true });
+  const exceeded = await usage.check('u1', ['evaluations', 'tokens']);
+  assert.equal(exceeded.status, 402);
+  assert.equal(exceeded.quota.metric, 'tokens');
+});
+
+test('uploads stop at the daily evaluation quota', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+
+  const first = await uploadResume(server.baseUrl, resumeText({ email: 'quota-1@example.com' }));
+  assert.equal(first.status, 200);
+  const second = await uploadResume(server.baseUrl, resumeText({ email: 'quota-2@example.com' }), { fileName: 'second.txt' });
+  assert.equal(second.status, 429);
+  assert.equal(second.body.quota.metric, 'evaluations');
+
+  const { body } = await request(server.baseUrl, 'GET', '/usage');
+  assert.equal(body.user.daily.evaluations, 1);
+  assert.equal(body.user.daily.extractions, 1);
+  assert.equal(body.quotas[0].remaining, 0);
+});